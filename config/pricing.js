@@ -0,0 +1,18 @@
+// config/pricing.js - Default Model Prices for Usage Accounting
+// Prices are USD per 1M tokens. Override or extend them at runtime with `/usage price`.
+export const defaultModelPrices = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Self-hosted providers cost nothing per token
+export const freeProviders = ['ollama', 'openai-compatible'];
+
+// Share of a monthly budget at which the admin channel is warned
+export const BUDGET_WARNING_THRESHOLD = 0.8;
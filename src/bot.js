@@ -2,8 +2,13 @@
 import { Client, GatewayIntentBits, REST, Routes } from 'discord.js';
 import { config } from 'dotenv';
 import { MessageHandler } from './handlers/messageHandler.js';
+import { UserCommandHandler } from './handlers/userCommandHandler.js';
+import { CommandRouter } from './handlers/commandRouter.js';
 import { AdminCommandService } from './services/AdminCommandService.js';
+import { ApiServer } from './services/ApiServer.js';
+import { SchedulerService } from './services/SchedulerService.js';
 import { logger } from './utils/logger.js';
+import { discordApiErrors } from './utils/metrics.js';
 import { getDiscordIntents, checkIntentAvailability, logIntentStatus } from './utils/intents.js';
 
 config();
@@ -16,6 +21,15 @@ class LLMWorkspaceBot {
 
     this.messageHandler = new MessageHandler();
     this.adminCommandService = new AdminCommandService();
+    this.commandRouter = new CommandRouter({
+      userCommandHandler: new UserCommandHandler(),
+      adminCommandService: this.adminCommandService
+    });
+    this.schedulerService = new SchedulerService();
+    this.apiServer = new ApiServer({
+      client: this.client,
+      adminCommandService: this.adminCommandService
+    });
     
     this.setupEventListeners();
   }
@@ -36,6 +50,13 @@ class LLMWorkspaceBot {
         this.messageHandler.validateChannelSetup(guild);
       });
       
+      // Start scheduled jobs now that channels can be resolved
+      try {
+        await this.schedulerService.start(this.client);
+      } catch (error) {
+        logger.error('Failed to start scheduler:', error);
+      }
+      
       logger.info('✅ LLM Workspace Bot started successfully');
       if (!intentStatus.hasAllPrivileged) {
         logger.info('💡 Use slash commands for full functionality until intents are enabled');
@@ -52,22 +73,34 @@ class LLMWorkspaceBot {
       await this.messageHandler.handleReaction(reaction, user);
     });
 
+    this.client.on('threadUpdate', async (oldThread, newThread) => {
+      await this.messageHandler.handleThreadUpdate(oldThread, newThread);
+    });
+
     this.client.on('interactionCreate', async (interaction) => {
-      if (interaction.isCommand()) {
-        await this.adminCommandService.handleSlashCommand(interaction);
+      if (interaction.isChatInputCommand() || interaction.isMessageContextMenuCommand()) {
+        await this.commandRouter.route(interaction);
       } else if (interaction.isButton()) {
         await this.adminCommandService.handleButtonInteraction(interaction);
       }
     });
 
     this.client.on('error', (error) => {
+      discordApiErrors.inc({ source: 'gateway', status: 'none' });
       logger.error('Discord client error:', error);
     });
+
+    // Count every failed REST call (replies, edits, reactions, threads) regardless of which handler made it
+    this.client.rest.on('response', (request, response) => {
+      if (!response.ok) {
+        discordApiErrors.inc({ source: 'rest', status: response.status });
+      }
+    });
   }
 
   async registerSlashCommands() {
     try {
-      const commands = this.adminCommandService.getSlashCommands();
+      const commands = this.commandRouter.getSlashCommands();
       const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
       logger.info('Started refreshing application (/) commands.');
@@ -80,6 +113,7 @@ class LLMWorkspaceBot {
 
       logger.info('Successfully reloaded application (/) commands.');
     } catch (error) {
+      discordApiErrors.inc({ source: 'rest', status: error.status || 'none' });
       logger.error('Error registering slash commands:', error);
     }
   }
@@ -87,6 +121,10 @@ class LLMWorkspaceBot {
   async start() {
     try {
       logger.info('🚀 Starting LLM Workspace Bot...');
+      
+      // Start HTTP first so /healthz answers while the gateway connects
+      await this.apiServer.start();
+      
       await this.client.login(process.env.DISCORD_TOKEN);
     } catch (error) {
       logger.error('Failed to start bot:', error);
@@ -97,6 +135,9 @@ class LLMWorkspaceBot {
   async shutdown() {
     logger.info('🛑 Shutting down bot...');
     
+    this.schedulerService.stop();
+    await this.apiServer.stop();
+    
     // Logout from Discord
     await this.client.destroy();
     
@@ -1,16 +1,44 @@
 // src/handlers/channelHandler.js - Channel-Specific Behaviors with Dynamic Configuration
-import { getChannelType, getChannelConfiguration } from '../../config/channels.js';
+import { getChannelConfiguration } from '../../config/channels.js';
 import { ChannelConfigService } from '../services/ChannelConfigService.js';
+import { ChannelBindingService } from '../services/ChannelBindingService.js';
+import { MemoryService } from '../services/MemoryService.js';
+import { LLMService } from '../services/llm/LLMService.js';
+import { ResponseSender } from './responseSender.js';
 import { logger } from '../utils/logger.js';
+import { trimTranscript } from '../utils/helpers.js';
+
+const THREAD_TITLE_PROMPT = 'You name Discord threads. Reply with only a concise, specific title of at most 6 words for the conversation below. No quotes, no trailing punctuation, no emoji.';
+
+const THREAD_SUMMARY_PROMPT = `You summarize Discord threads for the team that took part. Use exactly these sections, writing "None" for an empty one:
+**Summary** - two or three sentences on what was discussed
+**Decisions** - bullet points
+**Open Questions** - bullet points
+**Action Items** - bullet points, with owners where mentioned`;
+
+// Threads need some back-and-forth beyond the opening exchange before a summary is worth posting
+const MIN_TURNS_TO_SUMMARIZE = 4;
+const MAX_SUMMARY_TRANSCRIPT_CHARS = 12000;
 
 export class ChannelHandler {
   constructor() {
     this.channelConfigService = new ChannelConfigService();
+    this.channelBindingService = new ChannelBindingService();
+    this.memoryService = new MemoryService();
+    this.llmService = new LLMService();
+    this.responseSender = new ResponseSender();
+  }
+
+  // Determine channel type from the channel's binding; returns { channelType, source } where
+  // channelType is null for ignored and unbound channels
+  async getChannelType(channel) {
+    return this.channelBindingService.resolve(channel);
   }
 
-  // Determine channel type from channel name
-  getChannelType(channelName) {
-    return getChannelType(channelName);
+  // Threads inherit the type (and so the configuration) of the channel they were created in
+  async resolveChannelType(channel) {
+    const { channelType } = await this.getChannelType(channel);
+    return channelType;
   }
 
   // Handle post-message actions based on channel type
@@ -21,7 +49,10 @@ export class ChannelHandler {
       // Get dynamic configuration for this channel
       const channelConfig = await this.channelConfigService.getChannelConfig(channelType, guildId);
       const reactions = await this.channelConfigService.getChannelReactions(channelType, guildId);
-      const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+      const channelFeatures = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+      
+      // Discord can't start a thread from a message that is already in one
+      const features = message.channel.isThread() ? { ...channelFeatures, threadSupport: false } : channelFeatures;
       
       // Add a simple acknowledgment reaction if reaction tracking is enabled
       if (features?.reactionTracking) {
@@ -86,6 +117,8 @@ export class ChannelHandler {
           });
           
           await thread.send('🧵 Thread created for detailed code discussion!');
+          await this.trackThread(thread, message, botResponse, 'coding');
+          await this.generateThreadTitle(thread, message, botResponse, 'coding', 'Code');
           logger.info(`Created thread for code discussion: ${thread.name}`);
         } catch (error) {
           logger.warn(`Failed to create code thread:`, error.message);
@@ -93,11 +126,6 @@ export class ChannelHandler {
       }
     }
     
-    // Check for file attachments if allowed
-    if (features?.allowFiles && message.attachments.size > 0) {
-      logger.info(`Code files detected in coding channel`);
-    }
-    
     logger.info(`Coding channel actions completed`);
   }
 
@@ -117,6 +145,8 @@ export class ChannelHandler {
           });
           
           await thread.send('🚀 Project planning thread created! Let\'s break this down into actionable steps.');
+          await this.trackThread(thread, message, botResponse, 'projects');
+          await this.generateThreadTitle(thread, message, botResponse, 'projects', 'Project');
           logger.info(`Created project planning thread: ${thread.name}`);
         } catch (error) {
           logger.warn(`Failed to create project thread:`, error.message);
@@ -142,6 +172,8 @@ export class ChannelHandler {
         });
         
         await thread.send('📋 Planning session started! Let\'s organize your tasks and priorities.');
+        await this.trackThread(thread, message, botResponse, 'planning');
+        await this.generateThreadTitle(thread, message, botResponse, 'planning', 'Planning');
         logger.info(`Created planning thread: ${thread.name}`);
       } catch (error) {
         logger.warn(`Failed to create planning thread:`, error.message);
@@ -166,6 +198,8 @@ export class ChannelHandler {
           });
           
           await thread.send('📊 Analysis thread created! Let\'s dive deep into your data.');
+          await this.trackThread(thread, message, botResponse, 'analysis');
+          await this.generateThreadTitle(thread, message, botResponse, 'analysis', 'Analysis');
           logger.info(`Created analysis thread: ${thread.name}`);
         } catch (error) {
           logger.warn(`Failed to create analysis thread:`, error.message);
@@ -200,6 +234,115 @@ export class ChannelHandler {
     logger.info(`Admin channel actions completed`);
   }
 
+  // Store metadata for a thread the bot opened, seeded with the exchange that started it
+  async trackThread(thread, originMessage, botResponse, channelType) {
+    await this.memoryService.startThreadContext({
+      thread,
+      channelType,
+      originMessage,
+      topic: thread.name,
+      openingTurns: [
+        this.toThreadTurn(originMessage.author, originMessage.content, { messageId: originMessage.id, timestamp: originMessage.createdAt }),
+        this.toThreadTurn(thread.client.user, botResponse, { isBot: true })
+      ]
+    });
+  }
+
+  // Replace the placeholder name of a thread the bot opened with an LLM title based on the first exchange
+  async generateThreadTitle(thread, originMessage, botResponse, channelType, prefix) {
+    try {
+      const title = await this.llmService.generateTaskResponse({
+        message: `${originMessage.author.displayName}: ${originMessage.content.substring(0, 1500)}\n\nAssistant: ${botResponse.substring(0, 1500)}`,
+        channelType,
+        guildId: thread.guildId,
+        userId: originMessage.author.id,
+        username: originMessage.author.displayName
+      }, THREAD_TITLE_PROMPT, { maxTokens: 30 });
+      
+      const cleaned = title.split('\n')[0].replace(/[*_`#"]/g, '').replace(/[.!?:;,]+$/, '').trim();
+      if (!cleaned) return;
+      
+      const name = `${prefix}: ${cleaned}`.substring(0, 100);
+      await thread.setName(name, 'Generated thread title');
+      await this.memoryService.updateThreadTopic(thread.id, name);
+      logger.info(`Renamed thread ${thread.id} to "${name}"`);
+    } catch (error) {
+      logger.warn(`Keeping default thread name for ${thread.id}:`, error.message);
+    }
+  }
+
+  // When a tracked thread archives, post a summary to its parent channel and file it with the project
+  async summarizeArchivedThread(thread) {
+    try {
+      const threadContext = await this.memoryService.getThreadContext(thread.id);
+      if (!threadContext || threadContext.transcript.length < MIN_TURNS_TO_SUMMARIZE) return;
+      
+      // Nothing new since the last summary (e.g. archived, reopened without discussion, archived again)
+      if (threadContext.summary?.messageCount === threadContext.messageCount) return;
+      
+      const parent = thread.parent;
+      if (!parent) {
+        logger.warn(`Archived thread ${thread.id} has no parent channel to post a summary in`);
+        return;
+      }
+      
+      const transcript = trimTranscript(
+        threadContext.transcript.map(turn => `${turn.author}: ${turn.content}`),
+        MAX_SUMMARY_TRANSCRIPT_CHARS
+      );
+      const summary = await this.llmService.generateTaskResponse({
+        message: `Thread: ${threadContext.topic}\n\n${transcript.join('\n')}`,
+        channelType: threadContext.channelType,
+        guildId: thread.guildId,
+        userId: threadContext.createdBy,
+        username: 'Thread summary'
+      }, THREAD_SUMMARY_PROMPT);
+      
+      const limits = await this.getMessageLimits(threadContext.channelType, thread.guildId);
+      await this.responseSender.sendToChannel(parent, `🗂️ **Thread archived:** ${thread} (${threadContext.topic})\n\n${summary}`, limits);
+      await this.memoryService.storeThreadSummary(threadContext, summary);
+      logger.info(`Posted summary of archived thread ${thread.id} to #${parent.name}`);
+    } catch (error) {
+      logger.warn(`Failed to summarize archived thread ${thread.id}:`, error.message);
+    }
+  }
+
+  // Record a question and the bot's answer in a thread's transcript
+  async recordThreadExchange(thread, channelType, user, prompt, botResponse, messageId = null) {
+    await this.memoryService.recordThreadTurns(thread, channelType, [
+      this.toThreadTurn(user, prompt, { messageId }),
+      this.toThreadTurn(thread.client.user, botResponse, { isBot: true })
+    ]);
+  }
+
+  // Stored thread metadata and transcript, or null for threads the bot hasn't seen yet
+  async getThreadContext(thread) {
+    return await this.memoryService.getThreadContext(thread.id);
+  }
+
+  toThreadTurn(user, content, { messageId = null, isBot = false, timestamp = new Date() } = {}) {
+    return {
+      messageId,
+      authorId: user.id,
+      author: user.displayName || user.username,
+      content,
+      isBot,
+      timestamp
+    };
+  }
+
+  // Transcript turns in the shape MessageHandler.getRecentMessages returns, for ConversationBuilder
+  toMessageHistory(transcript = []) {
+    return transcript.map(turn => ({
+      id: turn.messageId,
+      author: turn.author,
+      content: turn.content,
+      timestamp: turn.timestamp,
+      isBot: turn.isBot,
+      isSelf: turn.isBot
+    }));
+  }
+
   // Helper methods
   extractProjectName(content) {
     // Try to extract a project name from the message
@@ -230,11 +373,22 @@ export class ChannelHandler {
   }
 
   // Get channel by type helper (for posting automated messages)
-  getChannelByType(guild, targetType) {
-    return guild.channels.cache.find(channel => {
-      const channelType = this.getChannelType(channel.name);
-      return channelType === targetType;
-    });
+  async getChannelByType(guild, targetType) {
+    return this.channelBindingService.findChannel(guild, targetType);
+  }
+
+  // Let admins know when a monthly usage budget passes its warning threshold
+  async postBudgetWarnings(guild, warnings) {
+    const adminChannel = guild && await this.getChannelByType(guild, 'admin');
+    if (!adminChannel) {
+      logger.warn(`Budget warnings with no admin channel to post to: ${JSON.stringify(warnings)}`);
+      return;
+    }
+    
+    for (const warning of warnings) {
+      const scope = warning.channelType ? `**${warning.channelType}** channel` : 'server-wide';
+      await adminChannel.send(`💸 **Budget Warning**\nThe ${scope} monthly LLM budget is ${warning.percent}% used ($${warning.spend.toFixed(2)} of $${warning.budget.toFixed(2)}). Use \`/usage report\` for a breakdown.`);
+    }
   }
 
   // Check if channel allows user messages (vs bot-only)
@@ -243,27 +397,61 @@ export class ChannelHandler {
     return !features?.adminOnly;
   }
 
+  // Check if responses in this channel should be streamed into progressively edited replies
+  async isStreamingEnabled(channelType, guildId = null) {
+    const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+    return !!features?.streaming;
+  }
+
+  // Check if the bot should only answer messages that mention it or reply to it
+  async isMentionRequired(channelType, guildId = null) {
+    const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+    return !!features?.requireMention;
+  }
+
   // Get channel-specific message limits from configuration
   async getMessageLimits(channelType, guildId = null) {
     const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
     
     return {
       maxLength: features?.maxMessageLength || 2000,
+      maxChunks: features?.maxReplyChunks || 0,
       rateLimitMinutes: features?.rateLimitMinutes || 0,
       allowFiles: features?.allowFiles || false,
+      maxAttachmentKB: features?.maxAttachmentKB || 32,
       threadSupport: features?.threadSupport || false
     };
   }
 
+  // Check if text attachments posted in this channel are read into the prompt
+  async areFilesAllowed(channelType, guildId = null) {
+    const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+    return !!features?.allowFiles;
+  }
+
+  // Get channel-specific rate limit settings (bucket size, refill window and per-role rules)
+  async getRateLimitSettings(channelType, guildId = null) {
+    const features = await this.channelConfigService.getChannelFeatures(channelType, guildId);
+    
+    return {
+      rateLimitMinutes: features?.rateLimitMinutes || 0,
+      rateLimitMessages: features?.rateLimitMessages || 1,
+      roleRateLimits: features?.roleRateLimits || []
+    };
+  }
+
   // Validate channel setup for a Discord guild
   async validateChannelSetup(guild) {
     const foundChannels = {};
     const availableConfigs = await this.channelConfigService.getAllChannelConfigs(guild.id);
     const requiredChannelTypes = availableConfigs.map(config => config.channelType);
+    const unboundChannels = [];
     
-    guild.channels.cache.forEach(channel => {
+    for (const channel of guild.channels.cache.values()) {
       if (channel.type === 0) { // Text channel
-        const channelType = this.getChannelType(channel.name);
+        const { channelType, source } = await this.getChannelType(channel);
+        if (source === 'unbound') unboundChannels.push(channel.name);
+        if (!channelType) continue;
         if (!foundChannels[channelType]) {
           foundChannels[channelType] = [];
         }
@@ -272,7 +460,7 @@ export class ChannelHandler {
           id: channel.id
         });
       }
-    });
+    }
     
     const missingChannels = requiredChannelTypes.filter(type => !foundChannels[type]);
     
@@ -281,20 +469,24 @@ export class ChannelHandler {
       missingChannels,
       isComplete: missingChannels.length === 0,
       availableConfigs: availableConfigs.length,
-      configuredChannels: Object.keys(foundChannels).length
+      configuredChannels: Object.keys(foundChannels).length,
+      unboundChannels
     };
     
     if (validation.isComplete) {
       logger.info(`✅ All ${availableConfigs.length} configured channel types detected for guild ${guild.name}`);
     } else {
       logger.warn(`⚠️ Missing channels for guild ${guild.name}: ${missingChannels.join(', ')}`);
-      logger.info('💡 Create channels with these keywords in the name:', 
+      logger.info('💡 Bind a channel to each of these types with /bindchannel:', 
         missingChannels.map(type => {
           const config = availableConfigs.find(c => c.channelType === type);
           return `${type}: ${config?.name || type}`;
         }).join(', ')
       );
     }
+    if (unboundChannels.length > 0) {
+      logger.info(`💡 ${unboundChannels.length} text channel(s) in ${guild.name} are unbound and ignored: ${unboundChannels.join(', ')}`);
+    }
     
     return validation;
   }
@@ -0,0 +1,65 @@
+// src/handlers/commandRouter.js - Slash Command Routing and Permissions
+import { hasAdminAccess } from '../../config/channels.js';
+import { logger } from '../utils/logger.js';
+
+// Permission levels: user commands are open to every member, admin commands need hasAdminAccess
+const PERMISSION_LEVELS = ['user', 'admin'];
+
+export class CommandRouter {
+  constructor({ userCommandHandler, adminCommandService }) {
+    this.handlers = {
+      user: userCommandHandler,
+      admin: adminCommandService
+    };
+    this.routes = new Map();
+
+    for (const level of PERMISSION_LEVELS) {
+      const handler = this.handlers[level];
+      const commands = [...handler.getSlashCommands(), ...(handler.getContextMenuCommands?.() || [])];
+
+      for (const command of commands) {
+        if (this.routes.has(command.name)) {
+          throw new Error(`Command ${command.name} is registered twice`);
+        }
+        this.routes.set(command.name, { level, command });
+      }
+    }
+  }
+
+  // Builders for every slash and context-menu command, for registration with Discord
+  getSlashCommands() {
+    return [...this.routes.values()].map(route => route.command);
+  }
+
+  getPermissionLevel(commandName) {
+    return this.routes.get(commandName)?.level || null;
+  }
+
+  async route(interaction) {
+    const route = this.routes.get(interaction.commandName);
+
+    if (!route) {
+      await interaction.reply({
+        content: '❓ Unknown command. Use `/ask` to talk to the assistant.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    if (route.level === 'admin' && !hasAdminAccess(interaction.member)) {
+      logger.warn(`Denied /${interaction.commandName} to ${interaction.user.id}: admin permissions required`);
+      await interaction.reply({
+        content: '❌ **Access Denied**\nYou need administrator permissions to use admin commands.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const handler = this.handlers[route.level];
+    if (interaction.isMessageContextMenuCommand()) {
+      await handler.handleContextMenuCommand(interaction);
+    } else {
+      await handler.handleSlashCommand(interaction);
+    }
+  }
+}
@@ -1,28 +1,73 @@
 // src/handlers/messageHandler.js - Core Message Processing
 import { ChannelHandler } from './channelHandler.js';
-import { LLMService } from '../services/llm/LLMService.js';
+import { StreamRenderer } from './streamRenderer.js';
+import { ResponseSender } from './responseSender.js';
+import { LLMService, SUPPORTED_PROVIDERS, parseFallbackRoutes } from '../services/llm/LLMService.js';
 import { MemoryService } from '../services/MemoryService.js';
+import { RateLimitService } from '../services/RateLimitService.js';
+import { DataAnalysisService } from '../services/DataAnalysisService.js';
+import { resolveOptionField, parseOptionValue } from '../services/llm/requestOptions.js';
+import { OpenAICompatibleProvider } from '../services/llm/OpenAICompatibleProvider.js';
 import { validateChannelSetup, hasAdminAccess, getChannelType } from '../../config/channels.js';
-import { logger } from '../utils/logger.js';
+import { logger, createCorrelationId, getCorrelationId, runWithCorrelationId } from '../utils/logger.js';
+import { formatDuration } from '../utils/helpers.js';
+import { readTextAttachments, formatAttachmentBlocks } from '../utils/attachments.js';
+import { extractChartBlocks, stripChartBlocks } from '../utils/chartData.js';
+import { messagesHandled } from '../utils/metrics.js';
+
+// Stands in for the question when a file is posted without any text
+const DEFAULT_ATTACHMENT_PROMPT = 'Please review the attached file.';
+
+// Shown in place of a reply that held nothing but chart specs
+const CHART_ONLY_REPLY = '📈 See the chart below.';
+
+// Charts drawn per reply, however many the model asks for
+const MAX_CHARTS_PER_REPLY = 3;
+
+// Messages fetched from Discord for threads that have no stored transcript yet
+const THREAD_HISTORY_FETCH_LIMIT = 99;
 
 export class MessageHandler {
   constructor() {
     this.channelHandler = new ChannelHandler();
     this.llmService = new LLMService();
     this.memoryService = new MemoryService();
+    this.rateLimitService = new RateLimitService();
+    this.dataAnalysisService = new DataAnalysisService();
+    this.responseSender = new ResponseSender();
+    this.streamRenderer = new StreamRenderer({ responseSender: this.responseSender });
   }
 
+  // Every log line written while handling the message carries the same correlation ID
   async handleMessage(message) {
+    return runWithCorrelationId(createCorrelationId(), () => this.processMessage(message));
+  }
+
+  async processMessage(message) {
     try {
-      // Skip if we don't have message content (missing privileged intent)
-      if (!message.content) {
-        logger.warn('Cannot read message content - MessageContent intent not enabled');
+      // Without the MessageContent intent Discord only delivers content for mentions and replies to the bot
+      const addressed = this.isAddressedToBot(message);
+
+      // Only channels bound to a type (or matched by keyword, where a server opts in) are answered
+      const { channelType, source } = await this.channelHandler.getChannelType(message.channel);
+      if (!channelType) {
+        if (addressed && source === 'unbound') {
+          await message.reply('🔗 This channel isn\'t set up for the bot yet. An admin can bind it to a channel type with `/bindchannel`.');
+        }
+        return;
+      }
+
+      const hasAttachments = message.attachments?.size > 0;
+      if (!message.content && !hasAttachments) {
+        if (addressed) {
+          await message.reply(`👋 I couldn't read that message. Mention me with your question, e.g. \`@${message.client.user.username} how do I ...\``);
+        }
         return;
       }
 
-      const channelType = this.channelHandler.getChannelType(message.channel.name);
+      const prompt = this.stripBotMention(message.content, message.client.user.id);
       
-      logger.info(`Message in ${channelType}: ${message.content.substring(0, 50)}...`);
+      logger.info(`Message in ${channelType} from ${message.author.id}${addressed ? ' (mention)' : ''}: ${logger.content(prompt)}`);
       
       // Handle admin commands
       if (this.isAdminCommand(message, channelType)) {
@@ -38,50 +83,147 @@ export class MessageHandler {
         return;
       }
 
+      // Busy channels can be configured to only answer when someone talks to the bot directly
+      if (!addressed && await this.channelHandler.isMentionRequired(channelType, message.guild?.id)) {
+        return;
+      }
+      
+      // A file on its own is a request to look at it, where the channel accepts files
+      const canReadFiles = hasAttachments && await this.channelHandler.areFilesAllowed(channelType, message.guild?.id);
+      if (!prompt && !canReadFiles) {
+        await message.reply('👋 What can I help with? Mention me followed by your question.');
+        return;
+      }
+      const request = prompt || DEFAULT_ATTACHMENT_PROMPT;
+
+      // Enforce per-user rate limits before spending anything on context or LLM calls
+      if (!(await this.checkRateLimit(message, channelType))) {
+        return;
+      }
+
+      messagesHandled.inc({ channel_type: channelType });
+      
       // Get conversation context and memory
-      const context = await this.buildMessageContext(message, channelType);
+      const context = await this.buildMessageContext(message, channelType, request);
+      
+      // Generate LLM response with full context, streaming into a placeholder reply when enabled
+      const streaming = await this.channelHandler.isStreamingEnabled(channelType, context.guildId);
+      const limits = await this.channelHandler.getMessageLimits(channelType, context.guildId);
+      if (prompt && context.datasets.length > 0) {
+        await this.runDatasetQuery(message, context, prompt, limits);
+      }
+      let response;
+      
+      // Chart specs in #analysis replies are drawn as images, so they never appear in the text
+      const hideCharts = text => stripChartBlocks(text) || CHART_ONLY_REPLY;
+      if (streaming) {
+        const result = await this.streamRenderer.render(message, this.llmService.streamResponse(context), limits, {
+          transform: channelType === 'analysis' ? hideCharts : undefined
+        });
+        response = result.text;
+      } else {
+        response = await this.llmService.generateResponse(context);
+      }
       
-      // Generate LLM response with full context
-      const response = await this.llmService.generateResponse(context);
+      const charts = channelType === 'analysis' ? extractChartBlocks(response) : [];
+      if (charts.length > 0) {
+        response = hideCharts(response);
+      }
       
       // Store this interaction in memory for future reference
       await this.memoryService.storeInteraction({
         userId: message.author.id,
         username: message.author.displayName,
+        guildId: context.guildId,
         channel: channelType,
-        userMessage: message.content,
+        userMessage: request,
         botResponse: response,
         timestamp: new Date(),
-        context: context.memoryContext
+        context: context.memoryContext,
+        attachments: context.attachments,
+        generation: context.generation,
+        correlationId: context.correlationId
       });
       
-      // Send response
-      await message.reply(response);
+      // Send response (already delivered by the stream renderer when streaming)
+      if (!streaming) {
+        await this.responseSender.send(message, response, limits);
+      }
+      
+      if (charts.length > 0) {
+        await this.sendCharts(message, charts, context.datasets);
+      }
+      
+      // Threads keep their own transcript so the conversation can pick up where it left off
+      if (context.thread) {
+        await this.channelHandler.recordThreadExchange(message.channel, channelType, message.author, request, response, message.id);
+      }
       
       // Handle channel-specific follow-up actions
       await this.channelHandler.handlePostMessageActions(message, channelType, response);
       
+      if (context.generation?.budgetWarnings?.length > 0) {
+        await this.channelHandler.postBudgetWarnings(message.guild, context.generation.budgetWarnings);
+      }
+      
     } catch (error) {
       logger.error('Error handling message:', error);
       await message.reply('⚠️ Something went wrong processing your request. Please try again.');
     }
   }
 
+  // Returns false (after posting a cooldown notice) when the author is out of tokens for this channel
+  async checkRateLimit(message, channelType) {
+    try {
+      const result = await this.rateLimitService.consume({
+        guildId: message.guild?.id,
+        channelType,
+        userId: message.author.id,
+        member: message.member,
+        features: await this.channelHandler.getRateLimitSettings(channelType, message.guild?.id)
+      });
+      
+      if (result.allowed) return true;
+      
+      logger.info(`Rate limited ${message.author.username} in ${channelType} for ${result.retryAfterMs}ms`);
+      await message.reply(`⏳ **Slow down!** You've used your ${result.limit.messages} message${result.limit.messages === 1 ? '' : 's'} per ${result.limit.minutes} minute${result.limit.minutes === 1 ? '' : 's'} in this channel. Try again in **${formatDuration(result.retryAfterMs)}**.`);
+      return false;
+    } catch (error) {
+      // Never block conversations because the limiter's storage is unavailable
+      logger.warn('Rate limit check failed, allowing message:', error.message);
+      return true;
+    }
+  }
+
+  // Archiving (automatic after the thread's autoArchiveDuration, or manual) triggers a summary in the parent channel
+  async handleThreadUpdate(oldThread, newThread) {
+    if (oldThread.archived || !newThread.archived) return;
+    return runWithCorrelationId(createCorrelationId(), () => this.channelHandler.summarizeArchivedThread(newThread));
+  }
+
   async handleReaction(reaction, user) {
+    return runWithCorrelationId(createCorrelationId(), () => this.processReaction(reaction, user));
+  }
+
+  async processReaction(reaction, user) {
     try {
-      const channelType = this.channelHandler.getChannelType(reaction.message.channel.name);
+      const channelType = await this.channelHandler.resolveChannelType(reaction.message.channel);
+      if (!channelType) return;
       
       // Handle coding channel reactions
       if (channelType === 'coding' && reaction.emoji.name === '✅') {
         const context = {
           message: 'Code solution approved',
           channelType: 'coding',
+          guildId: reaction.message.guild?.id,
+          userId: user.id,
           username: user.displayName,
           context: 'code_approval'
         };
         
         const response = await this.llmService.generateResponse(context);
-        await reaction.message.reply(`✅ ${response}`);
+        const limits = await this.channelHandler.getMessageLimits(channelType, reaction.message.guild?.id);
+        await this.responseSender.send(reaction.message, `✅ ${response}`, limits);
       }
       
       // Handle project reactions
@@ -89,49 +231,165 @@ export class MessageHandler {
         const context = {
           message: 'Project idea endorsed',
           channelType: 'projects', 
+          guildId: reaction.message.guild?.id,
+          userId: user.id,
           username: user.displayName,
           context: 'project_endorsement'
         };
         
         const response = await this.llmService.generateResponse(context);
-        await reaction.message.reply(`🚀 ${response}`);
+        const limits = await this.channelHandler.getMessageLimits(channelType, reaction.message.guild?.id);
+        await this.responseSender.send(reaction.message, `🚀 ${response}`, limits);
       }
     } catch (error) {
       logger.error('Error handling reaction:', error);
     }
   }
 
-  async buildMessageContext(message, channelType) {
-    // Get recent message history for immediate context
-    const messageHistory = await this.getRecentMessages(message.channel, 5);
+  async buildMessageContext(message, channelType, prompt = message.content) {
+    const thread = message.channel.isThread() ? await this.buildThreadContext(message.channel) : null;
+    
+    // Threads use their whole stored transcript; channels use recent message history (plus one for the current message)
+    let messageHistory;
+    if (thread?.transcript.length > 0) {
+      messageHistory = this.channelHandler.toMessageHistory(thread.transcript);
+    } else {
+      const historyWindow = thread ? THREAD_HISTORY_FETCH_LIMIT : await this.llmService.getHistoryWindow(channelType, message.guild?.id);
+      messageHistory = await this.getRecentMessages(message.channel, historyWindow + 1);
+    }
     
     // Get relevant memory context from MongoDB logs and past interactions
     const memoryContext = await this.memoryService.getRelevantContext({
       userId: message.author.id,
       channelType,
-      currentMessage: message.content,
+      currentMessage: prompt,
       lookbackDays: 14 // Look back 2 weeks for patterns
     });
 
+    // File contents go to the model but not into memory, which keeps the user's own words
+    const { files, datasets: uploaded } = await this.readMessageAttachments(message, channelType);
+    
+    // Datasets shared earlier in the channel or thread stay available for follow-up questions
+    this.dataAnalysisService.rememberDatasets(message.channel.id, uploaded);
+    const datasets = channelType === 'analysis' && uploaded.length === 0
+      ? this.dataAnalysisService.getRecentDatasets(message.channel.id)
+      : uploaded;
+    const attachmentText = [
+      this.dataAnalysisService.buildPromptSection(datasets),
+      formatAttachmentBlocks(files)
+    ].filter(Boolean).join('\n\n');
+
     return {
-      message: message.content,
+      message: attachmentText ? `${prompt}\n\n${attachmentText}` : prompt,
+      messageId: message.id,
       channelType,
       guildId: message.guild?.id,
+      userId: message.author.id,
       username: message.author.displayName,
       messageHistory,
       memoryContext,
-      timestamp: message.createdAt
+      attachments: [
+        ...this.dataAnalysisService.describe(uploaded),
+        ...files.map(({ name, language, truncated, skipped }) => ({ name, language, truncated, skipped }))
+      ],
+      datasets: datasets.filter(entry => !entry.skipped),
+      thread: thread && {
+        id: thread.id,
+        topic: thread.topic,
+        originContent: thread.originContent,
+        participants: thread.participants,
+        startedAt: thread.startedAt
+      },
+      timestamp: message.createdAt,
+      correlationId: getCorrelationId()
+    };
+  }
+
+  // Questions about a dataset are answered by a query the model plans and the bot runs locally.
+  // The result table is posted first and the model's reply explains it
+  async runDatasetQuery(message, context, question, limits) {
+    const queryResult = await this.dataAnalysisService.runQuery(context, question, context.datasets);
+    if (!queryResult) return;
+    
+    if (!queryResult.error) {
+      await this.responseSender.send(message, this.dataAnalysisService.formatQueryResult(queryResult), limits);
+    }
+    context.message += `\n\n${this.dataAnalysisService.buildQuerySection(queryResult)}`;
+  }
+
+  // Render the charts a reply asked for and post them together; specs that can't be drawn get a short note
+  async sendCharts(message, charts, datasets) {
+    const files = [];
+    const problems = [];
+    
+    for (const { spec, error } of charts.slice(0, MAX_CHARTS_PER_REPLY)) {
+      try {
+        if (error) throw new Error(error);
+        files.push(this.dataAnalysisService.renderChart(spec, datasets).file);
+      } catch (chartError) {
+        logger.warn(`Could not draw chart: ${chartError.message}`);
+        problems.push(`⚠️ Couldn't draw a chart: ${chartError.message}`);
+      }
+    }
+    
+    if (files.length > 0) {
+      await message.channel.send({ files });
+    }
+    if (problems.length > 0) {
+      await message.channel.send(problems.join('\n'));
+    }
+  }
+
+  // Text attachments in channels with allowFiles, cut to share the channel's maxAttachmentKB between them.
+  // In #analysis, CSV/JSON datasets are profiled locally instead of pasted into the prompt
+  async readMessageAttachments(message, channelType) {
+    if (!(message.attachments?.size > 0)) return { files: [], datasets: [] };
+    
+    const limits = await this.channelHandler.getMessageLimits(channelType, message.guild?.id);
+    if (!limits.allowFiles) return { files: [], datasets: [] };
+    
+    const attachments = [...message.attachments.values()];
+    const dataAttachments = channelType === 'analysis'
+      ? attachments.filter(attachment => this.dataAnalysisService.isDataAttachment(attachment))
+      : [];
+    
+    const datasets = await this.dataAnalysisService.loadDatasets(dataAttachments);
+    const files = await readTextAttachments(
+      attachments.filter(attachment => !dataAttachments.includes(attachment)),
+      { maxChars: limits.maxAttachmentKB * 1024 }
+    );
+    
+    const included = [...files, ...datasets].filter(entry => !entry.skipped);
+    logger.info(`Read ${included.length}/${attachments.length} attachments for ${channelType}${files.some(file => file.truncated) ? ' (truncated)' : ''}`);
+    return { files, datasets };
+  }
+
+  // Thread metadata from memory, falling back to what Discord knows for threads the bot hasn't seen
+  async buildThreadContext(channel) {
+    const stored = await this.channelHandler.getThreadContext(channel);
+    
+    return {
+      id: channel.id,
+      topic: stored?.topic || channel.name,
+      originContent: stored?.originContent || null,
+      participants: stored?.participants || [],
+      startedAt: stored?.createdAt || channel.createdAt,
+      transcript: stored?.transcript || []
     };
   }
 
   async getRecentMessages(channel, limit = 5) {
+    if (limit <= 0) return [];
+    
     try {
       const messages = await channel.messages.fetch({ limit });
       return messages.map(msg => ({
+        id: msg.id,
         author: msg.author.displayName,
-        content: msg.content,
+        content: this.stripBotMention(msg.content, channel.client.user.id),
         timestamp: msg.createdAt,
-        isBot: msg.author.bot
+        isBot: msg.author.bot,
+        isSelf: msg.author.id === channel.client.user.id
       })).reverse();
     } catch (error) {
       logger.error('Error fetching message history:', error);
@@ -139,6 +397,17 @@ export class MessageHandler {
     }
   }
 
+  // True for messages that @mention the bot or reply to one of its messages
+  isAddressedToBot(message) {
+    const botId = message.client.user.id;
+    return message.mentions.users.has(botId) || message.mentions.repliedUser?.id === botId;
+  }
+
+  // Remove <@id> / <@!id> mentions of the bot so the model only sees the question
+  stripBotMention(content, botId) {
+    return (content || '').replace(new RegExp(`<@!?${botId}>`, 'g'), ' ').replace(/\s{2,}/g, ' ').trim();
+  }
+
   isAdminCommand(message, channelType) {
     const content = message.content.toLowerCase();
     return content.startsWith('!') && (
@@ -149,7 +418,8 @@ export class MessageHandler {
 
   async handleAdminCommand(message, channelType) {
     const command = message.content.toLowerCase();
-    const args = command.split(' ').slice(1);
+    // Keep argument case intact: prompts, URLs, header values and model names are case-sensitive
+    const args = message.content.trim().split(/\s+/).slice(1);
 
     try {
       if (command.startsWith('!config')) {
@@ -157,7 +427,7 @@ export class MessageHandler {
       } else if (command.startsWith('!memory-stats')) {
         await this.showMemoryStats(message);
       } else if (command.startsWith('!test-model')) {
-        await this.testModelConnection(message, args[0]);
+        await this.testModelConnection(message, args[0]?.toLowerCase());
       } else if (command.startsWith('!validate-channels')) {
         await this.validateChannelSetup(message.guild);
       } else if (command.startsWith('!update-config')) {
@@ -190,6 +460,8 @@ export class MessageHandler {
         name: ch.name,
         model: `${ch.provider}/${ch.model}`,
         temp: ch.temperature,
+        maxTokens: ch.maxTokens,
+        fallbacks: ch.fallbacks,
         active: ch.isActive
       }))
     };
@@ -224,28 +496,100 @@ export class MessageHandler {
       return;
     }
 
-    const [channelType, field, ...valueParts] = args;
+    const [rawChannelType, rawField, ...valueParts] = args;
+    const channelType = rawChannelType.toLowerCase();
+    const field = rawField.toLowerCase();
     const value = valueParts.join(' ');
     const guildId = message.guild?.id;
 
     try {
       const updates = {};
+      const optionKey = resolveOptionField(field);
       
       if (field === 'model') {
         updates['llmConfig.model'] = value;
       } else if (field === 'provider') {
-        updates['llmConfig.provider'] = value;
-      } else if (field === 'temperature') {
-        const temp = parseFloat(value);
-        if (isNaN(temp) || temp < 0 || temp > 2) {
-          await message.reply('❌ Temperature must be a number between 0 and 2');
+        if (!SUPPORTED_PROVIDERS.includes(value.toLowerCase())) {
+          await message.reply(`❌ Unknown provider. Use one of: ${SUPPORTED_PROVIDERS.join(', ')}`);
+          return;
+        }
+        updates['llmConfig.provider'] = value.toLowerCase();
+      } else if (field === 'base_url') {
+        if (!/^https?:\/\//.test(value)) {
+          await message.reply('❌ Base URL must start with http:// or https://');
+          return;
+        }
+        updates['llmConfig.baseUrl'] = value.replace(/\/+$/, '');
+      } else if (field === 'api_key_env') {
+        if (!OpenAICompatibleProvider.isAllowedApiKeyEnv(value)) {
+          await message.reply('❌ API key env must be an environment variable name ending in `_API_KEY`, e.g. `VLLM_API_KEY`');
+          return;
+        }
+        updates['llmConfig.apiKeyEnv'] = value;
+      } else if (field === 'header') {
+        const [headerName, ...headerValueParts] = valueParts;
+        if (!/^[A-Za-z0-9-]+$/.test(headerName) || headerValueParts.length === 0) {
+          await message.reply('❓ Usage: `!update-config <channel> header <Header-Name> <value|none>`');
+          return;
+        }
+        const headerValue = headerValueParts.join(' ');
+        updates[`llmConfig.headers.${headerName}`] = headerValue.toLowerCase() === 'none' ? null : headerValue;
+      } else if (field === 'fallbacks') {
+        const fallbacks = parseFallbackRoutes(value);
+        if (!fallbacks) {
+          await message.reply(`❓ Usage: \`!update-config <channel> fallbacks provider/model[@base_url],...\` or \`none\`\nProviders: ${SUPPORTED_PROVIDERS.join(', ')}`);
           return;
         }
-        updates['llmConfig.temperature'] = temp;
+        updates['llmConfig.fallbacks'] = fallbacks;
+      } else if (field === 'model_map') {
+        const modelMap = value.toLowerCase() === 'none' ? [] : value.split(',').map(pair => {
+          const [alias, model] = pair.split('=').map(part => part?.trim());
+          return { alias, model };
+        });
+        if (modelMap.some(entry => !entry.alias || !entry.model)) {
+          await message.reply('❓ Usage: `!update-config <channel> model_map alias=served-model,alias2=other-model`');
+          return;
+        }
+        updates['llmConfig.modelMap'] = modelMap;
+      } else if (optionKey) {
+        const parsed = parseOptionValue(optionKey, value);
+        if (parsed.error) {
+          await message.reply(`❌ ${parsed.error}`);
+          return;
+        }
+        updates[`llmConfig.${optionKey}`] = parsed.value;
       } else if (field === 'prompt') {
         updates['llmConfig.systemPrompt'] = value;
+      } else if (field === 'streaming') {
+        const flag = value.toLowerCase();
+        if (!['on', 'off', 'true', 'false'].includes(flag)) {
+          await message.reply('❌ Streaming must be on or off');
+          return;
+        }
+        updates['features.streaming'] = flag === 'on' || flag === 'true';
+      } else if (field === 'require_mention') {
+        const flag = value.toLowerCase();
+        if (!['on', 'off', 'true', 'false'].includes(flag)) {
+          await message.reply('❌ Require mention must be on or off');
+          return;
+        }
+        updates['features.requireMention'] = flag === 'on' || flag === 'true';
+      } else if (field === 'allow_files') {
+        const flag = value.toLowerCase();
+        if (!['on', 'off', 'true', 'false'].includes(flag)) {
+          await message.reply('❌ Allow files must be on or off');
+          return;
+        }
+        updates['features.allowFiles'] = flag === 'on' || flag === 'true';
+      } else if (field === 'max_attachment_kb') {
+        const kilobytes = Number(value);
+        if (!Number.isInteger(kilobytes) || kilobytes < 1 || kilobytes > 1024) {
+          await message.reply('❌ Max attachment size must be a whole number of KB between 1 and 1024');
+          return;
+        }
+        updates['features.maxAttachmentKB'] = kilobytes;
       } else {
-        await message.reply('❌ Invalid field. Available: model, provider, temperature, prompt');
+        await message.reply('❌ Invalid field. Available: model, provider, temperature, max_tokens, top_p, stop, presence_penalty, frequency_penalty, history_window, history_tokens, max_retries, retry_base_delay, retry_max_delay, prompt, streaming, require_mention, allow_files, max_attachment_kb, base_url, api_key_env, header, model_map, fallbacks');
         return;
       }
 
@@ -318,11 +662,22 @@ export class MessageHandler {
 \`!memory-stats\` - Show memory usage statistics
 
 **Available Channels:** coding, general, projects, planning, analysis, admin
-**Available Fields:** model, provider, temperature, prompt
+**Available Fields:** model, provider, temperature, max_tokens, top_p, stop, presence_penalty, frequency_penalty, history_window, history_tokens, max_retries, retry_base_delay, retry_max_delay, prompt, streaming, require_mention, allow_files, max_attachment_kb, base_url, api_key_env, header, model_map, fallbacks
 
 **Examples:**
 \`!update-config coding model gpt-4\`
 \`!update-config analysis temperature 0.2\`
+\`!update-config coding max_tokens 3000\`
+\`!update-config coding history_window 20\`
+\`!update-config coding streaming on\`
+\`!update-config general require_mention on\`
+\`!update-config coding max_attachment_kb 64\`
+\`!update-config coding provider openai-compatible\`
+\`!update-config coding base_url http://localhost:8000/v1\`
+\`!update-config coding model_map coder=Qwen/Qwen2.5-Coder-32B-Instruct\`
+\`!update-config coding fallbacks openai/gpt-4,anthropic/claude-3-haiku\`
+\`!update-config coding max_retries 3\`
+\`!update-config general stop ###,END\`
 \`!test-model projects\``;
 
     await message.reply(helpText);
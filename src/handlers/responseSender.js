@@ -0,0 +1,119 @@
+// src/handlers/responseSender.js - Deliver LLM Responses Within Discord Message Limits
+import { splitMessage, DISCORD_MESSAGE_LIMIT } from '../utils/messageChunker.js';
+import { logger } from '../utils/logger.js';
+
+export class ResponseSender {
+  // Resolve chunking settings from ChannelHandler.getMessageLimits output;
+  // Discord caps each message at 2000 characters whatever maxMessageLength says
+  getChunkSettings(limits = {}) {
+    return {
+      chunkSize: Math.min(limits.maxLength || DISCORD_MESSAGE_LIMIT, DISCORD_MESSAGE_LIMIT),
+      maxChunks: limits.maxChunks || 0
+    };
+  }
+
+  // Send text as one or more messages; edits an existing reply (e.g. a streaming placeholder) for the first chunk
+  async send(message, text, limits = {}, reply = null) {
+    const { chunkSize, maxChunks } = this.getChunkSettings(limits);
+    const chunks = splitMessage(text, chunkSize);
+
+    if (chunks.length === 0) {
+      chunks.push('⚠️ No response was generated. Please try again.');
+    }
+
+    // Too many chunks would flood the channel, so attach the full answer instead
+    if (maxChunks > 0 && chunks.length > maxChunks) {
+      logger.info(`Response split into ${chunks.length} chunks (limit ${maxChunks}), sending as attachment`);
+      const payload = {
+        content: `📄 The full response (${text.length} characters) is attached.`,
+        files: [{
+          attachment: Buffer.from(text, 'utf8'),
+          name: `response-${Date.now()}.md`
+        }]
+      };
+      return reply ? reply.edit(payload) : message.reply(payload);
+    }
+
+    const [first, ...rest] = chunks;
+    const firstMessage = reply ? await reply.edit(first) : await message.reply(first);
+
+    for (const chunk of rest) {
+      await message.channel.send(chunk);
+    }
+
+    if (rest.length > 0) {
+      logger.info(`Response split into ${chunks.length} messages`);
+    }
+
+    return firstMessage;
+  }
+
+  // Post text as new messages in a channel or thread, for answers that aren't replies to a message
+  async sendToChannel(channel, text, limits = {}) {
+    const { chunkSize, maxChunks } = this.getChunkSettings(limits);
+    const chunks = splitMessage(text, chunkSize);
+
+    if (chunks.length === 0) {
+      chunks.push('⚠️ No response was generated. Please try again.');
+    }
+
+    if (maxChunks > 0 && chunks.length > maxChunks) {
+      logger.info(`Response split into ${chunks.length} chunks (limit ${maxChunks}), sending as attachment`);
+      return channel.send({
+        content: `📄 The full response (${text.length} characters) is attached.`,
+        files: [{
+          attachment: Buffer.from(text, 'utf8'),
+          name: `response-${Date.now()}.md`
+        }]
+      });
+    }
+
+    const [first, ...rest] = chunks;
+    const firstMessage = await channel.send(first);
+
+    for (const chunk of rest) {
+      await channel.send(chunk);
+    }
+
+    if (rest.length > 0) {
+      logger.info(`Response split into ${chunks.length} messages`);
+    }
+
+    return firstMessage;
+  }
+
+  // Deliver a response to a deferred slash command: the first chunk edits the deferred reply, the rest are follow-ups
+  async sendInteraction(interaction, text, limits = {}) {
+    const { chunkSize, maxChunks } = this.getChunkSettings(limits);
+    const chunks = splitMessage(text, chunkSize);
+    const ephemeral = interaction.ephemeral ?? false;
+
+    if (chunks.length === 0) {
+      chunks.push('⚠️ No response was generated. Please try again.');
+    }
+
+    if (maxChunks > 0 && chunks.length > maxChunks) {
+      logger.info(`Response split into ${chunks.length} chunks (limit ${maxChunks}), sending as attachment`);
+      return interaction.editReply({
+        content: `📄 The full response (${text.length} characters) is attached.`,
+        files: [{
+          attachment: Buffer.from(text, 'utf8'),
+          name: `response-${Date.now()}.md`
+        }]
+      });
+    }
+
+    const [first, ...rest] = chunks;
+    const firstMessage = await interaction.editReply(first);
+
+    for (const chunk of rest) {
+      await interaction.followUp({ content: chunk, ephemeral });
+    }
+
+    if (rest.length > 0) {
+      logger.info(`Response split into ${chunks.length} messages`);
+    }
+
+    return firstMessage;
+  }
+}
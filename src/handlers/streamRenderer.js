@@ -0,0 +1,67 @@
+// src/handlers/streamRenderer.js - Progressive Discord Message Edits for Streamed Responses
+import { ResponseSender } from './responseSender.js';
+import { logger } from '../utils/logger.js';
+
+const CURSOR = ' ▌';
+
+export class StreamRenderer {
+  constructor(options = {}) {
+    // Discord allows roughly 5 edits per 5 seconds per channel; stay comfortably below that
+    this.editIntervalMs = options.editIntervalMs || 1500;
+    this.placeholder = options.placeholder || '⏳ Thinking...';
+    this.responseSender = options.responseSender || new ResponseSender();
+  }
+
+  // Post a placeholder reply and edit it as chunks arrive; resolves with the reply and full text.
+  // transform rewrites what is shown (partial and final) without changing the returned text
+  async render(message, stream, limits = {}, { transform = text => text } = {}) {
+    const { chunkSize } = this.responseSender.getChunkSettings(limits);
+    const reply = await message.reply(this.placeholder);
+    let text = '';
+    let rendered = this.placeholder;
+    let lastEdit = Date.now();
+    let interrupted = false;
+
+    try {
+      for await (const chunk of stream) {
+        text += chunk;
+
+        if (Date.now() - lastEdit >= this.editIntervalMs) {
+          rendered = await this.editReply(reply, this.formatPartial(transform(text), chunkSize), rendered);
+          lastEdit = Date.now();
+        }
+      }
+    } catch (error) {
+      logger.error('Streaming response interrupted:', error);
+      interrupted = true;
+    }
+
+    text = text.trim();
+    if (interrupted) {
+      text = `${text}\n\n⚠️ Response interrupted. Please try again.`.trim();
+    }
+
+    // Final delivery splits anything beyond the first message into follow-ups
+    await this.responseSender.send(message, transform(text), limits, reply);
+    return { reply, text };
+  }
+
+  // Skip no-op edits and never let a failed edit abort the stream
+  async editReply(reply, content, rendered) {
+    if (!content || content === rendered) return rendered;
+
+    try {
+      await reply.edit(content);
+      return content;
+    } catch (error) {
+      logger.warn('Failed to edit streaming reply:', error.message);
+      return rendered;
+    }
+  }
+
+  formatPartial(text, maxLength) {
+    const limit = maxLength - CURSOR.length;
+    const visible = text.length > limit ? text.substring(0, limit - 1) + '…' : text;
+    return visible.trim() ? `${visible}${CURSOR}` : null;
+  }
+}
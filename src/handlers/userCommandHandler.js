@@ -0,0 +1,572 @@
+// src/handlers/userCommandHandler.js - Slash Commands Available to Every Member
+import { SlashCommandBuilder, ContextMenuCommandBuilder, ApplicationCommandType } from 'discord.js';
+import { ChannelHandler } from './channelHandler.js';
+import { ResponseSender } from './responseSender.js';
+import { LLMService } from '../services/llm/LLMService.js';
+import { MemoryService } from '../services/MemoryService.js';
+import { RateLimitService } from '../services/RateLimitService.js';
+import { DataAnalysisService } from '../services/DataAnalysisService.js';
+import { logger, createCorrelationId, getCorrelationId, runWithCorrelationId } from '../utils/logger.js';
+import { formatDuration, extractCodeBlocks, trimTranscript } from '../utils/helpers.js';
+import { detectLanguage, isTextAttachment, fetchAttachmentText } from '../utils/attachments.js';
+import { CHART_TYPES } from '../utils/chartRenderer.js';
+import { messagesHandled } from '../utils/metrics.js';
+
+// Which channel configuration each command uses; null means the channel the command was run in
+const COMMAND_CHANNEL_TYPES = {
+  ask: null,
+  explain: null,
+  review: 'coding',
+  plan: 'planning',
+  analyze: 'analysis'
+};
+
+// Message context-menu commands (right-click a message → Apps); null channel type means the message's channel
+const CONTEXT_MENU_COMMANDS = {
+  'Explain this message': { key: 'explain', channelType: null, threadLabel: 'Explained' },
+  'Review this code': { key: 'review', channelType: 'coding', threadLabel: 'Review' },
+  'Turn into task': { key: 'task', channelType: 'planning', threadLabel: 'Task' },
+  'Summarize thread': { key: 'summarize', channelType: null, threadLabel: 'Summary' }
+};
+
+// Keep summaries of long threads within a sensible prompt size; the oldest messages are dropped first
+const MAX_TRANSCRIPT_CHARS = 12000;
+
+// Channels bound as ignored get no answers from the bot, commands included
+const UNAVAILABLE_IN_CHANNEL = '🚫 This command is not available in this channel.';
+
+export class UserCommandHandler {
+  constructor() {
+    this.channelHandler = new ChannelHandler();
+    this.llmService = new LLMService();
+    this.memoryService = new MemoryService();
+    this.rateLimitService = new RateLimitService();
+    this.dataAnalysisService = new DataAnalysisService();
+    this.responseSender = new ResponseSender();
+  }
+
+  getSlashCommands() {
+    const addPrivateOption = command => command.addBooleanOption(option =>
+      option.setName('private')
+        .setDescription('Only show the answer to you')
+        .setRequired(false));
+
+    return [
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('ask')
+        .setDescription('Ask the assistant, using this channel\'s configuration')
+        .addStringOption(option =>
+          option.setName('question')
+            .setDescription('Your question')
+            .setRequired(true))),
+
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('explain')
+        .setDescription('Get an explanation of a concept, error or snippet')
+        .addStringOption(option =>
+          option.setName('topic')
+            .setDescription('What to explain')
+            .setRequired(true))),
+
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('review')
+        .setDescription('Get a code review')
+        .addAttachmentOption(option =>
+          option.setName('file')
+            .setDescription('Source file to review')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('code')
+            .setDescription('Code snippet to review (or attach a file)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('focus')
+            .setDescription('What to focus on, e.g. security, performance, readability')
+            .setRequired(false))),
+
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('plan')
+        .setDescription('Break a goal into a plan of tasks')
+        .addStringOption(option =>
+          option.setName('goal')
+            .setDescription('What you want to achieve')
+            .setRequired(true))),
+
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('analyze')
+        .setDescription('Analyze data or a research question')
+        .addStringOption(option =>
+          option.setName('question')
+            .setDescription('What to analyze')
+            .setRequired(true))
+        .addAttachmentOption(option =>
+          option.setName('file')
+            .setDescription('Data file (CSV, JSON, text)')
+            .setRequired(false))),
+
+      addPrivateOption(new SlashCommandBuilder()
+        .setName('chart')
+        .setDescription('Chart a dataset: the file you attach, or the last one shared in this channel')
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('Chart type')
+            .setRequired(true)
+            .addChoices(...CHART_TYPES.map(type => ({ name: type, value: type }))))
+        .addStringOption(option =>
+          option.setName('x')
+            .setDescription('Column for the x axis (the values to bin, for a histogram)')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('y')
+            .setDescription('Numeric column for the y axis')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('aggregate')
+            .setDescription('How bar and line charts combine y values (default: sum, or count without y)')
+            .setRequired(false)
+            .addChoices(...['count', 'sum', 'avg', 'min', 'max', 'median'].map(fn => ({ name: fn, value: fn }))))
+        .addStringOption(option =>
+          option.setName('series')
+            .setDescription('Column to split into separate series')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('bucket')
+            .setDescription('Time bucket for a date x axis')
+            .setRequired(false)
+            .addChoices(...['day', 'week', 'month', 'year'].map(bucket => ({ name: bucket, value: bucket }))))
+        .addIntegerOption(option =>
+          option.setName('bins')
+            .setDescription('Number of histogram bins')
+            .setRequired(false)
+            .setMinValue(2)
+            .setMaxValue(50))
+        .addStringOption(option =>
+          option.setName('title')
+            .setDescription('Chart title (defaults to one built from the columns)')
+            .setRequired(false))
+        .addAttachmentOption(option =>
+          option.setName('file')
+            .setDescription('Data file (CSV, TSV, JSON)')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('format')
+            .setDescription('Image format (default: png)')
+            .setRequired(false)
+            .addChoices({ name: 'png', value: 'png' }, { name: 'svg', value: 'svg' }))),
+
+      new SlashCommandBuilder()
+        .setName('threads')
+        .setDescription('List recent conversation threads to pick back up')
+        .addBooleanOption(option =>
+          option.setName('mine')
+            .setDescription('Only threads you took part in')
+            .setRequired(false))
+    ];
+  }
+
+  async handleSlashCommand(interaction) {
+    return runWithCorrelationId(createCorrelationId(), () => this.processSlashCommand(interaction));
+  }
+
+  async processSlashCommand(interaction) {
+    const commandName = interaction.commandName;
+    logger.info(`Slash command /${commandName} from ${interaction.user.id}`);
+
+    try {
+      if (commandName === 'threads') {
+        await this.handleThreads(interaction);
+        return;
+      }
+      if (commandName === 'chart') {
+        await this.handleChart(interaction);
+        return;
+      }
+
+      // Bindings are cached, so this settles before the deferral; an ignored channel gets a private notice
+      const invokedChannelType = await this.getInvokedChannelType(interaction);
+      if (!invokedChannelType) {
+        await this.replyWithNotice(interaction, UNAVAILABLE_IN_CHANNEL);
+        return;
+      }
+
+      // Reading attachments and checking limits can outlast Discord's 3-second window, so acknowledge first
+      await interaction.deferReply({ ephemeral: interaction.options.getBoolean('private') ?? false });
+
+      const prompt = await this.buildPrompt(interaction);
+      if (!prompt) return;
+
+      const channelType = COMMAND_CHANNEL_TYPES[commandName] || invokedChannelType;
+      if (!(await this.checkRateLimit(interaction, channelType))) return;
+
+      const { response, limits } = await this.generateAnswer(interaction, channelType, prompt, `/${commandName}`);
+      await this.responseSender.sendInteraction(interaction, response, limits);
+    } catch (error) {
+      logger.error(`Error handling /${commandName}:`, error);
+      await this.replyWithError(interaction);
+    }
+  }
+
+  // Charts are drawn locally from every row; no model call is involved
+  async handleChart(interaction) {
+    const file = interaction.options.getAttachment('file');
+    if (file && !this.dataAnalysisService.isDataAttachment(file)) {
+      await interaction.reply({ content: `❌ \`${file.name}\` isn't a dataset. Attach a CSV, TSV or JSON file.`, ephemeral: true });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: interaction.options.getBoolean('private') ?? false });
+
+    let datasets;
+    if (file) {
+      datasets = [await this.dataAnalysisService.loadDataset(file)];
+      if (datasets[0].skipped) {
+        await interaction.editReply(`❌ Couldn't use \`${file.name}\`: ${datasets[0].skipped}.`);
+        return;
+      }
+      this.dataAnalysisService.rememberDatasets(interaction.channelId, datasets);
+    } else {
+      datasets = this.dataAnalysisService.getRecentDatasets(interaction.channelId);
+      if (datasets.length === 0) {
+        await interaction.editReply('❌ No dataset has been shared here in the last hour. Attach one with the `file` option.');
+        return;
+      }
+    }
+
+    const spec = {
+      type: interaction.options.getString('type'),
+      x: interaction.options.getString('x'),
+      y: interaction.options.getString('y'),
+      aggregate: interaction.options.getString('aggregate'),
+      series: interaction.options.getString('series'),
+      bucket: interaction.options.getString('bucket'),
+      bins: interaction.options.getInteger('bins'),
+      title: interaction.options.getString('title')
+    };
+
+    try {
+      const { file: chartFile } = this.dataAnalysisService.renderChart(spec, datasets, interaction.options.getString('format') || 'png');
+      await interaction.editReply({ files: [chartFile] });
+    } catch (error) {
+      logger.warn(`Could not draw /chart for ${interaction.user.id}: ${error.message}`);
+      const columns = datasets[0].dataset.columns.map(column => `\`${column}\``).join(', ');
+      await interaction.editReply(`❌ Couldn't draw the chart: ${error.message}.\nColumns in ${datasets[0].name}: ${columns}`.substring(0, 2000));
+    }
+  }
+
+  // Threads keep their transcript in memory, so any of these can be resumed by posting in it
+  async handleThreads(interaction) {
+    const mine = interaction.options.getBoolean('mine') ?? false;
+    const threads = await this.memoryService.listThreadContexts(interaction.guild?.id, {
+      userId: mine ? interaction.user.id : null
+    });
+
+    if (threads.length === 0) {
+      await interaction.reply({ content: `🧵 No ${mine ? 'threads you took part in' : 'conversation threads'} yet.`, ephemeral: true });
+      return;
+    }
+
+    const lines = threads.map(thread =>
+      `• <#${thread.threadId}> · ${thread.channelType} · ${thread.messageCount || 0} message${thread.messageCount === 1 ? '' : 's'} · last active <t:${Math.floor(thread.lastActivity.getTime() / 1000)}:R>`);
+
+    await interaction.reply({
+      content: `🧵 **Recent Threads**\n${lines.join('\n')}\n\nPost in a thread to carry on the conversation; archived threads reopen automatically.`,
+      ephemeral: true
+    });
+  }
+
+  getContextMenuCommands() {
+    return Object.keys(CONTEXT_MENU_COMMANDS).map(name =>
+      new ContextMenuCommandBuilder()
+        .setName(name)
+        .setType(ApplicationCommandType.Message));
+  }
+
+  async handleContextMenuCommand(interaction) {
+    return runWithCorrelationId(createCorrelationId(), () => this.processContextMenuCommand(interaction));
+  }
+
+  async processContextMenuCommand(interaction) {
+    const command = CONTEXT_MENU_COMMANDS[interaction.commandName];
+    const targetMessage = interaction.targetMessage;
+    logger.info(`Context menu "${interaction.commandName}" from ${interaction.user.id} on message ${targetMessage.id}`);
+
+    try {
+      const invokedChannelType = await this.getInvokedChannelType(interaction);
+      if (!invokedChannelType) {
+        await this.replyWithNotice(interaction, UNAVAILABLE_IN_CHANNEL);
+        return;
+      }
+
+      // The acknowledgement is private and comes before fetching the transcript, which can take a while;
+      // the answer itself goes to a thread when the channel supports them
+      await interaction.deferReply({ ephemeral: true });
+
+      const prompt = await this.buildContextMenuPrompt(interaction, command.key, targetMessage);
+      if (!prompt) return;
+
+      const channelType = command.channelType || invokedChannelType;
+      if (!(await this.checkRateLimit(interaction, channelType))) return;
+
+      const { response, limits } = await this.generateAnswer(interaction, channelType, prompt, `menu:${command.key}`);
+      const thread = await this.getAnswerThread(interaction, targetMessage, command.threadLabel, limits);
+
+      if (thread) {
+        await this.responseSender.sendToChannel(thread, response, limits);
+        await this.channelHandler.recordThreadExchange(thread, channelType, interaction.user, prompt, response);
+        await interaction.editReply(`🧵 Answered in ${thread}`);
+      } else {
+        await this.responseSender.sendInteraction(interaction, response, limits);
+      }
+    } catch (error) {
+      logger.error(`Error handling context menu "${interaction.commandName}":`, error);
+      await this.replyWithError(interaction);
+    }
+  }
+
+  // Shared by slash and context-menu commands: same LLM routing, memory and budget handling as channel messages
+  async generateAnswer(interaction, channelType, prompt, source) {
+    messagesHandled.inc({ channel_type: channelType });
+
+    const context = await this.buildCommandContext(interaction, channelType, prompt);
+    const response = await this.llmService.generateResponse(context);
+    const limits = await this.channelHandler.getMessageLimits(channelType, context.guildId);
+
+    await this.memoryService.storeInteraction({
+      userId: interaction.user.id,
+      username: interaction.user.displayName,
+      guildId: context.guildId,
+      channel: channelType,
+      userMessage: prompt,
+      botResponse: response,
+      timestamp: new Date(),
+      context: context.memoryContext,
+      generation: context.generation,
+      source,
+      correlationId: context.correlationId
+    });
+
+    if (context.generation?.budgetWarnings?.length > 0) {
+      await this.channelHandler.postBudgetWarnings(interaction.guild, context.generation.budgetWarnings);
+    }
+
+    return { response, limits };
+  }
+
+  async replyWithError(interaction) {
+    const content = '⚠️ Something went wrong processing your request. Please try again.';
+    if (interaction.deferred) {
+      await interaction.editReply(content);
+    } else if (!interaction.replied) {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+
+  // Validation and rate-limit messages: into the deferred reply once there is one, otherwise privately
+  async replyWithNotice(interaction, content) {
+    if (interaction.deferred) {
+      await interaction.editReply(content);
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+  }
+
+  // Answer in the current thread, the message's existing thread, or a new one; null means reply ephemerally
+  async getAnswerThread(interaction, targetMessage, label, limits) {
+    if (interaction.channel?.isThread()) return interaction.channel;
+    if (!limits.threadSupport) return null;
+    if (targetMessage.hasThread) return targetMessage.thread;
+
+    try {
+      const subject = (targetMessage.content || targetMessage.author.displayName).replace(/\s+/g, ' ').substring(0, 60);
+      return await targetMessage.startThread({
+        name: `${label}: ${subject}`.substring(0, 100),
+        autoArchiveDuration: 1440, // 24 hours
+        reason: `${interaction.commandName} requested by ${interaction.user.username}`
+      });
+    } catch (error) {
+      logger.warn('Failed to create answer thread, replying privately:', error.message);
+      return null;
+    }
+  }
+
+  async buildContextMenuPrompt(interaction, key, targetMessage) {
+    const author = targetMessage.author.displayName;
+
+    if (key === 'summarize') {
+      const transcript = await this.getTranscript(interaction, targetMessage);
+      if (transcript.length === 0) {
+        await this.replyWithNotice(interaction, '❌ There are no readable messages to summarize here.');
+        return null;
+      }
+      return `Summarize this conversation. List the key points, decisions made, open questions and any action items with owners:\n\n${transcript.join('\n')}`;
+    }
+
+    if (!targetMessage.content?.trim()) {
+      await this.replyWithNotice(interaction, '❌ That message has no text to work with.');
+      return null;
+    }
+
+    switch (key) {
+      case 'explain':
+        return `Explain this message from ${author} clearly, starting with a one-sentence summary:\n\n${targetMessage.content}`;
+      case 'review': {
+        const { blocks, inline } = extractCodeBlocks(targetMessage.content);
+        if (blocks.length === 0 && inline.length === 0) {
+          await this.replyWithNotice(interaction, '❌ That message has no code blocks to review. Use `/review` to review a file or pasted snippet.');
+          return null;
+        }
+        const code = blocks.length > 0 ? blocks.join('\n\n') : inline.join('\n');
+        return `Review this code posted by ${author}. Point out bugs, risks and improvements, quoting the relevant lines:\n\n${code}`;
+      }
+      case 'task':
+        return `Turn this message from ${author} into a task. Give it a short title, a description, acceptance criteria, a priority (high/medium/low) and an effort estimate:\n\n${targetMessage.content}`;
+      default:
+        return null;
+    }
+  }
+
+  // Messages from the thread the command was used in (or the message's own thread), otherwise around the message
+  async getTranscript(interaction, targetMessage) {
+    const thread = interaction.channel?.isThread() ? interaction.channel : targetMessage.thread;
+    const messages = thread
+      ? await thread.messages.fetch({ limit: 100 })
+      : await targetMessage.channel.messages.fetch({ limit: 50, around: targetMessage.id });
+
+    const lines = [...messages.values()]
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+      .filter(msg => msg.content?.trim())
+      .map(msg => `${msg.author.displayName}: ${msg.content}`);
+
+    return trimTranscript(lines, MAX_TRANSCRIPT_CHARS);
+  }
+
+  // Admin channels aren't for conversation, so commands run there use the general configuration,
+  // as do commands invoked explicitly in a channel with no binding; returns null for channels bound as ignored
+  async getInvokedChannelType(interaction) {
+    const { channelType, source } = await this.channelHandler.getChannelType(interaction.channel);
+    if (source === 'ignored') return null;
+    return !channelType || channelType === 'admin' ? 'general' : channelType;
+  }
+
+  // Turn command options into the user message sent to the LLM; replies and returns null when input is unusable
+  async buildPrompt(interaction) {
+    const options = interaction.options;
+
+    switch (interaction.commandName) {
+      case 'ask':
+        return options.getString('question');
+      case 'explain':
+        return `Explain the following clearly, starting with a one-sentence summary:\n\n${options.getString('topic')}`;
+      case 'plan':
+        return `Create an actionable plan for this goal. Break it into ordered tasks with rough effort estimates and call out risks or dependencies:\n\n${options.getString('goal')}`;
+      case 'review':
+        return await this.buildReviewPrompt(interaction);
+      case 'analyze':
+        return await this.buildAnalyzePrompt(interaction);
+      default:
+        await this.replyWithNotice(interaction, '❓ Unknown command.');
+        return null;
+    }
+  }
+
+  async buildReviewPrompt(interaction) {
+    const file = interaction.options.getAttachment('file');
+    const snippet = interaction.options.getString('code');
+    const focus = interaction.options.getString('focus');
+
+    if (!file && !snippet) {
+      await this.replyWithNotice(interaction, '❌ Attach a file or paste a snippet with the `code` option.');
+      return null;
+    }
+
+    const code = file ? await this.readAttachment(interaction, file) : snippet;
+    if (code === null) return null;
+
+    const language = file ? detectLanguage(file.name) : '';
+    const label = file ? `\`${file.name}\`` : 'this code';
+
+    return `Review ${label}${focus ? ` with a focus on ${focus}` : ''}. Point out bugs, risks and improvements, quoting the relevant lines:\n\n\`\`\`${language}\n${code}\n\`\`\``;
+  }
+
+  async buildAnalyzePrompt(interaction) {
+    const question = interaction.options.getString('question');
+    const file = interaction.options.getAttachment('file');
+    if (!file) return question;
+
+    // Datasets are profiled locally; only the profile and a sample go to the model
+    if (this.dataAnalysisService.isDataAttachment(file)) {
+      const dataset = await this.dataAnalysisService.loadDataset(file);
+      if (dataset.skipped) {
+        await this.replyWithNotice(interaction, `❌ Couldn't use \`${file.name}\`: ${dataset.skipped}.`);
+        return null;
+      }
+      return `${question}\n\n${this.dataAnalysisService.buildPromptSection([dataset])}`;
+    }
+
+    const data = await this.readAttachment(interaction, file);
+    if (data === null) return null;
+
+    return `${question}\n\nData from \`${file.name}\`:\n\`\`\`${detectLanguage(file.name)}\n${data}\n\`\`\``;
+  }
+
+  async readAttachment(interaction, file) {
+    if (!isTextAttachment(file)) {
+      await this.replyWithNotice(interaction, `❌ \`${file.name}\` doesn't look like a text file.`);
+      return null;
+    }
+
+    try {
+      return await fetchAttachmentText(file);
+    } catch (error) {
+      logger.warn(`Could not read attachment ${file.name}: ${error.message}`);
+      await this.replyWithNotice(interaction, `❌ Couldn't read \`${file.name}\`: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Slash commands share the per-user rate limit of the channel configuration they use
+  async checkRateLimit(interaction, channelType) {
+    try {
+      const result = await this.rateLimitService.consume({
+        guildId: interaction.guild?.id,
+        channelType,
+        userId: interaction.user.id,
+        member: interaction.member,
+        features: await this.channelHandler.getRateLimitSettings(channelType, interaction.guild?.id)
+      });
+
+      if (result.allowed) return true;
+
+      logger.info(`Rate limited ${interaction.user.username} in ${channelType} for ${result.retryAfterMs}ms`);
+      await this.replyWithNotice(interaction, `⏳ **Slow down!** You've used your ${result.limit.messages} message${result.limit.messages === 1 ? '' : 's'} per ${result.limit.minutes} minute${result.limit.minutes === 1 ? '' : 's'} for ${channelType}. Try again in **${formatDuration(result.retryAfterMs)}**.`);
+      return false;
+    } catch (error) {
+      logger.warn('Rate limit check failed, allowing command:', error.message);
+      return true;
+    }
+  }
+
+  // Same shape as MessageHandler.buildMessageContext; channel history is skipped because slash commands
+  // are how users talk to the bot when the MessageContent intent (needed to read history) is unavailable
+  async buildCommandContext(interaction, channelType, prompt) {
+    const memoryContext = await this.memoryService.getRelevantContext({
+      userId: interaction.user.id,
+      channelType,
+      currentMessage: prompt,
+      lookbackDays: 14
+    });
+
+    return {
+      message: prompt,
+      messageId: interaction.id,
+      channelType,
+      guildId: interaction.guild?.id,
+      userId: interaction.user.id,
+      username: interaction.user.displayName,
+      messageHistory: [],
+      memoryContext,
+      timestamp: interaction.createdAt,
+      correlationId: getCorrelationId()
+    };
+  }
+}
@@ -1,16 +1,24 @@
 // src/services/AdminCommandService.js - Comprehensive Admin Command System
-import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType } from 'discord.js';
 import { ChannelConfigService } from './ChannelConfigService.js';
+import { ChannelBindingService, BINDABLE_TYPES, IGNORED_CHANNEL } from './ChannelBindingService.js';
 import { MemoryService } from './MemoryService.js';
-import { LLMService } from './llm/LLMService.js';
-import { hasAdminAccess, getChannelType } from '../../config/channels.js';
-import { logger } from '../utils/logger.js';
+import { RateLimitService } from './RateLimitService.js';
+import { UsageService } from './UsageService.js';
+import { SchedulerService, JOB_TYPES } from './SchedulerService.js';
+import { LLMService, SUPPORTED_PROVIDERS } from './llm/LLMService.js';
+import { hasAdminAccess } from '../../config/channels.js';
+import { logger, createCorrelationId, runWithCorrelationId } from '../utils/logger.js';
 
 export class AdminCommandService {
   constructor() {
     this.channelConfigService = new ChannelConfigService();
+    this.channelBindingService = new ChannelBindingService();
     this.memoryService = new MemoryService();
     this.llmService = new LLMService();
+    this.rateLimitService = new RateLimitService();
+    this.usageService = new UsageService();
+    this.schedulerService = new SchedulerService();
     this.pendingConfirmations = new Map(); // Store pending confirmations
     this.confirmationTimeout = 30000; // 30 seconds
   }
@@ -38,7 +46,25 @@ export class AdminCommandService {
               { name: 'Claude 3 Sonnet', value: 'claude-3-sonnet' },
               { name: 'Llama 3 70B', value: 'llama3:70b' },
               { name: 'Custom', value: 'custom' }
-            )),
+            ))
+        .addStringOption(option =>
+          option.setName('provider')
+            .setDescription('Provider override (inferred from the model name when omitted)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'OpenAI', value: 'openai' },
+              { name: 'Anthropic', value: 'anthropic' },
+              { name: 'Ollama', value: 'ollama' },
+              { name: 'OpenAI-compatible (vLLM, LM Studio, llama.cpp, ...)', value: 'openai-compatible' }
+            ))
+        .addStringOption(option =>
+          option.setName('custom_model')
+            .setDescription('Model name to use when "Custom" is selected')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('base_url')
+            .setDescription('Base URL for an OpenAI-compatible server (e.g., http://localhost:8000/v1)')
+            .setRequired(false)),
 
       new SlashCommandBuilder()
         .setName('setprompt')
@@ -74,6 +100,200 @@ export class AdminCommandService {
             .setDescription('Target channel')
             .setRequired(true)),
 
+      new SlashCommandBuilder()
+        .setName('bindchannel')
+        .setDescription('Bind a channel to a channel type, or tell the bot to ignore it')
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Target channel')
+            .setRequired(true)
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('Channel type whose configuration the channel uses')
+            .setRequired(true)
+            .addChoices(...BINDABLE_TYPES.map(type => ({
+              name: type === IGNORED_CHANNEL ? 'ignore (the bot stays out of this channel)' : type,
+              value: type
+            })))),
+
+      new SlashCommandBuilder()
+        .setName('unbindchannel')
+        .setDescription('Remove a channel\'s type binding')
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Target channel')
+            .setRequired(true)),
+
+      new SlashCommandBuilder()
+        .setName('channelbindings')
+        .setDescription('List channel bindings and set keyword matching for unbound channels')
+        .addBooleanOption(option =>
+          option.setName('keyword_fallback')
+            .setDescription('Type unbound channels by keywords in their name (e.g. #dev-chat → coding)')
+            .setRequired(false)),
+
+      new SlashCommandBuilder()
+        .setName('ratelimit')
+        .setDescription('Manage per-user rate limits')
+        .addSubcommand(subcommand =>
+          subcommand.setName('status')
+            .setDescription('Show remaining messages and overrides for a user')
+            .addUserOption(option =>
+              option.setName('user')
+                .setDescription('Target user')
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('reset')
+            .setDescription('Refill a user\'s rate limit buckets')
+            .addUserOption(option =>
+              option.setName('user')
+                .setDescription('Target user')
+                .setRequired(true))
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('Only reset this channel (optional)')
+                .setRequired(false)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('exempt')
+            .setDescription('Temporarily exempt a user from rate limits')
+            .addUserOption(option =>
+              option.setName('user')
+                .setDescription('Target user')
+                .setRequired(true))
+            .addIntegerOption(option =>
+              option.setName('minutes')
+                .setDescription('Exemption length in minutes (0 revokes, default 60)')
+                .setMinValue(0)
+                .setMaxValue(10080)
+                .setRequired(false)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('set')
+            .setDescription('Set the rate limit for a channel')
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('Target channel')
+                .setRequired(true))
+            .addIntegerOption(option =>
+              option.setName('messages')
+                .setDescription('Messages allowed per window')
+                .setMinValue(1)
+                .setMaxValue(1000)
+                .setRequired(true))
+            .addIntegerOption(option =>
+              option.setName('minutes')
+                .setDescription('Window length in minutes (0 disables the limit)')
+                .setMinValue(0)
+                .setMaxValue(1440)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('role')
+            .setDescription('Set a per-role rate limit for a channel')
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('Target channel')
+                .setRequired(true))
+            .addRoleOption(option =>
+              option.setName('role')
+                .setDescription('Role the limit applies to')
+                .setRequired(true))
+            .addIntegerOption(option =>
+              option.setName('messages')
+                .setDescription('Messages allowed per window (omit with exempt)')
+                .setMinValue(1)
+                .setMaxValue(1000)
+                .setRequired(false))
+            .addIntegerOption(option =>
+              option.setName('minutes')
+                .setDescription('Window length in minutes (defaults to the channel window)')
+                .setMinValue(1)
+                .setMaxValue(1440)
+                .setRequired(false))
+            .addBooleanOption(option =>
+              option.setName('exempt')
+                .setDescription('Exempt the role from limits entirely')
+                .setRequired(false))
+            .addBooleanOption(option =>
+              option.setName('remove')
+                .setDescription('Remove the role rule instead')
+                .setRequired(false))),
+
+      new SlashCommandBuilder()
+        .setName('usage')
+        .setDescription('LLM token usage, spend and budgets')
+        .addSubcommand(subcommand =>
+          subcommand.setName('report')
+            .setDescription('Break down spend by channel, user and day')
+            .addIntegerOption(option =>
+              option.setName('days')
+                .setDescription('How many days to include (default 30)')
+                .setMinValue(1)
+                .setMaxValue(365)
+                .setRequired(false)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('budget')
+            .setDescription('Set a monthly budget that warns #admin at 80%')
+            .addNumberOption(option =>
+              option.setName('amount')
+                .setDescription('Monthly budget in USD (0 removes it)')
+                .setMinValue(0)
+                .setRequired(true))
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('Budget a single channel instead of the whole server')
+                .setRequired(false)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('price')
+            .setDescription('Set the price of a model')
+            .addStringOption(option =>
+              option.setName('model')
+                .setDescription('Model name as configured for channels')
+                .setRequired(true))
+            .addNumberOption(option =>
+              option.setName('input')
+                .setDescription('USD per 1M prompt tokens')
+                .setMinValue(0)
+                .setRequired(true))
+            .addNumberOption(option =>
+              option.setName('output')
+                .setDescription('USD per 1M completion tokens')
+                .setMinValue(0)
+                .setRequired(true)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('cap')
+            .setDescription('Set a spend cap: soft downgrades the model, hard stops replies')
+            .addStringOption(option =>
+              option.setName('period')
+                .setDescription('Cap window (UTC)')
+                .setRequired(true)
+                .addChoices(
+                  { name: 'Daily', value: 'daily' },
+                  { name: 'Monthly', value: 'monthly' }
+                ))
+            .addNumberOption(option =>
+              option.setName('soft')
+                .setDescription('Soft cap in USD; switches to the downgrade model (0 removes it)')
+                .setMinValue(0)
+                .setRequired(false))
+            .addNumberOption(option =>
+              option.setName('hard')
+                .setDescription('Hard cap in USD; replies with a budget notice (0 removes it)')
+                .setMinValue(0)
+                .setRequired(false))
+            .addChannelOption(option =>
+              option.setName('channel')
+                .setDescription('Cap a single channel instead of the whole server')
+                .setRequired(false))
+            .addStringOption(option =>
+              option.setName('downgrade_model')
+                .setDescription('Cheaper model to use past the soft cap')
+                .setRequired(false))
+            .addStringOption(option =>
+              option.setName('downgrade_provider')
+                .setDescription('Provider for the downgrade model (inferred from the name if omitted)')
+                .setRequired(false)
+                .addChoices(...SUPPORTED_PROVIDERS.map(provider => ({ name: provider, value: provider }))))),
+
       // System Management Commands
       new SlashCommandBuilder()
         .setName('models')
@@ -95,6 +315,45 @@ export class AdminCommandService {
             .setDescription('Configuration JSON file')
             .setRequired(true)),
 
+      new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Manage scheduled jobs')
+        .addSubcommand(subcommand =>
+          subcommand.setName('add')
+            .setDescription('Schedule a recurring job')
+            .addStringOption(option =>
+              option.setName('type')
+                .setDescription('Job to run')
+                .setRequired(true)
+                .addChoices(...Object.entries(JOB_TYPES).map(([value, job]) => ({ name: job.description, value }))))
+            .addStringOption(option =>
+              option.setName('cron')
+                .setDescription('Cron expression, e.g. "0 9 * * 1-5" (defaults per job type)')
+                .setRequired(false))
+            .addStringOption(option =>
+              option.setName('timezone')
+                .setDescription('IANA timezone, e.g. Europe/London (default: server time)')
+                .setRequired(false))
+            .addStringOption(option =>
+              option.setName('message')
+                .setDescription('Custom standup prompt')
+                .setRequired(false))
+            .addIntegerOption(option =>
+              option.setName('retention_days')
+                .setDescription('Days of memory to keep for retention sweeps (default 90)')
+                .setMinValue(1)
+                .setRequired(false)))
+        .addSubcommand(subcommand =>
+          subcommand.setName('list')
+            .setDescription('List scheduled jobs and their last run'))
+        .addSubcommand(subcommand =>
+          subcommand.setName('remove')
+            .setDescription('Remove a scheduled job')
+            .addStringOption(option =>
+              option.setName('id')
+                .setDescription('Job ID from /schedule list')
+                .setRequired(true))),
+
       // Memory Management Commands
       new SlashCommandBuilder()
         .setName('resetmemory')
@@ -141,18 +400,17 @@ export class AdminCommandService {
   }
 
   // Handle slash command interactions
+  // Every log line written while handling the command carries the same correlation ID
   async handleSlashCommand(interaction) {
-    // Check if user has admin access
-    if (!hasAdminAccess(interaction.member)) {
-      await interaction.reply({
-        content: '❌ **Access Denied**\nYou need administrator permissions to use admin commands.',
-        ephemeral: true
-      });
-      return;
-    }
+    return runWithCorrelationId(createCorrelationId(), () => this.processSlashCommand(interaction));
+  }
+
+  async processSlashCommand(interaction) {
+    // Admin access is checked by CommandRouter before the command reaches this service
+    logger.info(`Slash command /${interaction.commandName} from ${interaction.user.id}`);
 
     // Check if command is in admin channel (for non-ephemeral commands)
-    const isAdminChannel = getChannelType(interaction.channel.name) === 'admin';
+    const isAdminChannel = (await this.resolveChannelType(interaction.channel)) === 'admin';
     const commandName = interaction.commandName;
 
     try {
@@ -169,6 +427,21 @@ export class AdminCommandService {
         case 'showconfig':
           await this.handleShowConfig(interaction);
           break;
+        case 'bindchannel':
+          await this.handleBindChannel(interaction);
+          break;
+        case 'unbindchannel':
+          await this.handleUnbindChannel(interaction);
+          break;
+        case 'channelbindings':
+          await this.handleChannelBindings(interaction);
+          break;
+        case 'ratelimit':
+          await this.handleRateLimit(interaction);
+          break;
+        case 'usage':
+          await this.handleUsage(interaction);
+          break;
         case 'models':
           await this.handleListModels(interaction);
           break;
@@ -181,6 +454,9 @@ export class AdminCommandService {
         case 'restore':
           await this.handleRestore(interaction);
           break;
+        case 'schedule':
+          await this.handleSchedule(interaction);
+          break;
         case 'resetmemory':
           await this.handleResetMemory(interaction);
           break;
@@ -224,7 +500,8 @@ export class AdminCommandService {
   // Handle message-based commands (legacy support)
   async handleMessageCommand(message) {
     const content = message.content.toLowerCase();
-    const args = content.split(' ').slice(1);
+    // Arguments keep their case so prompts, model names and URLs survive intact
+    const args = message.content.trim().split(/\s+/).slice(1);
 
     // Check admin access and channel
     if (!hasAdminAccess(message.member)) {
@@ -232,9 +509,9 @@ export class AdminCommandService {
       return;
     }
 
-    const isAdminChannel = getChannelType(message.channel.name) === 'admin';
+    const isAdminChannel = (await this.resolveChannelType(message.channel)) === 'admin';
     if (!isAdminChannel && !content.startsWith('!help')) {
-      await message.reply('⚠️ **Wrong Channel**\nAdmin commands can only be used in the #admin channel.');
+      await message.reply('⚠️ **Wrong Channel**\nAdmin commands can only be used in a channel bound to the admin type.');
       return;
     }
 
@@ -274,23 +551,134 @@ export class AdminCommandService {
     }
   }
 
+  // Channel type a command targets, from the channel's binding; null when it is unbound or ignored
+  async resolveChannelType(channel) {
+    const { channelType } = await this.channelBindingService.resolve(channel);
+    return channelType;
+  }
+
+  unboundChannelMessage(channel) {
+    return `❌ ${channel} isn't bound to a channel type. Bind it with \`/bindchannel\` first.`;
+  }
+
+  formatBindingSource({ channelType, source }) {
+    return {
+      binding: channelType,
+      keyword: `${channelType} (keyword match)`,
+      ignored: 'ignored',
+      unbound: 'unbound'
+    }[source];
+  }
+
+  // Channel Binding Commands
+  async handleBindChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const channelType = interaction.options.getString('type');
+    const guildId = interaction.guild.id;
+
+    const previous = await this.channelBindingService.resolve(channel);
+    await this.channelBindingService.bindChannel(guildId, channel, channelType, interaction.user.id);
+    const ignored = channelType === IGNORED_CHANNEL;
+
+    const embed = new EmbedBuilder()
+      .setColor(0x00ff00)
+      .setTitle(ignored ? '🔇 Channel Ignored' : '🔗 Channel Bound')
+      .addFields(
+        { name: 'Channel', value: `${channel}`, inline: true },
+        { name: 'Type', value: ignored ? 'ignored' : channelType, inline: true },
+        { name: 'Previously', value: this.formatBindingSource(previous), inline: true }
+      )
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+  }
+
+  async handleUnbindChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const removed = await this.channelBindingService.unbindChannel(interaction.guild.id, channel.id);
+
+    if (!removed) {
+      await interaction.reply({ content: `ℹ️ ${channel} has no binding to remove`, ephemeral: true });
+      return;
+    }
+
+    // With keyword matching on, the channel can still pick up a type from its name
+    const { channelType, source } = await this.channelBindingService.resolve(channel);
+    const outcome = source === 'keyword'
+      ? `it now matches **${channelType}** by keyword`
+      : 'the bot ignores it until it is bound again';
+    await interaction.reply(`✅ Removed the **${removed.channelType}** binding from ${channel}; ${outcome}`);
+  }
+
+  async handleChannelBindings(interaction) {
+    const guildId = interaction.guild.id;
+    const keywordFallback = interaction.options.getBoolean('keyword_fallback');
+
+    if (keywordFallback !== null) {
+      await this.channelBindingService.setKeywordFallback(guildId, keywordFallback, interaction.user.id);
+    }
+
+    const bindings = await this.channelBindingService.listBindings(guildId);
+    const fallbackEnabled = await this.channelBindingService.isKeywordFallbackEnabled(guildId);
+    const unboundTypes = BINDABLE_TYPES.filter(type => type !== IGNORED_CHANNEL && !bindings.some(binding => binding.channelType === type));
+
+    const lines = bindings.slice(0, 25).map(binding =>
+      `<#${binding.channelId}> → ${binding.channelType === IGNORED_CHANNEL ? 'ignored' : `**${binding.channelType}**`}`);
+    if (bindings.length > lines.length) {
+      lines.push(`...and ${bindings.length - lines.length} more`);
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099ff)
+      .setTitle('🔗 Channel Bindings')
+      .addFields(
+        { name: 'Bound Channels', value: lines.join('\n') || 'None yet - use `/bindchannel`', inline: false },
+        { name: 'Types Without a Channel', value: unboundTypes.join(', ') || 'None', inline: false },
+        {
+          name: 'Keyword Fallback',
+          value: fallbackEnabled
+            ? 'On - unbound channels are typed by keywords in their name'
+            : 'Off - the bot ignores unbound channels',
+          inline: false
+        }
+      )
+      .setTimestamp();
+
+    await interaction.reply({ embeds: [embed] });
+  }
+
   // Channel Management Commands
   async handleSetModel(interaction) {
     const channel = interaction.options.getChannel('channel');
-    const model = interaction.options.getString('model');
+    const customModel = interaction.options.getString('custom_model');
+    const model = interaction.options.getString('model') === 'custom'
+      ? customModel
+      : interaction.options.getString('model');
     
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
     const guildId = interaction.guild.id;
 
-    if (model === 'custom') {
+    if (!model) {
       await interaction.reply({
-        content: '📝 **Custom Model**\nPlease specify the custom model name using the message command:\n`!setmodel #' + channel.name + ' your-custom-model`',
+        content: '📝 **Custom Model**\nPlease specify the custom model name with the `custom_model` option, or use the message command:\n`!setmodel #' + channel.name + ' your-custom-model [provider] [base_url]`',
         ephemeral: true
       });
       return;
     }
 
-    const updates = { 'llmConfig.model': model };
+    const { updates, provider, error } = this.buildModelUpdates(
+      model,
+      interaction.options.getString('provider'),
+      interaction.options.getString('base_url')
+    );
+    if (error) {
+      await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+      return;
+    }
     const success = await this.llmService.updateChannelConfig(channelType, updates, guildId);
 
     const embed = new EmbedBuilder()
@@ -298,7 +686,7 @@ export class AdminCommandService {
       .setTitle(success ? '✅ Model Updated' : '❌ Update Failed')
       .addFields(
         { name: 'Channel', value: `${channel}`, inline: true },
-        { name: 'Model', value: model, inline: true },
+        { name: 'Model', value: provider ? `${provider}/${model}` : model, inline: true },
         { name: 'Status', value: success ? 'Success' : 'Failed', inline: true }
       )
       .setTimestamp();
@@ -306,11 +694,55 @@ export class AdminCommandService {
     await interaction.reply({ embeds: [embed] });
   }
 
+  // Build llmConfig updates for a model change; an explicit provider wins over inference from the model name
+  buildModelUpdates(model, providerOverride, baseUrl) {
+    const provider = providerOverride || this.llmService.inferProviderForModel(model);
+
+    if (provider && !SUPPORTED_PROVIDERS.includes(provider)) {
+      return { error: `Unknown provider \`${provider}\`. Use one of: ${SUPPORTED_PROVIDERS.join(', ')}` };
+    }
+    if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+      return { error: 'Base URL must start with http:// or https://' };
+    }
+    if (baseUrl && provider !== 'openai-compatible') {
+      return { error: 'A base URL can only be set for the `openai-compatible` provider' };
+    }
+
+    const updates = { 'llmConfig.model': model };
+    if (provider) {
+      updates['llmConfig.provider'] = provider;
+    }
+    if (baseUrl) {
+      updates['llmConfig.baseUrl'] = baseUrl.replace(/\/+$/, '');
+    }
+    return { updates, provider };
+  }
+
+  formatRoutes(routes) {
+    return routes
+      .map(route => `${this.formatCircuitState(route.circuit)} \`${route.provider}/${route.model}\``)
+      .join(' → ');
+  }
+
+  formatCircuitState(state) {
+    return { closed: '🟢', 'half-open': '🟡', open: '🔴' }[state] || '⚪';
+  }
+
+  formatActiveRoute(active) {
+    if (!active) return 'No requests yet';
+    const label = `\`${active.provider}/${active.model}\``;
+    return active.isFallback ? `${label} (fallback #${active.index} since <t:${Math.floor(active.since.getTime() / 1000)}:R>)` : `${label} (primary)`;
+  }
+
   async handleSetPrompt(interaction) {
     const channel = interaction.options.getChannel('channel');
     const prompt = interaction.options.getString('prompt');
     
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
     const guildId = interaction.guild.id;
 
     const updates = { 'llmConfig.systemPrompt': prompt };
@@ -334,7 +766,11 @@ export class AdminCommandService {
     const channel = interaction.options.getChannel('channel');
     const temperature = interaction.options.getNumber('temperature');
     
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
     const guildId = interaction.guild.id;
 
     const updates = { 'llmConfig.temperature': temperature };
@@ -355,7 +791,11 @@ export class AdminCommandService {
 
   async handleShowConfig(interaction) {
     const channel = interaction.options.getChannel('channel');
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
     const guildId = interaction.guild.id;
 
     const config = await this.llmService.getChannelConfig(channelType, guildId);
@@ -368,6 +808,8 @@ export class AdminCommandService {
       return;
     }
 
+    const options = await this.llmService.getEffectiveOptions(channelType, guildId);
+
     const embed = new EmbedBuilder()
       .setColor(0x0099ff)
       .setTitle(`⚙️ Configuration for ${channel}`)
@@ -375,16 +817,278 @@ export class AdminCommandService {
         { name: 'Channel Type', value: channelType, inline: true },
         { name: 'Provider', value: config.llmConfig.provider, inline: true },
         { name: 'Model', value: config.llmConfig.model, inline: true },
-        { name: 'Temperature', value: config.llmConfig.temperature.toString(), inline: true },
-        { name: 'Max Tokens', value: config.llmConfig.maxTokens.toString(), inline: true },
+        { name: 'Temperature', value: options.temperature.toString(), inline: true },
+        { name: 'Max Tokens', value: options.maxTokens.toString(), inline: true },
+        { name: 'Top P', value: options.topP?.toString() || 'default', inline: true },
+        { name: 'Presence Penalty', value: options.presencePenalty?.toString() || 'default', inline: true },
+        { name: 'Frequency Penalty', value: options.frequencyPenalty?.toString() || 'default', inline: true },
+        { name: 'Stop Sequences', value: options.stop?.length > 0 ? options.stop.map(s => JSON.stringify(s)).join(', ') : 'none', inline: true },
         { name: 'Active', value: config.isActive ? '✅' : '❌', inline: true }
       )
       .setDescription(`**System Prompt Preview:**\n${config.llmConfig.systemPrompt.substring(0, 300)}...`)
       .setTimestamp();
 
+    const routeStatus = await this.llmService.getRouteStatus(channelType, guildId);
+    const retry = await this.llmService.getRetrySettings(channelType, guildId);
+    embed.addFields(
+      { name: 'Rate Limit', value: config.features?.rateLimitMinutes ? `${config.features.rateLimitMessages || 1} per ${config.features.rateLimitMinutes}m${config.features.roleRateLimits?.length ? ` (+${config.features.roleRateLimits.length} role rules)` : ''}` : 'none', inline: true },
+      { name: 'Retries', value: `${retry.maxRetries} (backoff ${retry.retryBaseDelayMs}-${retry.retryMaxDelayMs}ms)`, inline: true },
+      { name: 'Spend Caps', value: this.formatSpendCaps(config.spendCaps), inline: true },
+      { name: 'Replies To', value: config.features?.requireMention ? 'Mentions and replies only' : 'Every message', inline: true },
+      { name: 'File Attachments', value: config.features?.allowFiles ? `Read, up to ${config.features.maxAttachmentKB || 32} KB in total` : 'Ignored', inline: true },
+      { name: 'Route', value: this.formatRoutes(routeStatus.routes), inline: false },
+      { name: 'Active Route', value: this.formatActiveRoute(routeStatus.active), inline: false }
+    );
+
+    if (config.llmConfig.provider === 'openai-compatible') {
+      embed.addFields(
+        { name: 'Base URL', value: config.llmConfig.baseUrl || process.env.OPENAI_COMPATIBLE_URL || 'not set', inline: true },
+        { name: 'API Key Env', value: config.llmConfig.apiKeyEnv || 'OPENAI_COMPATIBLE_API_KEY', inline: true }
+      );
+    }
+
     await interaction.reply({ embeds: [embed] });
   }
 
+  async handleRateLimit(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+    const user = interaction.options.getUser('user');
+    const channel = interaction.options.getChannel('channel');
+    const channelType = channel ? await this.resolveChannelType(channel) : null;
+    if (channel && !channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
+
+    if (subcommand === 'status') {
+      const status = await this.rateLimitService.getStatus(guildId, user.id);
+      const bucketLines = status.buckets.length > 0
+        ? status.buckets.map(bucket => `**${bucket.channelType}**: ${bucket.remaining}/${bucket.capacity} left (refills over ${bucket.windowMinutes}m)`).join('\n')
+        : 'No recent rate-limited activity';
+
+      const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle(`⏳ Rate Limits for ${user.username}`)
+        .addFields(
+          { name: 'Buckets', value: bucketLines, inline: false },
+          { name: 'Override', value: status.override ? `Exempt until <t:${Math.floor(status.override.expiresAt.getTime() / 1000)}:R>` : 'None', inline: false }
+        )
+        .setTimestamp();
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+    } else if (subcommand === 'reset') {
+      const count = await this.rateLimitService.reset(guildId, user.id, channelType);
+      await interaction.reply(`✅ Reset ${count} rate limit bucket${count === 1 ? '' : 's'} for ${user}${channel ? ` in ${channel}` : ''}`);
+    } else if (subcommand === 'exempt') {
+      const minutes = interaction.options.getInteger('minutes') ?? 60;
+
+      if (minutes === 0) {
+        const removed = await this.rateLimitService.removeOverride(guildId, user.id);
+        await interaction.reply(removed ? `✅ Rate limit exemption revoked for ${user}` : `ℹ️ ${user} has no active exemption`);
+        return;
+      }
+
+      const expiresAt = await this.rateLimitService.setOverride(guildId, user.id, minutes, interaction.user.id);
+      await interaction.reply(`✅ ${user} is exempt from rate limits until <t:${Math.floor(expiresAt.getTime() / 1000)}:f>`);
+    } else if (subcommand === 'set') {
+      const messages = interaction.options.getInteger('messages');
+      const minutes = interaction.options.getInteger('minutes');
+      const success = await this.llmService.updateChannelConfig(channelType, {
+        'features.rateLimitMessages': messages,
+        'features.rateLimitMinutes': minutes
+      }, guildId);
+
+      await interaction.reply(success
+        ? (minutes === 0 ? `✅ Rate limit disabled for ${channel}` : `✅ ${channel} now allows ${messages} message${messages === 1 ? '' : 's'} per ${minutes} minute${minutes === 1 ? '' : 's'} per user`)
+        : `❌ Failed to update rate limit for ${channel}`);
+    } else if (subcommand === 'role') {
+      await this.handleRateLimitRole(interaction, channel, channelType, guildId);
+    }
+  }
+
+  // Add, replace or remove a channel's rule for one role; rules are keyed by role ID
+  async handleRateLimitRole(interaction, channel, channelType, guildId) {
+    const role = interaction.options.getRole('role');
+    const messages = interaction.options.getInteger('messages');
+    const minutes = interaction.options.getInteger('minutes');
+    const exempt = interaction.options.getBoolean('exempt') || false;
+    const remove = interaction.options.getBoolean('remove') || false;
+
+    if (!remove && !exempt && !messages) {
+      await interaction.reply({ content: '❓ Provide `messages`, set `exempt`, or set `remove` for the role rule.', ephemeral: true });
+      return;
+    }
+
+    const config = await this.llmService.getChannelConfig(channelType, guildId);
+    const rules = (config?.features?.roleRateLimits || []).filter(rule => rule.role !== role.id);
+
+    if (!remove) {
+      const rule = { role: role.id, name: role.name };
+      if (exempt) {
+        rule.exempt = true;
+      } else {
+        rule.messages = messages;
+        if (minutes) rule.minutes = minutes;
+      }
+      rules.push(rule);
+    }
+
+    const success = await this.llmService.updateChannelConfig(channelType, { 'features.roleRateLimits': rules }, guildId);
+
+    let summary = `${role} rule removed`;
+    if (!remove) {
+      summary = exempt
+        ? `${role} is exempt`
+        : `${role} allows ${messages} message${messages === 1 ? '' : 's'} per ${minutes ? `${minutes} minute${minutes === 1 ? '' : 's'}` : 'channel window'}`;
+    }
+
+    await interaction.reply(success
+      ? `✅ ${summary} in ${channel}`
+      : `❌ Failed to update role rate limits for ${channel}`);
+  }
+
+  async handleUsage(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+
+    if (subcommand === 'report') {
+      await interaction.deferReply();
+
+      const days = interaction.options.getInteger('days') || 30;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      const breakdown = await this.usageService.getBreakdown(guildId, since);
+      const budgets = await this.usageService.getBudgets(guildId);
+      const monthStart = this.usageService.getMonthStart();
+
+      const formatRow = (label, row) => `**${label}**: $${row.cost.toFixed(2)} · ${row.tokens.toLocaleString()} tokens · ${row.requests} req`;
+      const budgetLines = await Promise.all(budgets.map(async budget => {
+        const { cost } = await this.usageService.getSpend(guildId, monthStart, budget.channelType);
+        return `**${budget.channelType || 'server'}**: $${cost.toFixed(2)} / $${budget.monthlyUsd.toFixed(2)} (${Math.round((cost / budget.monthlyUsd) * 100)}%)`;
+      }));
+
+      const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle(`💸 LLM Usage - Last ${days} Days`)
+        .setDescription(formatRow('Total', breakdown.total))
+        .addFields(
+          { name: '📺 By Channel', value: breakdown.byChannel.map(row => formatRow(row._id, row)).join('\n') || 'No usage recorded', inline: false },
+          { name: '👤 Top Users', value: breakdown.byUser.map(row => formatRow(row.username || row._id || 'system', row)).join('\n') || 'No usage recorded', inline: false },
+          { name: '📅 By Day', value: breakdown.byDay.slice(0, 7).map(row => formatRow(row._id, row)).join('\n') || 'No usage recorded', inline: false },
+          { name: '🎯 Monthly Budgets', value: budgetLines.join('\n') || 'None set - use `/usage budget`', inline: false },
+          { name: '🛑 Spend Caps', value: (await this.getSpendCapLines(guildId)).join('\n') || 'None set - use `/usage cap`', inline: false }
+        )
+        .setFooter({ text: 'Estimated token counts are used for providers that do not report usage' })
+        .setTimestamp();
+
+      await interaction.editReply({ embeds: [embed] });
+    } else if (subcommand === 'budget') {
+      const amount = interaction.options.getNumber('amount');
+      const channel = interaction.options.getChannel('channel');
+      const channelType = channel ? await this.resolveChannelType(channel) : null;
+      if (channel && !channelType) {
+        await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+        return;
+      }
+      const success = await this.usageService.setBudget(guildId, channelType, amount);
+      const scope = channel ? `${channel}` : 'the server';
+
+      await interaction.reply(amount === 0
+        ? (success ? `✅ Monthly budget removed for ${scope}` : `ℹ️ No monthly budget was set for ${scope}`)
+        : `✅ Monthly budget for ${scope} set to $${amount.toFixed(2)}; #admin is warned at 80%`);
+    } else if (subcommand === 'price') {
+      const model = interaction.options.getString('model');
+      const input = interaction.options.getNumber('input');
+      const output = interaction.options.getNumber('output');
+      await this.usageService.setPrice(model, input, output);
+      await interaction.reply(`✅ \`${model}\` priced at $${input} input / $${output} output per 1M tokens`);
+    } else if (subcommand === 'cap') {
+      await this.handleSpendCap(interaction);
+    }
+  }
+
+  // Caps are merged into the existing ones so daily and monthly limits can be set separately
+  async handleSpendCap(interaction) {
+    const guildId = interaction.guild.id;
+    const period = interaction.options.getString('period');
+    const soft = interaction.options.getNumber('soft');
+    const hard = interaction.options.getNumber('hard');
+    const channel = interaction.options.getChannel('channel');
+    const downgradeModel = interaction.options.getString('downgrade_model');
+    const downgradeProvider = interaction.options.getString('downgrade_provider');
+
+    if (soft === null && hard === null && !downgradeModel) {
+      await interaction.reply({ content: '❌ Provide a soft cap, a hard cap or a downgrade model', ephemeral: true });
+      return;
+    }
+
+    const channelType = channel ? await this.resolveChannelType(channel) : null;
+    if (channel && !channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
+    const existing = channelType
+      ? (await this.channelConfigService.getSpendCaps(channelType, guildId)).channel
+      : await this.channelConfigService.getGuildSpendCaps(guildId);
+    const caps = { ...existing };
+
+    for (const [key, value] of [[`${period}SoftUsd`, soft], [`${period}HardUsd`, hard]]) {
+      if (value === null) continue;
+      if (value === 0) delete caps[key];
+      else caps[key] = value;
+    }
+
+    if (downgradeModel) {
+      const provider = downgradeProvider || this.llmService.inferProviderForModel(downgradeModel);
+      if (!provider) {
+        await interaction.reply({ content: `❌ Can't infer the provider for \`${downgradeModel}\`; set downgrade_provider`, ephemeral: true });
+        return;
+      }
+      caps.downgrade = { provider, model: downgradeModel };
+    }
+
+    const validation = this.channelConfigService.validateSpendCaps(caps);
+    if (!validation.valid) {
+      await interaction.reply({ content: `❌ ${validation.errors.join(', ')}`, ephemeral: true });
+      return;
+    }
+
+    const success = channelType
+      ? await this.channelConfigService.setChannelSpendCaps(channelType, caps, guildId)
+      : await this.channelConfigService.setGuildSpendCaps(guildId, caps);
+    const scope = channel ? `${channel}` : 'the server';
+
+    await interaction.reply(success
+      ? `✅ Spend caps for ${scope}: ${this.formatSpendCaps(caps)}`
+      : `❌ Failed to update spend caps for ${scope}`);
+  }
+
+  formatSpendCaps(caps) {
+    if (!caps) return 'none';
+
+    const parts = [];
+    for (const period of ['daily', 'monthly']) {
+      if (caps[`${period}SoftUsd`]) parts.push(`${period} soft $${caps[`${period}SoftUsd`].toFixed(2)}`);
+      if (caps[`${period}HardUsd`]) parts.push(`${period} hard $${caps[`${period}HardUsd`].toFixed(2)}`);
+    }
+    if (caps.downgrade) parts.push(`downgrade to ${caps.downgrade.provider}/${caps.downgrade.model}`);
+
+    return parts.join(' · ') || 'none';
+  }
+
+  async getSpendCapLines(guildId) {
+    const lines = [];
+    const guildCaps = await this.channelConfigService.getGuildSpendCaps(guildId);
+    if (guildCaps) lines.push(`**server**: ${this.formatSpendCaps(guildCaps)}`);
+
+    const configs = await this.channelConfigService.getAllChannelConfigs(guildId);
+    for (const config of configs) {
+      if (config.guildId === guildId && config.spendCaps) lines.push(`**${config.channelType}**: ${this.formatSpendCaps(config.spendCaps)}`);
+    }
+
+    return lines;
+  }
+
   // System Management Commands
   async handleListModels(interaction) {
     const embed = new EmbedBuilder()
@@ -406,6 +1110,11 @@ export class AdminCommandService {
           value: '• `llama3:70b` - Large Llama 3 model\n• `llama3:8b` - Smaller Llama 3 model\n• `codellama` - Code-specialized model',
           inline: false
         },
+        {
+          name: '⚪ OpenAI-Compatible Servers',
+          value: '• llama.cpp, vLLM, LM Studio and similar\n• `/setmodel provider:openai-compatible base_url:<url>`\n• Any model name the server serves',
+          inline: false
+        },
         {
           name: '💡 Usage Tips',
           value: '• Use GPT-4 for coding and analysis\n• Use GPT-3.5-turbo for general chat\n• Local models for privacy-sensitive work',
@@ -535,10 +1244,70 @@ export class AdminCommandService {
     }, this.confirmationTimeout);
   }
 
+  async handleSchedule(interaction) {
+    const subcommand = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+
+    if (subcommand === 'add') {
+      const type = interaction.options.getString('type');
+      const result = await this.schedulerService.addJob({
+        guildId,
+        type,
+        cronExpression: interaction.options.getString('cron'),
+        timezone: interaction.options.getString('timezone'),
+        message: interaction.options.getString('message'),
+        retentionDays: interaction.options.getInteger('retention_days') ?? undefined,
+        createdBy: interaction.user.id
+      });
+
+      if (!result.success) {
+        await interaction.reply({ content: `❌ ${result.errors.join('\n')}`, ephemeral: true });
+        return;
+      }
+
+      const { job } = result;
+      await interaction.reply(`✅ Scheduled **${JOB_TYPES[type].description}** as \`${job.jobId}\` (\`${job.cron}\`${job.timezone ? ` ${job.timezone}` : ''})`);
+    } else if (subcommand === 'list') {
+      const jobs = await this.schedulerService.listJobs(guildId);
+
+      const embed = new EmbedBuilder()
+        .setColor(0x0099ff)
+        .setTitle('⏰ Scheduled Jobs')
+        .setDescription(jobs.length > 0 ? null : 'No jobs scheduled - use `/schedule add`')
+        .setTimestamp();
+
+      for (const job of jobs.slice(0, 25)) {
+        embed.addFields({
+          name: `\`${job.jobId}\` ${JOB_TYPES[job.type]?.description || job.type}`,
+          value: `\`${job.cron}\`${job.timezone ? ` (${job.timezone})` : ''}\nLast run: ${this.formatLastRun(job.lastRun)}`,
+          inline: false
+        });
+      }
+
+      await interaction.reply({ embeds: [embed] });
+    } else if (subcommand === 'remove') {
+      const jobId = interaction.options.getString('id');
+      const removed = await this.schedulerService.removeJob(guildId, jobId);
+      await interaction.reply(removed
+        ? `✅ Removed scheduled job \`${jobId}\``
+        : { content: `❌ No scheduled job \`${jobId}\` in this server`, ephemeral: true });
+    }
+  }
+
+  formatLastRun(lastRun) {
+    if (!lastRun) return 'never';
+    const icon = lastRun.status === 'success' ? '✅' : '❌';
+    return `${icon} <t:${Math.floor(lastRun.at.getTime() / 1000)}:R> - ${lastRun.message.substring(0, 150)}`;
+  }
+
   // Memory Management Commands
   async handleResetMemory(interaction) {
     const channel = interaction.options.getChannel('channel');
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.reply({ content: this.unboundChannelMessage(channel), ephemeral: true });
+      return;
+    }
 
     // Create confirmation prompt for destructive operation
     const confirmationId = `resetmemory_${Date.now()}`;
@@ -742,7 +1511,11 @@ export class AdminCommandService {
 
     const channel = interaction.options.getChannel('channel');
     const message = interaction.options.getString('message');
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await interaction.editReply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = interaction.guild.id;
 
     try {
@@ -881,6 +1654,37 @@ export class AdminCommandService {
       )
       .setTimestamp();
 
+    const circuits = this.llmService.getCircuitStatuses();
+    if (circuits.length > 0) {
+      embed.addFields({
+        name: '🔌 Provider Circuits',
+        value: circuits.map(circuit => `${this.formatCircuitState(circuit.state)} \`${circuit.name}\`${circuit.consecutiveFailures > 0 ? ` - ${circuit.consecutiveFailures} failures` : ''}`).join('\n'),
+        inline: false
+      });
+    }
+
+    const fallbackRoutes = this.llmService.getActiveRoutes().filter(route => route.isFallback);
+    embed.addFields({
+      name: '🔀 Active Routes',
+      value: fallbackRoutes.length > 0
+        ? fallbackRoutes.map(route => `**${route.channelType}** → \`${route.provider}/${route.model}\``).join('\n')
+        : 'All channels on their primary provider',
+      inline: false
+    });
+
+    try {
+      const jobs = await this.schedulerService.listJobs(interaction.guild.id);
+      embed.addFields({
+        name: '⏰ Scheduled Jobs',
+        value: jobs.length > 0
+          ? jobs.map(job => `**${job.type}** \`${job.jobId}\`: ${this.formatLastRun(job.lastRun)}`).join('\n').substring(0, 1024)
+          : 'None scheduled',
+        inline: false
+      });
+    } catch (error) {
+      logger.error('Scheduler health check failed:', error);
+    }
+
     await interaction.editReply({ embeds: [embed] });
   }
 
@@ -892,12 +1696,12 @@ export class AdminCommandService {
       .addFields(
         {
           name: '⚙️ Channel Management',
-          value: '• `/setmodel` - Change LLM model for channel\n• `/setprompt` - Update system prompt\n• `/settemp` - Adjust temperature\n• `/showconfig` - Display configuration',
+          value: '• `/bindchannel` - Bind a channel to a type or ignore it\n• `/unbindchannel` - Remove a channel binding\n• `/channelbindings` - List bindings and toggle keyword matching\n• `/setmodel` - Change LLM model for channel\n• `/setprompt` - Update system prompt\n• `/settemp` - Adjust temperature\n• `/showconfig` - Display configuration\n• `/ratelimit` - Manage per-user rate limits\n• `/usage` - Token usage, spend and budgets',
           inline: false
         },
         {
           name: '🎛️ System Management',
-          value: '• `/models` - List available models\n• `/stats` - Show usage statistics\n• `/backup` - Export configurations\n• `/restore` - Import configurations',
+          value: '• `/models` - List available models\n• `/stats` - Show usage statistics\n• `/backup` - Export configurations\n• `/restore` - Import configurations\n• `/schedule` - Standups, digests, backups and retention sweeps',
           inline: false
         },
         {
@@ -910,9 +1714,14 @@ export class AdminCommandService {
           value: '• `/test` - Test channel configuration\n• `/health` - System health check',
           inline: false
         },
+        {
+          name: '💬 Member Commands',
+          value: '• `/ask` - Ask using the current channel\'s configuration\n• `/explain` - Explain a concept or error\n• `/review` - Review a snippet or attached file\n• `/plan` - Break a goal into tasks\n• `/analyze` - Analyze a question or data file\n• `/chart` - Chart a dataset (bar, line, scatter, histogram)\n• `/threads` - Resume a recent conversation thread\n• Right-click a message → Apps for Explain, Review, Task and Summarize\nAvailable to everyone; add `private` to keep the answer to yourself',
+          inline: false
+        },
         {
           name: '💡 Usage Notes',
-          value: '• Destructive operations require confirmation\n• Use #admin channel for most commands\n• Slash commands preferred over message commands',
+          value: '• Destructive operations require confirmation\n• Use the channel bound to admin for most commands\n• Slash commands preferred over message commands',
           inline: false
         }
       )
@@ -1060,7 +1869,7 @@ export class AdminCommandService {
   // Message-based command handlers (legacy support)
   async handleSetModelMessage(message, args) {
     if (args.length < 2) {
-      await message.reply('❓ Usage: `!setmodel #channel modelname`');
+      await message.reply('❓ Usage: `!setmodel #channel modelname [provider] [base_url]`');
       return;
     }
 
@@ -1076,14 +1885,22 @@ export class AdminCommandService {
       return;
     }
 
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await message.reply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = message.guild.id;
 
-    const updates = { 'llmConfig.model': model };
+    const { updates, provider, error } = this.buildModelUpdates(model, args[2]?.toLowerCase(), args[3]);
+    if (error) {
+      await message.reply(`❌ ${error}`);
+      return;
+    }
     const success = await this.llmService.updateChannelConfig(channelType, updates, guildId);
 
     await message.reply(success 
-      ? `✅ Model updated to \`${model}\` for ${channel}`
+      ? `✅ Model updated to \`${provider ? `${provider}/` : ''}${model}\` for ${channel}`
       : `❌ Failed to update model for ${channel}`);
   }
 
@@ -1104,7 +1921,11 @@ export class AdminCommandService {
       return;
     }
 
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await message.reply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = message.guild.id;
 
     const updates = { 'llmConfig.systemPrompt': prompt };
@@ -1137,7 +1958,11 @@ export class AdminCommandService {
       return;
     }
 
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await message.reply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = message.guild.id;
 
     const updates = { 'llmConfig.temperature': temperature };
@@ -1163,7 +1988,11 @@ export class AdminCommandService {
       return;
     }
 
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await message.reply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = message.guild.id;
     const config = await this.llmService.getChannelConfig(channelType, guildId);
 
@@ -1172,14 +2001,22 @@ export class AdminCommandService {
       return;
     }
 
+    const options = await this.llmService.getEffectiveOptions(channelType, guildId);
+    const routeStatus = await this.llmService.getRouteStatus(channelType, guildId);
+    const retry = await this.llmService.getRetrySettings(channelType, guildId);
+
     await message.reply(`**Configuration for ${channel}**\n\`\`\`json\n${JSON.stringify({
       channelType,
       provider: config.llmConfig.provider,
       model: config.llmConfig.model,
-      temperature: config.llmConfig.temperature,
-      maxTokens: config.llmConfig.maxTokens,
+      ...(config.llmConfig.provider === 'openai-compatible' && {
+        baseUrl: config.llmConfig.baseUrl || process.env.OPENAI_COMPATIBLE_URL,
+        apiKeyEnv: config.llmConfig.apiKeyEnv || 'OPENAI_COMPATIBLE_API_KEY'
+      }),
+      ...options,
+      ...retry,
       isActive: config.isActive
-    }, null, 2)}\n\`\`\``);
+    }, null, 2)}\n\`\`\`\n**Route:** ${this.formatRoutes(routeStatus.routes)}\n**Active Route:** ${this.formatActiveRoute(routeStatus.active)}`);
   }
 
   async handleListModelsMessage(message) {
@@ -1200,6 +2037,10 @@ export class AdminCommandService {
 • \`llama3:8b\` - Smaller Llama 3 model
 • \`codellama\` - Code-specialized model
 
+**⚪ OpenAI-Compatible Servers:**
+• llama.cpp, vLLM, LM Studio and similar
+• \`!setmodel #channel modelname openai-compatible http://localhost:8000/v1\`
+
 **💡 Usage Tips:**
 • Use GPT-4 for coding and analysis
 • Use GPT-3.5-turbo for general chat
@@ -1277,7 +2118,11 @@ ${configSummary}`);
       return;
     }
 
-    const channelType = getChannelType(channel.name);
+    const channelType = await this.resolveChannelType(channel);
+    if (!channelType) {
+      await message.reply(this.unboundChannelMessage(channel));
+      return;
+    }
     const guildId = message.guild.id;
 
     try {
@@ -1302,7 +2147,17 @@ ${configSummary}`);
       const testResult = await this.llmService.testConnection('general');
       
       const status = testResult.success ? '🟢 System Healthy' : '🔴 Issues Detected';
-      await message.reply(`**${status}**\n\nMemory Service: ✅\nLLM Service: ${testResult.success ? '✅' : '❌'}\n\nFor detailed health check, use \`/health\` slash command.`);
+      const circuits = this.llmService.getCircuitStatuses()
+        .map(circuit => `${this.formatCircuitState(circuit.state)} ${circuit.name}`)
+        .join('\n') || 'No provider calls yet';
+      const fallbackRoutes = this.llmService.getActiveRoutes()
+        .filter(route => route.isFallback)
+        .map(route => `${route.channelType} → ${route.provider}/${route.model}`)
+        .join('\n') || 'All channels on their primary provider';
+      const jobs = (await this.schedulerService.listJobs(message.guild.id))
+        .map(job => `${job.type} ${job.jobId}: ${this.formatLastRun(job.lastRun)}`)
+        .join('\n') || 'None scheduled';
+      await message.reply(`**${status}**\n\nMemory Service: ✅\nLLM Service: ${testResult.success ? '✅' : '❌'}\n\n**Provider Circuits:**\n${circuits}\n\n**Active Routes:**\n${fallbackRoutes}\n\n**Scheduled Jobs:**\n${jobs}\n\nFor detailed health check, use \`/health\` slash command.`);
     } catch (error) {
       await message.reply(`❌ **Health Check Failed**\nError: ${error.message}`);
     }
@@ -1312,7 +2167,8 @@ ${configSummary}`);
     const helpText = `**🔧 Admin Commands Help**
 
 **⚙️ Channel Management:**
-• \`!setmodel #channel modelname\` - Change LLM model
+• \`/bindchannel\`, \`/unbindchannel\`, \`/channelbindings\` - Channel bindings (slash only)
+• \`!setmodel #channel modelname [provider] [base_url]\` - Change LLM model
 • \`!setprompt #channel "prompt"\` - Update system prompt  
 • \`!settemp #channel 0.7\` - Adjust temperature
 • \`!showconfig #channel\` - Display configuration
@@ -0,0 +1,278 @@
+// src/services/ApiServer.js - HTTP Health Endpoints and Admin REST API
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import { channelConfig } from '../../config/channels.js';
+import { withTimeout } from '../utils/helpers.js';
+import { renderMetrics, PROMETHEUS_CONTENT_TYPE } from '../utils/metrics.js';
+import { logger, createCorrelationId, runWithCorrelationId } from '../utils/logger.js';
+
+const CHECK_TIMEOUT_MS = 5000;
+const PROVIDER_CHECK_TTL_MS = 60000; // Probe providers at most once a minute however often /readyz is polled
+
+export class ApiServer {
+  constructor({ client, adminCommandService }) {
+    this.client = client;
+    this.adminCommandService = adminCommandService;
+    this.channelConfigService = adminCommandService.channelConfigService;
+    this.llmService = adminCommandService.llmService;
+    this.port = parseInt(process.env.PORT) || 3003;
+    this.apiToken = process.env.ADMIN_API_TOKEN;
+    this.providerCheck = null; // Last provider probe: { checkedAt, results }
+    this.server = null;
+    this.startedAt = Date.now();
+
+    this.app = express();
+    this.setupRoutes();
+  }
+
+  setupRoutes() {
+    this.app.disable('x-powered-by');
+    this.app.use(express.json({ limit: '5mb' }));
+
+    // Honour a caller's X-Request-Id so CI logs and bot logs can be joined
+    this.app.use((req, res, next) => {
+      const correlationId = req.get('x-request-id')?.slice(0, 64) || createCorrelationId();
+      res.set('X-Request-Id', correlationId);
+      runWithCorrelationId(correlationId, next);
+    });
+
+    // Liveness: the process is up and serving requests
+    this.app.get('/healthz', (req, res) => {
+      res.json({ status: 'ok', uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000) });
+    });
+
+    // Readiness: Discord, MongoDB and at least one LLM provider are reachable
+    this.app.get('/readyz', this.route(async (req, res) => {
+      const checks = await this.runReadinessChecks();
+      const ready = checks.discord.ok && checks.mongo.ok && checks.providers.ok;
+      res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+    }));
+
+    // Prometheus scrape target; like the health endpoints it needs no token
+    this.app.get('/metrics', (req, res) => {
+      res.type(PROMETHEUS_CONTENT_TYPE).send(renderMetrics());
+    });
+
+    const api = express.Router();
+    api.use((req, res, next) => this.authenticate(req, res, next));
+
+    api.get('/guilds/:guildId/channels/:channelType/config', this.route(async (req, res) => {
+      const { channelType, guildId } = this.resolveChannel(req);
+      const config = await this.llmService.getChannelConfig(channelType, guildId);
+      if (!config) {
+        res.status(404).json({ error: `No configuration found for ${channelType}` });
+        return;
+      }
+
+      const routeStatus = await this.llmService.getRouteStatus(channelType, guildId);
+      res.json({
+        channelType,
+        guildId,
+        isActive: config.isActive,
+        llmConfig: config.llmConfig,
+        features: config.features,
+        spendCaps: config.spendCaps || null,
+        effectiveOptions: await this.llmService.getEffectiveOptions(channelType, guildId),
+        retry: await this.llmService.getRetrySettings(channelType, guildId),
+        routes: routeStatus.routes,
+        activeRoute: routeStatus.active
+      });
+    }));
+
+    api.put('/guilds/:guildId/channels/:channelType/model', this.route(async (req, res) => {
+      const { model, provider, baseUrl } = req.body || {};
+      if (typeof model !== 'string' || !model.trim()) {
+        res.status(400).json({ error: 'model is required' });
+        return;
+      }
+
+      const { updates, error } = this.adminCommandService.buildModelUpdates(model.trim(), provider, baseUrl);
+      if (error) {
+        res.status(400).json({ error });
+        return;
+      }
+      await this.applyUpdates(req, res, updates);
+    }));
+
+    api.put('/guilds/:guildId/channels/:channelType/temperature', this.route(async (req, res) => {
+      const { temperature } = req.body || {};
+      if (typeof temperature !== 'number') {
+        res.status(400).json({ error: 'temperature must be a number' });
+        return;
+      }
+      await this.applyUpdates(req, res, { 'llmConfig.temperature': temperature });
+    }));
+
+    api.put('/guilds/:guildId/channels/:channelType/prompt', this.route(async (req, res) => {
+      const { prompt } = req.body || {};
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        res.status(400).json({ error: 'prompt is required' });
+        return;
+      }
+      await this.applyUpdates(req, res, { 'llmConfig.systemPrompt': prompt });
+    }));
+
+    api.get('/guilds/:guildId/backup', this.route(async (req, res) => {
+      const guildId = this.resolveGuildId(req.params.guildId);
+      const exportData = await this.channelConfigService.exportConfigurations(guildId);
+      res.attachment(`bot-config-backup-${guildId || 'default'}-${Date.now()}.json`);
+      res.json(exportData);
+    }));
+
+    // Restoring replaces every configuration for the guild, matching the confirmed /restore flow
+    api.post('/guilds/:guildId/restore', this.route(async (req, res) => {
+      const guildId = this.resolveGuildId(req.params.guildId);
+      if (!Array.isArray(req.body?.configurations)) {
+        res.status(400).json({ error: 'Body must be a backup with a configurations array' });
+        return;
+      }
+
+      const success = await this.channelConfigService.importConfigurations(req.body, guildId);
+      if (success) {
+        this.llmService.providers.clear();
+        logger.info(`📥 Restored ${req.body.configurations.length} configurations for ${guildId || 'default'} via API`);
+      }
+      res.status(success ? 200 : 500).json({ success, restored: success ? req.body.configurations.length : 0 });
+    }));
+
+    this.app.use('/api', api);
+
+    this.app.use((req, res) => {
+      res.status(404).json({ error: 'Not found' });
+    });
+  }
+
+  // Wrap async handlers so failures become JSON 500s instead of unhandled rejections
+  route(handler) {
+    return async (req, res, next) => {
+      try {
+        await handler(req, res, next);
+      } catch (error) {
+        if (error.status) {
+          res.status(error.status).json({ error: error.message });
+          return;
+        }
+        logger.error(`API error on ${req.method} ${req.originalUrl}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    };
+  }
+
+  // Admin routes require "Authorization: Bearer <ADMIN_API_TOKEN>" and stay disabled until a token is set
+  authenticate(req, res, next) {
+    if (!this.apiToken) {
+      res.status(503).json({ error: 'Admin API disabled: set ADMIN_API_TOKEN to enable it' });
+      return;
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const expected = Buffer.from(this.apiToken);
+    const provided = Buffer.from(token || '');
+
+    if (scheme !== 'Bearer' || provided.length !== expected.length || !timingSafeEqual(provided, expected)) {
+      logger.warn(`🔒 Rejected unauthenticated API request: ${req.method} ${req.originalUrl}`);
+      res.status(401).json({ error: 'Invalid or missing API token' });
+      return;
+    }
+
+    next();
+  }
+
+  // "default" addresses the shared default configurations instead of a guild's copy
+  resolveGuildId(guildId) {
+    return guildId === 'default' ? null : guildId;
+  }
+
+  resolveChannel(req) {
+    const { channelType } = req.params;
+    if (!channelConfig[channelType]) {
+      const error = new Error(`Unknown channel type ${channelType}. Use one of: ${Object.keys(channelConfig).join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    return { channelType, guildId: this.resolveGuildId(req.params.guildId) };
+  }
+
+  async applyUpdates(req, res, updates) {
+    const { channelType, guildId } = this.resolveChannel(req);
+
+    const validation = this.channelConfigService.validateLLMUpdates(updates);
+    if (!validation.valid) {
+      res.status(400).json({ error: validation.errors.join(', ') });
+      return;
+    }
+
+    const success = await this.llmService.updateChannelConfig(channelType, updates, guildId);
+    if (success) {
+      logger.info(`🌐 ${channelType} updated via API: ${Object.keys(updates).join(', ')}`);
+    }
+    res.status(success ? 200 : 500).json({ success, channelType, guildId, updates });
+  }
+
+  async runReadinessChecks() {
+    const [discord, mongo, providers] = await Promise.all([
+      this.checkDiscord(),
+      this.checkMongo(),
+      this.checkProviders()
+    ]);
+    return { discord, mongo, providers };
+  }
+
+  checkDiscord() {
+    const ready = this.client.isReady();
+    return {
+      ok: ready,
+      status: ready ? 'connected' : 'not connected',
+      pingMs: ready ? this.client.ws.ping : null,
+      guilds: ready ? this.client.guilds.cache.size : 0
+    };
+  }
+
+  async checkMongo() {
+    const startTime = Date.now();
+    try {
+      await withTimeout((async () => {
+        await this.channelConfigService.initialize();
+        await this.channelConfigService.db.command({ ping: 1 });
+      })(), CHECK_TIMEOUT_MS, 'MongoDB ping');
+      return { ok: true, latencyMs: Date.now() - startTime };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  // The bot can answer as long as any configured route is reachable, since failover covers the rest
+  async checkProviders() {
+    if (!this.providerCheck || Date.now() - this.providerCheck.checkedAt > PROVIDER_CHECK_TTL_MS) {
+      try {
+        const results = await withTimeout(this.llmService.checkProviderReachability(), CHECK_TIMEOUT_MS * 2, 'Provider check');
+        this.providerCheck = { checkedAt: Date.now(), results };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+    }
+
+    const { results, checkedAt } = this.providerCheck;
+    return {
+      ok: results.some(result => result.reachable),
+      checkedAt: new Date(checkedAt),
+      endpoints: results
+    };
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, () => {
+        logger.info(`🌐 HTTP server listening on port ${this.port}${this.apiToken ? '' : ' (admin API disabled, set ADMIN_API_TOKEN)'}`);
+        resolve();
+      });
+      this.server.once('error', reject);
+    });
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
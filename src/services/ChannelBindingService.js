@@ -0,0 +1,167 @@
+// src/services/ChannelBindingService.js - Explicit Channel → Channel Type Bindings
+import { MongoClient } from 'mongodb';
+import { channelConfig, getChannelType } from '../../config/channels.js';
+import { logger } from '../utils/logger.js';
+import { getMongoUri } from '../utils/mongoUri.js';
+
+// Bound in place of a channel type to keep the bot out of a channel entirely
+export const IGNORED_CHANNEL = 'ignore';
+export const BINDABLE_TYPES = [...Object.keys(channelConfig), IGNORED_CHANNEL];
+
+// Shared across instances so /bindchannel takes effect in every handler straight away
+const sharedCache = new Map(); // guildId -> { bindings: Map(channelId -> binding), keywordFallback, loadedAt }
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+export class ChannelBindingService {
+  constructor() {
+    this.client = new MongoClient(getMongoUri());
+    this.db = null;
+    this.channelBindings = null;
+    this.guildSettings = null;
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.client.connect();
+      this.db = this.client.db('local_coaches');
+      this.channelBindings = this.db.collection('channel_bindings');
+      this.guildSettings = this.db.collection('guild_channel_settings');
+
+      await this.channelBindings.createIndex({ 'guildId': 1, 'channelId': 1 }, { unique: true });
+      await this.guildSettings.createIndex({ 'guildId': 1 }, { unique: true });
+
+      logger.info('✅ ChannelBindingService initialized');
+      this.initialized = true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize ChannelBindingService:', error);
+      throw error;
+    }
+  }
+
+  // Bindings and the keyword fallback setting for a guild, loaded together and cached
+  async getGuildBindings(guildId) {
+    const cached = sharedCache.get(guildId);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached;
+    }
+
+    await this.initialize();
+    const [bindings, settings] = await Promise.all([
+      this.channelBindings.find({ guildId }).toArray(),
+      this.guildSettings.findOne({ guildId })
+    ]);
+
+    const entry = {
+      bindings: new Map(bindings.map(binding => [binding.channelId, binding])),
+      keywordFallback: !!settings?.keywordFallback,
+      loadedAt: Date.now()
+    };
+    sharedCache.set(guildId, entry);
+    return entry;
+  }
+
+  // Resolve the channel type for a channel; threads inherit the binding of the channel they were created in.
+  // source is 'binding', 'keyword' (fallback name match), 'ignored' or 'unbound'; channelType is null for the last two
+  async resolve(channel) {
+    const source = channel?.isThread?.() ? channel.parent : channel;
+    const guildId = source?.guild?.id;
+    if (!guildId) {
+      return { channelType: null, source: 'unbound' };
+    }
+
+    try {
+      const { bindings, keywordFallback } = await this.getGuildBindings(guildId);
+      const binding = bindings.get(source.id);
+
+      if (binding) {
+        return binding.channelType === IGNORED_CHANNEL
+          ? { channelType: null, source: 'ignored' }
+          : { channelType: binding.channelType, source: 'binding' };
+      }
+      if (keywordFallback && source.name) {
+        return { channelType: getChannelType(source.name), source: 'keyword' };
+      }
+    } catch (error) {
+      logger.error(`Failed to resolve channel binding for ${source.id}:`, error);
+    }
+
+    return { channelType: null, source: 'unbound' };
+  }
+
+  async bindChannel(guildId, channel, channelType, boundBy) {
+    if (!BINDABLE_TYPES.includes(channelType)) {
+      throw new Error(`Unknown channel type ${channelType}. Use one of: ${BINDABLE_TYPES.join(', ')}`);
+    }
+
+    await this.initialize();
+    const binding = {
+      guildId,
+      channelId: channel.id,
+      channelName: channel.name,
+      channelType,
+      boundBy,
+      boundAt: new Date()
+    };
+    await this.channelBindings.updateOne(
+      { guildId, channelId: channel.id },
+      { $set: binding },
+      { upsert: true }
+    );
+
+    sharedCache.get(guildId)?.bindings.set(channel.id, binding);
+    logger.info(`🔗 Bound channel ${channel.id} (#${channel.name}) to ${channelType} in guild ${guildId}`);
+    return binding;
+  }
+
+  // Returns the removed binding, or null when the channel wasn't bound
+  async unbindChannel(guildId, channelId) {
+    await this.initialize();
+    const binding = await this.channelBindings.findOneAndDelete({ guildId, channelId });
+
+    sharedCache.get(guildId)?.bindings.delete(channelId);
+    if (binding) {
+      logger.info(`🔗 Unbound channel ${channelId} (was ${binding.channelType}) in guild ${guildId}`);
+    }
+    return binding;
+  }
+
+  async listBindings(guildId) {
+    const { bindings } = await this.getGuildBindings(guildId);
+    return [...bindings.values()].sort((a, b) => a.channelType.localeCompare(b.channelType) || a.channelName.localeCompare(b.channelName));
+  }
+
+  async isKeywordFallbackEnabled(guildId) {
+    const { keywordFallback } = await this.getGuildBindings(guildId);
+    return keywordFallback;
+  }
+
+  async setKeywordFallback(guildId, enabled, updatedBy) {
+    await this.initialize();
+    await this.guildSettings.updateOne(
+      { guildId },
+      { $set: { guildId, keywordFallback: enabled, updatedBy, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    const cached = sharedCache.get(guildId);
+    if (cached) cached.keywordFallback = enabled;
+    logger.info(`🔗 Keyword channel matching ${enabled ? 'enabled' : 'disabled'} in guild ${guildId}`);
+  }
+
+  // First text channel of a type, for posting automated messages; bound channels win over keyword matches
+  async findChannel(guild, channelType) {
+    const { bindings, keywordFallback } = await this.getGuildBindings(guild.id);
+
+    for (const binding of bindings.values()) {
+      const channel = binding.channelType === channelType && guild.channels.cache.get(binding.channelId);
+      if (channel?.isTextBased?.()) return channel;
+    }
+
+    if (!keywordFallback) return null;
+    return guild.channels.cache.find(channel =>
+      channel.isTextBased?.() && !bindings.has(channel.id) && getChannelType(channel.name) === channelType) || null;
+  }
+}
@@ -2,18 +2,33 @@
 import { MongoClient } from 'mongodb';
 import { logger } from '../utils/logger.js';
 import { getMongoUri } from '../utils/mongoUri.js';
+import { LLM_OPTION_RULES, HISTORY_OPTION_RULES, RETRY_OPTION_RULES, validateRequestOptions } from './llm/requestOptions.js';
+
+// Shared across instances so an update made by one service is visible to all of them
+const sharedCache = {
+  entries: new Map(),
+  lastUpdate: 0
+};
 
 export class ChannelConfigService {
   constructor() {
     this.client = new MongoClient(getMongoUri());
     this.db = null;
     this.channelConfigs = null;
+    this.guildSpendCaps = null;
     this.initialized = false;
-    this.configCache = new Map();
-    this.lastCacheUpdate = 0;
+    this.configCache = sharedCache.entries;
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
   }
 
+  get lastCacheUpdate() {
+    return sharedCache.lastUpdate;
+  }
+
+  set lastCacheUpdate(value) {
+    sharedCache.lastUpdate = value;
+  }
+
   async initialize() {
     if (this.initialized) return;
     
@@ -21,10 +36,12 @@ export class ChannelConfigService {
       await this.client.connect();
       this.db = this.client.db('local_coaches');
       this.channelConfigs = this.db.collection('channel_configurations');
+      this.guildSpendCaps = this.db.collection('guild_spend_caps');
       
       // Create indexes for efficient queries
       await this.channelConfigs.createIndex({ 'channelType': 1 });
       await this.channelConfigs.createIndex({ 'guildId': 1, 'channelType': 1 });
+      await this.guildSpendCaps.createIndex({ 'guildId': 1 }, { unique: true });
       
       // Initialize with default configurations if empty
       await this.initializeDefaultConfigurations();
@@ -78,10 +95,15 @@ Communication Style:
         memoryCategories: ['code_reviews', 'debugging_sessions', 'architecture_discussions', 'technology_preferences'],
         reactions: ['🔍', '✅', '❌', '💡', '🔧', '⚡', '🚀'],
         features: {
+          streaming: true,
           allowFiles: true,
+          maxAttachmentKB: 32,
           threadSupport: true,
           codeHighlighting: true,
-          maxMessageLength: 4000
+          maxMessageLength: 4000,
+          maxReplyChunks: 5,
+          rateLimitMinutes: 10,
+          rateLimitMessages: 15
         },
         isActive: true,
         createdAt: new Date(),
@@ -115,6 +137,7 @@ Communication Style:
         memoryCategories: ['quick_questions', 'general_topics', 'resource_requests'],
         reactions: ['👍', '👎', '🤔', '💭', '📚'],
         features: {
+          streaming: false,
           allowFiles: false,
           threadSupport: false,
           codeHighlighting: false,
@@ -155,7 +178,9 @@ Communication Style:
         memoryCategories: ['project_ideas', 'planning_sessions', 'milestone_tracking', 'resource_discussions'],
         reactions: ['🚀', '📋', '⭐', '🎯', '📈', '⚖️', '🔄'],
         features: {
+          streaming: false,
           allowFiles: true,
+          maxAttachmentKB: 32,
           threadSupport: true,
           codeHighlighting: false,
           maxMessageLength: 3000
@@ -195,6 +220,7 @@ Communication Style:
         memoryCategories: ['task_priorities', 'workflow_discussions', 'productivity_goals', 'time_management'],
         reactions: ['📅', '✅', '🔄', '⚡', '📊', '🎯', '⏰'],
         features: {
+          streaming: false,
           allowFiles: false,
           threadSupport: true,
           codeHighlighting: false,
@@ -236,10 +262,15 @@ Communication Style:
         memoryCategories: ['data_analysis', 'research_projects', 'statistical_discussions', 'insights_generated'],
         reactions: ['📊', '🔬', '📈', '📉', '🧮', '💡', '🎯'],
         features: {
+          streaming: true,
           allowFiles: true,
+          maxAttachmentKB: 32,
           threadSupport: true,
           codeHighlighting: true,
-          maxMessageLength: 4000
+          maxMessageLength: 4000,
+          maxReplyChunks: 5,
+          rateLimitMinutes: 10,
+          rateLimitMessages: 15
         },
         isActive: true,
         createdAt: new Date(),
@@ -276,6 +307,7 @@ Communication Style:
         memoryCategories: ['configuration_changes', 'admin_commands', 'system_issues', 'performance_metrics'],
         reactions: ['⚙️', '🔧', '✅', '❌', '📝', '🔒'],
         features: {
+          streaming: false,
           allowFiles: false,
           threadSupport: false,
           codeHighlighting: true,
@@ -360,10 +392,17 @@ Communication Style:
   async updateChannelConfig(channelType, updates, guildId = null) {
     await this.initialize();
     
+    const validation = this.validateLLMUpdates(updates);
+    if (!validation.valid) {
+      logger.warn(`Rejected config update for ${channelType}: ${validation.errors.join(', ')}`);
+      return false;
+    }
+    
     try {
       const filter = { channelType };
       if (guildId) {
         filter.guildId = guildId;
+        await this.ensureGuildConfig(channelType, guildId);
       } else {
         filter.guildId = { $exists: false };
       }
@@ -377,7 +416,7 @@ Communication Style:
       
       const result = await this.channelConfigs.updateOne(filter, updateDoc);
       
-      if (result.modifiedCount > 0) {
+      if (result.matchedCount > 0) {
         this.clearCache();
         logger.info(`✅ Updated configuration for ${channelType}`);
         return true;
@@ -390,6 +429,120 @@ Communication Style:
     }
   }
 
+  // Copy the default configuration into a guild-specific one so guild updates have a document to modify
+  async ensureGuildConfig(channelType, guildId) {
+    const existing = await this.channelConfigs.findOne({ guildId, channelType });
+    if (existing) return;
+    
+    const defaultConfig = await this.channelConfigs.findOne({
+      channelType,
+      guildId: { $exists: false }
+    });
+    if (!defaultConfig) return;
+    
+    const { _id, createdAt, updatedAt, ...config } = defaultConfig;
+    await this.createGuildConfig(guildId, channelType, config);
+  }
+
+  // Validate llmConfig request option updates (dot-notation keys or a whole llmConfig)
+  validateLLMUpdates(updates) {
+    const options = { ...(updates.llmConfig || {}) };
+    
+    for (const key of [...Object.keys(LLM_OPTION_RULES), ...Object.keys(HISTORY_OPTION_RULES), ...Object.keys(RETRY_OPTION_RULES)]) {
+      if (updates[`llmConfig.${key}`] !== undefined) {
+        options[key] = updates[`llmConfig.${key}`];
+      }
+    }
+    
+    const fallbacks = updates['llmConfig.fallbacks'] ?? updates.llmConfig?.fallbacks;
+    const fallbackErrors = this.validateFallbacks(fallbacks);
+    if (fallbackErrors.length > 0) {
+      return { valid: false, errors: fallbackErrors };
+    }
+    
+    return validateRequestOptions(options);
+  }
+
+  // Fallback routes are ordered {provider, model, baseUrl?} entries tried after the channel's own provider
+  validateFallbacks(fallbacks) {
+    if (fallbacks === undefined) return [];
+    if (!Array.isArray(fallbacks)) return ['fallbacks must be an array of { provider, model } entries'];
+    
+    return fallbacks
+      .filter(route => !route?.provider || !route?.model)
+      .map(() => 'each fallback must include provider and model');
+  }
+
+  // Spend caps are USD amounts per UTC day/month: soft caps downgrade to a cheaper model, hard caps stop replies
+  validateSpendCaps(caps = {}) {
+    const errors = [];
+    
+    for (const period of ['daily', 'monthly']) {
+      const soft = caps[`${period}SoftUsd`];
+      const hard = caps[`${period}HardUsd`];
+      
+      for (const [name, value] of [[`${period}SoftUsd`, soft], [`${period}HardUsd`, hard]]) {
+        if (value !== undefined && value !== null && (typeof value !== 'number' || isNaN(value) || value < 0)) {
+          errors.push(`${name} must be a non-negative number`);
+        }
+      }
+      if (soft && hard && soft > hard) {
+        errors.push(`${period} soft cap must not exceed the hard cap`);
+      }
+    }
+    
+    if (caps.downgrade && (!caps.downgrade.provider || !caps.downgrade.model)) {
+      errors.push('downgrade must include provider and model');
+    }
+    
+    return { valid: errors.length === 0, errors };
+  }
+
+  // Channel caps live on the channel config; guild-wide caps have their own collection
+  async getSpendCaps(channelType, guildId = null) {
+    const config = await this.getChannelConfig(channelType, guildId);
+    const guildCaps = guildId ? await this.getGuildSpendCaps(guildId) : null;
+    
+    return {
+      channel: config?.spendCaps || null,
+      guild: guildCaps
+    };
+  }
+
+  async setChannelSpendCaps(channelType, caps, guildId = null) {
+    const validation = this.validateSpendCaps(caps);
+    if (!validation.valid) {
+      logger.warn(`Rejected spend caps for ${channelType}: ${validation.errors.join(', ')}`);
+      return false;
+    }
+    
+    return await this.updateChannelConfig(channelType, { spendCaps: caps }, guildId);
+  }
+
+  async getGuildSpendCaps(guildId) {
+    await this.initialize();
+    const doc = await this.guildSpendCaps.findOne({ guildId });
+    return doc?.spendCaps || null;
+  }
+
+  async setGuildSpendCaps(guildId, caps) {
+    await this.initialize();
+    
+    const validation = this.validateSpendCaps(caps);
+    if (!validation.valid) {
+      logger.warn(`Rejected spend caps for guild ${guildId}: ${validation.errors.join(', ')}`);
+      return false;
+    }
+    
+    await this.guildSpendCaps.updateOne(
+      { guildId },
+      { $set: { spendCaps: caps, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    logger.info(`✅ Updated spend caps for guild ${guildId}`);
+    return true;
+  }
+
   // Create guild-specific configuration
   async createGuildConfig(guildId, channelType, config) {
     await this.initialize();
@@ -442,6 +595,7 @@ Communication Style:
   async getChannelFeatures(channelType, guildId = null) {
     const config = await this.getChannelConfig(channelType, guildId);
     return config?.features || {
+      streaming: false,
       allowFiles: false,
       threadSupport: false,
       codeHighlighting: false,
@@ -502,8 +656,18 @@ Communication Style:
     if (!config.llmConfig.provider || !config.llmConfig.model) {
       return { valid: false, errors: ['LLM config must include provider and model'] };
     }
+
+    // OpenAI-compatible servers have no well-known endpoint, so one must be configured somewhere
+    if (config.llmConfig.provider === 'openai-compatible' && !config.llmConfig.baseUrl && !process.env.OPENAI_COMPATIBLE_URL) {
+      return { valid: false, errors: ['openai-compatible provider requires llmConfig.baseUrl or OPENAI_COMPATIBLE_URL'] };
+    }
+    
+    const fallbackErrors = this.validateFallbacks(config.llmConfig.fallbacks);
+    if (fallbackErrors.length > 0) {
+      return { valid: false, errors: fallbackErrors };
+    }
     
-    return { valid: true, errors: [] };
+    return validateRequestOptions(config.llmConfig);
   }
 
   // Export configuration for backup
@@ -0,0 +1,232 @@
+// src/services/DataAnalysisService.js - Local Dataset Profiling for the Analysis Pipeline
+import { LLMService } from './llm/LLMService.js';
+import { fetchAttachmentText, getExtension } from '../utils/attachments.js';
+import { isDataFile, parseDataset, profileDataset, formatProfile } from '../utils/dataProfiler.js';
+import { executeQuery, describeQuery, formatResultTable } from '../utils/queryEngine.js';
+import { buildDatasetChart, buildInlineChart } from '../utils/chartData.js';
+import { renderChart } from '../utils/chartRenderer.js';
+import { logger } from '../utils/logger.js';
+
+// Datasets are parsed in memory and only their profile reaches the model, so they can be larger than prompt attachments.
+// Parsed rows take many times the file size in memory, so both the download and the rows kept are capped
+const MAX_DATASET_BYTES = 5 * 1024 * 1024;
+const MAX_DATASET_ROWS = 50000;
+const MAX_DATASETS = 3;
+const SAMPLE_ROWS = 10;
+
+// The planner sees the profile and a few rows; the query itself runs here over every row
+const QUERY_PLANNER_PROMPT = `You turn a question about tabular data into a JSON query that is executed locally over the full dataset. You only see each dataset's profile and a few sample rows.
+
+Reply with a single JSON object and nothing else:
+{"dataset": "<dataset name>",
+ "filters": [{"column": "<column>", "op": "= | != | > | >= | < | <= | in | not_in | contains | between | is_null | not_null", "value": <value>}],
+ "groupBy": ["<column>", {"column": "<date column>", "bucket": "day | week | month | year"}],
+ "aggregates": [{"fn": "count | count_distinct | sum | avg | min | max | median", "column": "<column>", "as": "<result name>"}],
+ "select": ["<column>"],
+ "orderBy": [{"column": "<result column or aggregate name>", "direction": "asc | desc"}],
+ "limit": 50}
+
+Use exact column names from the profile and omit keys you don't need. "in" and "not_in" take an array, "between" takes [low, high]. For a date range use ">=" the first day and "<" the day after the last, taking the year from the profile's date range. "select" lists raw columns and only applies without groupBy or aggregates.
+If the question can't be answered by one query over one dataset, reply {"query": null}.`;
+
+// Lets the answering model ask for a chart; the bot draws it from every row and removes the block from the reply
+const CHART_INSTRUCTIONS = `To illustrate your answer with a chart, add a fenced code block tagged chart holding one JSON spec:
+{"type": "bar | line | scatter | histogram", "dataset": "<dataset name>", "x": "<column>", "y": "<numeric column>", "aggregate": "count | sum | avg | min | max | median", "series": "<column to split by>", "bucket": "day | week | month | year", "filters": [{"column": "<column>", "op": "=", "value": "<value>"}], "title": "<title>"}
+Omit keys you don't need. For figures that aren't in a dataset, give "data": [{"x": ..., "y": ...}] with "xLabel" and "yLabel" instead of columns. Only add a chart when it makes the answer clearer.`;
+
+const MAX_PLANNER_TOKENS = 500;
+const MAX_TABLE_ROWS = 25;
+
+// Datasets stay available for follow-up questions in the same channel or thread for a while after upload.
+// Parsed cells cost well over 100 bytes each, so the total kept is capped as well as the number of channels
+const RECENT_DATASET_TTL_MS = 60 * 60 * 1000;
+const MAX_RECENT_CHANNELS = 20;
+const MAX_RECENT_CELLS = 1000000;
+const recentDatasets = new Map();
+
+export class DataAnalysisService {
+  constructor() {
+    this.llmService = new LLMService();
+  }
+
+  isDataAttachment(attachment) {
+    return isDataFile(attachment.name) || ['xlsx', 'xls'].includes(getExtension(attachment.name));
+  }
+
+  // Download, parse and profile one dataset; failures come back as { name, skipped } for the prompt to mention
+  async loadDataset(attachment) {
+    if (!isDataFile(attachment.name)) {
+      return { name: attachment.name, skipped: 'Excel workbooks aren\'t supported; export the sheet as CSV' };
+    }
+
+    try {
+      const startTime = Date.now();
+      const text = await fetchAttachmentText(attachment, MAX_DATASET_BYTES);
+      const dataset = parseDataset(attachment.name, text, { maxRows: MAX_DATASET_ROWS });
+      const profile = await profileDataset(dataset);
+
+      const loaded = dataset.totalRows > profile.rowCount ? ` (first ${profile.rowCount} of ${dataset.totalRows})` : '';
+      logger.info(`📊 Profiled ${attachment.name}: ${profile.rowCount} rows${loaded} × ${profile.columns.length} columns in ${Date.now() - startTime}ms`);
+      return { name: attachment.name, dataset, profile };
+    } catch (error) {
+      logger.warn(`Could not profile ${attachment.name}: ${error.message}`);
+      return { name: attachment.name, skipped: `parse error (${error.message})` };
+    }
+  }
+
+  async loadDatasets(attachments) {
+    const results = [];
+    for (const [index, attachment] of attachments.entries()) {
+      results.push(index < MAX_DATASETS
+        ? await this.loadDataset(attachment)
+        : { name: attachment.name, skipped: `only the first ${MAX_DATASETS} datasets are profiled` });
+    }
+    return results;
+  }
+
+  // Profile and sample for each dataset, framed so the model quotes these figures instead of estimating
+  buildPromptSection(datasets) {
+    if (datasets.length === 0) return '';
+
+    const sections = datasets.map(entry => entry.skipped
+      ? `[Dataset ${entry.name} not included: ${entry.skipped}]`
+      : formatProfile(entry.name, entry.dataset, entry.profile, SAMPLE_ROWS));
+
+    return [
+      'The shared data was profiled locally. Only the profile and a small sample are shown below; the full dataset is not included.',
+      'Base any numbers you quote on these figures and say when a question needs data the profile does not cover.',
+      '',
+      sections.join('\n\n'),
+      '',
+      CHART_INSTRUCTIONS
+    ].join('\n');
+  }
+
+  rememberDatasets(channelId, datasets) {
+    const loaded = datasets.filter(entry => !entry.skipped);
+    if (loaded.length === 0) return;
+
+    recentDatasets.delete(channelId);
+    const cells = loaded.reduce((sum, entry) => sum + entry.dataset.rows.length * entry.dataset.columns.length, 0);
+    if (cells > MAX_RECENT_CELLS) {
+      logger.info(`📊 Not keeping ${loaded.map(entry => entry.name).join(', ')} for follow-ups: ${cells} cells is over the ${MAX_RECENT_CELLS} limit`);
+      return;
+    }
+    recentDatasets.set(channelId, { datasets: loaded, cells, storedAt: Date.now() });
+
+    // Only the most recently used channels keep theirs, within both limits
+    let totalCells = [...recentDatasets.values()].reduce((sum, entry) => sum + entry.cells, 0);
+    while (recentDatasets.size > MAX_RECENT_CHANNELS || totalCells > MAX_RECENT_CELLS) {
+      const [oldestId, oldest] = recentDatasets.entries().next().value;
+      recentDatasets.delete(oldestId);
+      totalCells -= oldest.cells;
+    }
+  }
+
+  getRecentDatasets(channelId) {
+    const entry = recentDatasets.get(channelId);
+    if (!entry) return [];
+    if (Date.now() - entry.storedAt > RECENT_DATASET_TTL_MS) {
+      recentDatasets.delete(channelId);
+      return [];
+    }
+    return entry.datasets;
+  }
+
+  // Ask the model for a query spec and run it locally. Returns null when the question isn't a query,
+  // and { error } when the spec couldn't be planned or executed
+  async runQuery(context, question, datasets) {
+    const loaded = datasets.filter(entry => !entry.skipped);
+    if (loaded.length === 0) return null;
+
+    let spec;
+    try {
+      const plan = await this.llmService.generateTaskResponse({
+        message: `Question: ${question}\n\n${loaded.map(entry => formatProfile(entry.name, entry.dataset, entry.profile, 3)).join('\n\n')}`,
+        channelType: context.channelType,
+        guildId: context.guildId,
+        userId: context.userId,
+        username: context.username
+      }, QUERY_PLANNER_PROMPT, { maxTokens: MAX_PLANNER_TOKENS });
+      spec = this.parseQuerySpec(plan);
+    } catch (error) {
+      logger.warn(`Could not plan a query for ${context.channelType}: ${error.message}`);
+      return { error: `the query couldn't be planned (${error.message})` };
+    }
+
+    if (!spec || spec.query === null) return null;
+
+    const target = loaded.find(entry => entry.name === spec.dataset) || loaded[0];
+    const types = Object.fromEntries(target.profile.columns.map(column => [column.name, column.type]));
+
+    try {
+      const result = executeQuery(target.dataset, spec, types);
+      logger.info(`🧮 Query on ${target.name}: ${describeQuery(result.query)} → ${result.totalRows} rows from ${result.matchedRows} matches`);
+      return { name: target.name, result, rowCount: target.profile.rowCount, totalRows: target.dataset.totalRows };
+    } catch (error) {
+      logger.warn(`Rejected query on ${target.name}: ${error.message}`);
+      return { error: `the query was rejected (${error.message})` };
+    }
+  }
+
+  // The planner sometimes wraps its JSON in a code fence or a sentence; take the outermost object
+  parseQuerySpec(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end < start) throw new Error('no JSON object in the reply');
+    return JSON.parse(text.substring(start, end + 1));
+  }
+
+  // Table posted to the channel ahead of the explanation
+  formatQueryResult({ name, result, rowCount }) {
+    const scope = `${result.matchedRows.toLocaleString('en-US')} of ${rowCount.toLocaleString('en-US')} rows matched`;
+    return `🧮 **Query on ${name}** · \`${describeQuery(result.query)}\` · ${scope}\n${formatResultTable(result, MAX_TABLE_ROWS)}`;
+  }
+
+  // What the explaining model sees: the query and its result, with the table already shown to the user
+  buildQuerySection(queryResult) {
+    if (queryResult.error) {
+      return `[A local query was attempted to answer this but ${queryResult.error}. Answer from the profile and say the exact figure wasn't computed.]`;
+    }
+
+    const { name, result, rowCount, totalRows } = queryResult;
+    const scope = totalRows > rowCount
+      ? `the first ${rowCount.toLocaleString('en-US')} of ${totalRows.toLocaleString('en-US')} rows (the rest weren't loaded)`
+      : `all ${rowCount.toLocaleString('en-US')} rows`;
+    // The raw dataset never goes to the provider: row listings are cut to the size of the profile sample
+    const shownRows = Math.min(result.rows.length, result.query.aggregates.length > 0 ? MAX_TABLE_ROWS : SAMPLE_ROWS);
+    return [
+      `A query was run locally over ${scope} of ${name} to answer this: ${describeQuery(result.query)}`,
+      `${result.matchedRows.toLocaleString('en-US')} rows matched the filters; the result has ${result.totalRows.toLocaleString('en-US')} rows${result.totalRows > shownRows ? `, of which the first ${shownRows} are shown` : ''}:`,
+      formatResultTable(result, shownRows),
+      'This table has already been posted above your reply. Answer the question from it and explain what it shows; don\'t repeat the table.'
+    ].join('\n');
+  }
+
+  // Draw a chart from a dataset (or from values inside the spec) and return it as a file ready to attach
+  renderChart(spec, datasets, format = 'png') {
+    let chart;
+    if (spec.data) {
+      chart = buildInlineChart(spec);
+    } else {
+      const loaded = datasets.filter(entry => !entry.skipped);
+      const source = loaded.find(entry => entry.name === spec.dataset) || loaded[0];
+      if (!source) throw new Error('there is no dataset to chart');
+      chart = buildDatasetChart(spec, source);
+    }
+
+    const startTime = Date.now();
+    const attachment = renderChart(chart, format);
+    const slug = chart.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 50) || 'chart';
+    logger.info(`📈 Rendered ${chart.type} chart "${chart.title}" as ${format} (${Math.round(attachment.length / 1024)} KB) in ${Date.now() - startTime}ms`);
+
+    return { title: chart.title, file: { attachment, name: `${slug}.${format}` } };
+  }
+
+  // Attachment metadata for the interaction log
+  describe(datasets) {
+    return datasets.map(entry => entry.skipped
+      ? { name: entry.name, skipped: entry.skipped }
+      : { name: entry.name, rows: entry.profile.rowCount, columns: entry.profile.columns.length });
+  }
+}
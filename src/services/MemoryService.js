@@ -2,6 +2,10 @@
 import { MongoClient } from 'mongodb';
 import { logger } from '../utils/logger.js';
 import { getMongoUri } from '../utils/mongoUri.js';
+import { memoryContextDuration } from '../utils/metrics.js';
+
+// Older turns fall off the stored transcript; the LLM only ever sees what fits the history token budget anyway
+const MAX_THREAD_TRANSCRIPT = 200;
 
 export class MemoryService {
   constructor() {
@@ -11,6 +15,7 @@ export class MemoryService {
     this.discordLogs = null;   // Discord interactions
     this.projectContexts = null; // Project tracking
     this.skillProgressions = null; // Learning and skill development
+    this.threadContexts = null; // Thread conversations
     this.initialized = false;
   }
 
@@ -24,12 +29,17 @@ export class MemoryService {
       this.discordLogs = this.db.collection('discord_interactions'); // Discord interactions
       this.projectContexts = this.db.collection('project_contexts'); // Project tracking
       this.skillProgressions = this.db.collection('skill_progressions'); // Learning progress
+      this.threadContexts = this.db.collection('thread_contexts'); // Per-thread metadata and transcripts
       
       // Create indexes for efficient queries
       await this.discordLogs.createIndex({ userId: 1, timestamp: -1 });
       await this.discordLogs.createIndex({ channel: 1, timestamp: -1 });
+      await this.discordLogs.createIndex({ guildId: 1, timestamp: -1 });
       await this.projectContexts.createIndex({ userId: 1, projectName: 1 });
+      await this.projectContexts.createIndex({ guildId: 1, lastActivity: -1 });
       await this.skillProgressions.createIndex({ userId: 1, skill: 1 });
+      await this.threadContexts.createIndex({ threadId: 1 }, { unique: true });
+      await this.threadContexts.createIndex({ guildId: 1, lastActivity: -1 });
       
       logger.info('✅ Technical Memory service connected to MongoDB');
       this.initialized = true;
@@ -76,14 +86,16 @@ export class MemoryService {
     return context;
   }
 
-  // Update project context based on interaction
+  // Update project context based on interaction; projects are kept per guild so digests and sweeps stay within one server
   async updateProjectContext(interaction) {
     const projectMention = this.extractProjectName(interaction.userMessage);
     
     if (projectMention) {
       try {
+        const guildId = interaction.guildId ?? null;
         const update = {
           $set: {
+            guildId,
             userId: interaction.userId,
             projectName: projectMention,
             lastActivity: new Date(),
@@ -104,7 +116,7 @@ export class MemoryService {
         };
 
         await this.projectContexts.updateOne(
-          { userId: interaction.userId, projectName: projectMention },
+          { guildId, userId: interaction.userId, projectName: projectMention },
           update,
           { upsert: true }
         );
@@ -160,6 +172,7 @@ export class MemoryService {
     
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - lookbackDays);
+    const stopTimer = memoryContextDuration.startTimer();
 
     try {
       // Get technical session insights
@@ -189,6 +202,8 @@ export class MemoryService {
     } catch (error) {
       logger.error('Error getting technical context:', error);
       return { summary: 'Technical context unavailable' };
+    } finally {
+      stopTimer();
     }
   }
 
@@ -327,6 +342,198 @@ export class MemoryService {
     }
   }
 
+  // Projects active in a guild since a date across all users, for the weekly digest
+  async getProjectDigest(guildId, since) {
+    await this.initialize();
+    
+    const projects = await this.projectContexts
+      .find({ guildId, lastActivity: { $gte: since } })
+      .sort({ lastActivity: -1 })
+      .toArray();
+    
+    const digest = new Map();
+    for (const project of projects) {
+      const entry = digest.get(project.projectName) || {
+        name: project.projectName,
+        lastActivity: project.lastActivity,
+        contributors: new Set(),
+        technologies: new Set(),
+        interactionCount: 0,
+        recentTopics: []
+      };
+      const recentInteractions = (project.interactions || []).filter(i => i.timestamp >= since);
+      
+      entry.contributors.add(project.userId);
+      (project.technologies || []).forEach(tech => entry.technologies.add(tech));
+      entry.interactionCount += recentInteractions.length;
+      entry.recentTopics.push(...recentInteractions.slice(-2).map(i => this.extractTopicFromMessage(i.message)));
+      digest.set(project.projectName, entry);
+    }
+    
+    return [...digest.values()].map(entry => ({
+      ...entry,
+      contributors: entry.contributors.size,
+      technologies: [...entry.technologies],
+      recentTopics: [...new Set(entry.recentTopics)].slice(0, 3)
+    }));
+  }
+
+  // Delete a guild's memory older than the retention window; project contexts keep only their recent interactions.
+  // Records without a guildId (stored before guilds were tracked) are left to an admin to clear
+  async sweepRetention(guildId, retentionDays) {
+    await this.initialize();
+    
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    const [interactions, sessions, projects, threads] = await Promise.all([
+      this.discordLogs.deleteMany({ guildId, timestamp: { $lt: cutoff } }),
+      this.technicalLogs.deleteMany({ guildId, createdAt: { $lt: cutoff } }),
+      this.projectContexts.deleteMany({ guildId, lastActivity: { $lt: cutoff } }),
+      this.threadContexts.deleteMany({ guildId, lastActivity: { $lt: cutoff } })
+    ]);
+    await this.projectContexts.updateMany({ guildId }, { $pull: { interactions: { timestamp: { $lt: cutoff } } } });
+    
+    const result = {
+      interactions: interactions.deletedCount,
+      sessions: sessions.deletedCount,
+      projects: projects.deletedCount,
+      threads: threads.deletedCount
+    };
+    logger.info(`🧹 Retention sweep for guild ${guildId} (${retentionDays} days): removed ${result.interactions} interactions, ${result.sessions} sessions, ${result.projects} projects, ${result.threads} threads`);
+    return result;
+  }
+
+  // Thread metadata for a thread the bot opened, seeded with the exchange that started it
+  async startThreadContext({ thread, channelType, originMessage, topic, openingTurns = [] }) {
+    await this.initialize();
+    
+    try {
+      const now = new Date();
+      await this.threadContexts.updateOne(
+        { threadId: thread.id },
+        {
+          $setOnInsert: {
+            threadId: thread.id,
+            guildId: thread.guildId,
+            parentChannelId: thread.parentId,
+            channelType,
+            originMessageId: originMessage?.id || null,
+            originContent: originMessage?.content?.substring(0, 1000) || null,
+            topic: topic || thread.name,
+            createdBy: originMessage?.author?.id || null,
+            createdAt: now,
+            transcript: openingTurns.slice(-MAX_THREAD_TRANSCRIPT),
+            messageCount: openingTurns.length,
+            archived: false
+          },
+          $addToSet: { participants: { $each: openingTurns.filter(turn => !turn.isBot).map(turn => turn.authorId) } },
+          $set: { lastActivity: now }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to store thread context:', error);
+    }
+  }
+
+  // Append turns to a thread transcript; threads the bot didn't open are picked up on their first message
+  async recordThreadTurns(thread, channelType, turns) {
+    await this.initialize();
+    
+    try {
+      await this.threadContexts.updateOne(
+        { threadId: thread.id },
+        {
+          $setOnInsert: {
+            threadId: thread.id,
+            guildId: thread.guildId,
+            parentChannelId: thread.parentId,
+            channelType,
+            originMessageId: thread.id, // Threads started from a message share its ID
+            originContent: null,
+            topic: thread.name,
+            createdBy: thread.ownerId || null,
+            createdAt: new Date()
+          },
+          $push: { transcript: { $each: turns, $slice: -MAX_THREAD_TRANSCRIPT } },
+          $addToSet: { participants: { $each: turns.filter(turn => !turn.isBot).map(turn => turn.authorId) } },
+          $set: { lastActivity: new Date(), archived: false },
+          $inc: { messageCount: turns.length }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to record thread turns:', error);
+    }
+  }
+
+  async getThreadContext(threadId) {
+    await this.initialize();
+    
+    try {
+      return await this.threadContexts.findOne({ threadId });
+    } catch (error) {
+      logger.error('Failed to load thread context:', error);
+      return null;
+    }
+  }
+
+  async updateThreadTopic(threadId, topic) {
+    await this.initialize();
+    
+    try {
+      await this.threadContexts.updateOne({ threadId }, { $set: { topic } });
+    } catch (error) {
+      logger.error('Failed to update thread topic:', error);
+    }
+  }
+
+  // Keep an archived thread's summary on the thread; threads opened in #projects also add it to
+  // the project their opening message named, but only when that project already exists in the guild
+  async storeThreadSummary(threadContext, summary) {
+    await this.initialize();
+    
+    try {
+      const now = new Date();
+      await this.threadContexts.updateOne(
+        { threadId: threadContext.threadId },
+        { $set: { archived: true, summary: { text: summary, generatedAt: now, messageCount: threadContext.messageCount } } }
+      );
+      
+      const projectName = threadContext.channelType === 'projects' && threadContext.guildId && threadContext.createdBy
+        ? this.extractProjectName(threadContext.originContent || '')
+        : null;
+      if (!projectName) return;
+
+      await this.projectContexts.updateOne(
+        { guildId: threadContext.guildId, userId: threadContext.createdBy, projectName },
+        {
+          $set: { lastActivity: now },
+          $push: {
+            threadSummaries: { threadId: threadContext.threadId, summary, timestamp: now }
+          },
+          $addToSet: {
+            technologies: { $each: this.detectTechnologies(summary) },
+            languages: { $each: this.detectProgrammingLanguages(summary) }
+          }
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to store thread summary:', error);
+    }
+  }
+
+  // Recently active threads in a guild, newest first, for resuming conversations
+  async listThreadContexts(guildId, { userId = null, limit = 10 } = {}) {
+    await this.initialize();
+    
+    const query = { guildId, ...(userId && { participants: userId }) };
+    return await this.threadContexts
+      .find(query, { projection: { transcript: 0 } })
+      .sort({ lastActivity: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
   // Get skill progression patterns
   async getSkillProgressionPatterns(userId, cutoffDate) {
     try {
@@ -0,0 +1,186 @@
+// src/services/RateLimitService.js - Per-User Token Bucket Rate Limiting
+import { MongoClient } from 'mongodb';
+import { logger } from '../utils/logger.js';
+import { getMongoUri } from '../utils/mongoUri.js';
+
+export class RateLimitService {
+  constructor() {
+    this.client = new MongoClient(getMongoUri());
+    this.db = null;
+    this.buckets = null;   // Token buckets per guild/channel type/user
+    this.overrides = null; // Admin-granted exemptions
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.client.connect();
+      this.db = this.client.db('local_coaches');
+      this.buckets = this.db.collection('rate_limit_buckets');
+      this.overrides = this.db.collection('rate_limit_overrides');
+
+      // Buckets expire once they would have refilled anyway; overrides expire when the grant ends
+      await this.buckets.createIndex({ guildId: 1, channelType: 1, userId: 1 }, { unique: true });
+      await this.buckets.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await this.overrides.createIndex({ guildId: 1, userId: 1 }, { unique: true });
+      await this.overrides.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      logger.info('✅ RateLimitService initialized');
+      this.initialized = true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize RateLimitService:', error);
+      throw error;
+    }
+  }
+
+  // Resolve the bucket size and refill window for a member: channel features, widened by any matching role rule
+  resolveLimit(features = {}, member = null) {
+    const minutes = features.rateLimitMinutes || 0;
+    let limit = minutes > 0
+      ? { messages: features.rateLimitMessages || 1, minutes }
+      : null;
+
+    const roleIds = member?.roles?.cache ? [...member.roles.cache.values()].flatMap(role => [role.id, role.name.toLowerCase()]) : [];
+    const roleRules = (features.roleRateLimits || [])
+      .filter(rule => roleIds.includes(rule.role) || roleIds.includes(String(rule.role).toLowerCase()));
+
+    // The most generous matching role wins
+    for (const rule of roleRules) {
+      if (rule.exempt) return null;
+      const candidate = { messages: rule.messages, minutes: rule.minutes || minutes || 1, role: rule.role };
+      if (!limit || candidate.messages / candidate.minutes > limit.messages / limit.minutes) {
+        limit = candidate;
+      }
+    }
+
+    return limit;
+  }
+
+  // Take one token for a message; resolves with { allowed, remaining, retryAfterMs, limit }
+  async consume({ guildId, channelType, userId, member, features }) {
+    const limit = this.resolveLimit(features, member);
+    if (!limit) return { allowed: true, remaining: null, retryAfterMs: 0, limit: null };
+
+    await this.initialize();
+
+    if (await this.getOverride(guildId, userId)) {
+      return { allowed: true, remaining: null, retryAfterMs: 0, limit, override: true };
+    }
+
+    const filter = { guildId: guildId || 'default', channelType, userId };
+    const now = Date.now();
+    const windowMs = limit.minutes * 60 * 1000;
+    const refillPerMs = limit.messages / windowMs;
+    const elapsed = { $max: [0, { $subtract: [new Date(now), '$updatedAt'] }] };
+
+    // Refill and take the token in one pipeline update so concurrent messages can't spend the same token
+    const update = [
+      {
+        $set: {
+          refilled: {
+            $cond: [
+              { $eq: [{ $type: '$tokens' }, 'missing'] },
+              limit.messages,
+              { $min: [limit.messages, { $add: ['$tokens', { $multiply: [elapsed, refillPerMs] }] }] }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          allowed: { $gte: ['$refilled', 1] },
+          tokens: { $cond: [{ $gte: ['$refilled', 1] }, { $subtract: ['$refilled', 1] }, '$refilled'] },
+          capacity: limit.messages,
+          windowMinutes: limit.minutes,
+          updatedAt: new Date(now),
+          expiresAt: new Date(now + windowMs)
+        }
+      },
+      { $unset: 'refilled' }
+    ];
+
+    let bucket;
+    try {
+      bucket = await this.buckets.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+    } catch (error) {
+      // Two first messages racing to create the bucket: the loser retries against the winner's document
+      if (error.code !== 11000) throw error;
+      bucket = await this.buckets.findOneAndUpdate(filter, update, { returnDocument: 'after' });
+    }
+
+    const { allowed, tokens } = bucket;
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+      limit
+    };
+  }
+
+  // Refill a user's buckets, optionally for a single channel type
+  async reset(guildId, userId, channelType = null) {
+    await this.initialize();
+
+    const filter = { guildId: guildId || 'default', userId };
+    if (channelType) filter.channelType = channelType;
+
+    const result = await this.buckets.deleteMany(filter);
+    logger.info(`Reset ${result.deletedCount} rate limit buckets for user ${userId}`);
+    return result.deletedCount;
+  }
+
+  // Exempt a user from rate limits for a number of minutes
+  async setOverride(guildId, userId, minutes, grantedBy) {
+    await this.initialize();
+
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+    await this.overrides.updateOne(
+      { guildId: guildId || 'default', userId },
+      { $set: { expiresAt, grantedBy, createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    logger.info(`Rate limit override for user ${userId} until ${expiresAt.toISOString()} (by ${grantedBy})`);
+    return expiresAt;
+  }
+
+  async removeOverride(guildId, userId) {
+    await this.initialize();
+    const result = await this.overrides.deleteOne({ guildId: guildId || 'default', userId });
+    return result.deletedCount > 0;
+  }
+
+  // TTL cleanup runs about once a minute, so expired overrides are filtered here as well
+  async getOverride(guildId, userId) {
+    await this.initialize();
+    return await this.overrides.findOne({
+      guildId: guildId || 'default',
+      userId,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  // Current buckets and override for a user, with tokens refilled up to now
+  async getStatus(guildId, userId) {
+    await this.initialize();
+
+    const now = Date.now();
+    const buckets = await this.buckets.find({ guildId: guildId || 'default', userId }).toArray();
+
+    return {
+      override: await this.getOverride(guildId, userId),
+      buckets: buckets.map(bucket => {
+        const refillPerMs = bucket.capacity / (bucket.windowMinutes * 60 * 1000);
+        const tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt.getTime()) * refillPerMs);
+        return {
+          channelType: bucket.channelType,
+          remaining: Math.floor(tokens),
+          capacity: bucket.capacity,
+          windowMinutes: bucket.windowMinutes
+        };
+      })
+    };
+  }
+}
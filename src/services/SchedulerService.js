@@ -0,0 +1,263 @@
+// src/services/SchedulerService.js - Cron Jobs Stored in MongoDB
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import cron from 'node-cron';
+import { EmbedBuilder } from 'discord.js';
+import { MongoClient } from 'mongodb';
+import { ChannelConfigService } from './ChannelConfigService.js';
+import { ChannelBindingService } from './ChannelBindingService.js';
+import { MemoryService } from './MemoryService.js';
+import { logger, createCorrelationId, runWithCorrelationId } from '../utils/logger.js';
+import { getMongoUri } from '../utils/mongoUri.js';
+
+export const JOB_TYPES = {
+  standup: { description: 'Daily standup prompt in #planning', defaultCron: '0 9 * * 1-5' },
+  digest: { description: 'Weekly project digest in #projects', defaultCron: '0 17 * * 5' },
+  backup: { description: 'Nightly configuration backup to ./backups', defaultCron: '0 2 * * *' },
+  retention: { description: 'Memory retention sweep', defaultCron: '0 3 * * *' }
+};
+
+const DEFAULT_STANDUP_MESSAGE = '🌅 **Daily Standup**\nWhat did you finish yesterday? What are you working on today? Anything blocking you?';
+const DEFAULT_RETENTION_DAYS = 90;
+const BACKUPS_TO_KEEP = 14;
+
+// Cron tasks and the Discord client are shared, so the scheduler started by bot.js and the one
+// AdminCommandService uses for /schedule see the same running jobs
+const tasks = new Map();
+let discordClient = null;
+
+export class SchedulerService {
+  constructor() {
+    this.client = new MongoClient(getMongoUri());
+    this.db = null;
+    this.jobs = null;
+    this.channelConfigService = new ChannelConfigService();
+    this.channelBindingService = new ChannelBindingService();
+    this.memoryService = new MemoryService();
+    this.backupDir = process.env.BACKUP_DIR || './backups';
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.client.connect();
+      this.db = this.client.db('local_coaches');
+      this.jobs = this.db.collection('scheduled_jobs');
+
+      await this.jobs.createIndex({ jobId: 1 }, { unique: true });
+      await this.jobs.createIndex({ guildId: 1 });
+
+      logger.info('✅ SchedulerService initialized');
+      this.initialized = true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize SchedulerService:', error);
+      throw error;
+    }
+  }
+
+  // Schedule every stored job; called once the Discord client is ready
+  async start(client) {
+    await this.initialize();
+    discordClient = client;
+
+    const jobs = await this.jobs.find({}).toArray();
+    for (const job of jobs) {
+      this.scheduleTask(job);
+    }
+    logger.info(`⏰ Scheduler started with ${jobs.length} job${jobs.length === 1 ? '' : 's'}`);
+  }
+
+  stop() {
+    for (const task of tasks.values()) {
+      task.stop();
+    }
+    tasks.clear();
+  }
+
+  validateJob({ type, cronExpression, timezone, retentionDays }) {
+    const errors = [];
+
+    if (!JOB_TYPES[type]) errors.push(`Unknown job type ${type}. Use one of: ${Object.keys(JOB_TYPES).join(', ')}`);
+    if (!cron.validate(cronExpression)) errors.push(`Invalid cron expression \`${cronExpression}\``);
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch {
+        errors.push(`Unknown timezone ${timezone}`);
+      }
+    }
+    if (retentionDays !== undefined && (!Number.isInteger(retentionDays) || retentionDays < 1)) {
+      errors.push('Retention days must be a positive whole number');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  async addJob({ guildId, type, cronExpression, timezone, message, retentionDays, createdBy }) {
+    await this.initialize();
+
+    const expression = cronExpression || JOB_TYPES[type]?.defaultCron;
+    const validation = this.validateJob({ type, cronExpression: expression, timezone, retentionDays });
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    const job = {
+      jobId: randomUUID().split('-')[0],
+      guildId,
+      type,
+      cron: expression,
+      timezone: timezone || null,
+      options: {
+        ...(message && { message }),
+        ...(type === 'retention' && { retentionDays: retentionDays || DEFAULT_RETENTION_DAYS })
+      },
+      createdBy,
+      createdAt: new Date(),
+      lastRun: null
+    };
+
+    await this.jobs.insertOne(job);
+    this.scheduleTask(job);
+    logger.info(`⏰ Added ${type} job ${job.jobId} (${expression}) for guild ${guildId}`);
+    return { success: true, job };
+  }
+
+  async removeJob(guildId, jobId) {
+    await this.initialize();
+
+    const result = await this.jobs.deleteOne({ guildId, jobId });
+    tasks.get(jobId)?.stop();
+    tasks.delete(jobId);
+
+    if (result.deletedCount > 0) {
+      logger.info(`⏰ Removed job ${jobId} for guild ${guildId}`);
+    }
+    return result.deletedCount > 0;
+  }
+
+  async listJobs(guildId) {
+    await this.initialize();
+    return await this.jobs.find({ guildId }).sort({ createdAt: 1 }).toArray();
+  }
+
+  scheduleTask(job) {
+    tasks.get(job.jobId)?.stop();
+
+    const options = job.timezone ? { timezone: job.timezone } : {};
+    const task = cron.schedule(job.cron, () => this.runJob(job.jobId), options);
+    tasks.set(job.jobId, task);
+  }
+
+  // Run a job by ID and record the outcome as lastRun; reloads the job so edits since scheduling apply
+  async runJob(jobId) {
+    return runWithCorrelationId(createCorrelationId(), async () => {
+      const job = await this.jobs.findOne({ jobId });
+      if (!job) return null;
+
+      const startTime = Date.now();
+      let lastRun;
+
+      try {
+        const summary = await this.executeJob(job);
+        lastRun = { at: new Date(), status: 'success', message: summary, durationMs: Date.now() - startTime };
+        logger.info(`⏰ Job ${job.jobId} (${job.type}) succeeded: ${summary}`);
+      } catch (error) {
+        lastRun = { at: new Date(), status: 'failed', message: error.message, durationMs: Date.now() - startTime };
+        logger.error(`⏰ Job ${job.jobId} (${job.type}) failed:`, error);
+      }
+
+      await this.jobs.updateOne({ jobId }, { $set: { lastRun } });
+      return lastRun;
+    });
+  }
+
+  async executeJob(job) {
+    switch (job.type) {
+      case 'standup':
+        return await this.postStandup(job);
+      case 'digest':
+        return await this.postDigest(job);
+      case 'backup':
+        return await this.backupConfigurations(job);
+      case 'retention':
+        return await this.sweepMemory(job);
+      default:
+        throw new Error(`Unknown job type ${job.type}`);
+    }
+  }
+
+  async getGuildChannel(guildId, channelType) {
+    if (!discordClient?.isReady()) throw new Error('Discord client is not connected');
+
+    const guild = discordClient.guilds.cache.get(guildId);
+    if (!guild) throw new Error(`Bot is not in guild ${guildId}`);
+
+    const channel = await this.channelBindingService.findChannel(guild, channelType);
+    if (!channel) throw new Error(`No channel is bound to ${channelType}; use /bindchannel`);
+    return channel;
+  }
+
+  async postStandup(job) {
+    const channel = await this.getGuildChannel(job.guildId, 'planning');
+    await channel.send(job.options?.message || DEFAULT_STANDUP_MESSAGE);
+    return `Posted standup prompt in #${channel.name}`;
+  }
+
+  async postDigest(job) {
+    const channel = await this.getGuildChannel(job.guildId, 'projects');
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const projects = await this.memoryService.getProjectDigest(job.guildId, since);
+
+    const embed = new EmbedBuilder()
+      .setColor(0x0099ff)
+      .setTitle('📋 Weekly Project Digest')
+      .setDescription(projects.length > 0
+        ? `${projects.length} project${projects.length === 1 ? '' : 's'} active in the last 7 days`
+        : 'No project activity in the last 7 days')
+      .setTimestamp();
+
+    for (const project of projects.slice(0, 10)) {
+      const lines = [
+        `${project.interactionCount} discussion${project.interactionCount === 1 ? '' : 's'} · ${project.contributors} contributor${project.contributors === 1 ? '' : 's'} · last active <t:${Math.floor(project.lastActivity.getTime() / 1000)}:R>`
+      ];
+      if (project.technologies.length > 0) lines.push(`🔧 ${project.technologies.slice(0, 6).join(', ')}`);
+      if (project.recentTopics.length > 0) lines.push(`💬 ${project.recentTopics.join(' · ')}`);
+
+      embed.addFields({ name: project.name, value: lines.join('\n').substring(0, 1024), inline: false });
+    }
+
+    await channel.send({ embeds: [embed] });
+    return `Posted digest of ${projects.length} projects in #${channel.name}`;
+  }
+
+  // Writes one file per guild per day and prunes all but the newest backups for that guild
+  async backupConfigurations(job) {
+    const exportData = await this.channelConfigService.exportConfigurations(job.guildId);
+    const date = new Date().toISOString().slice(0, 10);
+    const prefix = `config-${job.guildId}-`;
+    const filePath = path.join(this.backupDir, `${prefix}${date}.json`);
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(exportData, null, 2), 'utf8');
+
+    const backups = (await fs.readdir(this.backupDir))
+      .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+      .sort()
+      .reverse();
+    for (const name of backups.slice(BACKUPS_TO_KEEP)) {
+      await fs.unlink(path.join(this.backupDir, name));
+    }
+
+    return `Saved ${exportData.configurations.length} configurations to ${filePath}`;
+  }
+
+  async sweepMemory(job) {
+    const retentionDays = job.options?.retentionDays || DEFAULT_RETENTION_DAYS;
+    const result = await this.memoryService.sweepRetention(job.guildId, retentionDays);
+    return `Removed ${result.interactions} interactions, ${result.sessions} sessions, ${result.projects} projects and ${result.threads} threads older than ${retentionDays} days`;
+  }
+}
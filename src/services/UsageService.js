@@ -0,0 +1,215 @@
+// src/services/UsageService.js - Token Usage Ledger, Pricing and Budgets
+import { MongoClient } from 'mongodb';
+import { logger } from '../utils/logger.js';
+import { getMongoUri } from '../utils/mongoUri.js';
+import { defaultModelPrices, freeProviders, BUDGET_WARNING_THRESHOLD } from '../../config/pricing.js';
+
+export class UsageService {
+  constructor() {
+    this.client = new MongoClient(getMongoUri());
+    this.db = null;
+    this.usageLedger = null;  // One entry per LLM response
+    this.modelPrices = null;  // Admin price overrides, USD per 1M tokens
+    this.usageBudgets = null; // Monthly budgets per guild or channel type
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.client.connect();
+      this.db = this.client.db('technical_workspace');
+      this.usageLedger = this.db.collection('usage_ledger');
+      this.modelPrices = this.db.collection('usage_prices');
+      this.usageBudgets = this.db.collection('usage_budgets');
+
+      // Create indexes for efficient queries
+      await this.usageLedger.createIndex({ guildId: 1, timestamp: -1 });
+      await this.usageLedger.createIndex({ guildId: 1, channelType: 1, timestamp: -1 });
+      await this.modelPrices.createIndex({ model: 1 }, { unique: true });
+      await this.usageBudgets.createIndex({ guildId: 1, channelType: 1 }, { unique: true });
+
+      logger.info('✅ UsageService initialized');
+      this.initialized = true;
+    } catch (error) {
+      logger.error('❌ Failed to initialize UsageService:', error);
+      throw error;
+    }
+  }
+
+  // Resolve a model's price: admin override, then the default table (dated model IDs match their base name)
+  async getPrice(provider, model) {
+    await this.initialize();
+
+    const override = await this.modelPrices.findOne({ model });
+    if (override) return { input: override.input, output: override.output };
+
+    if (defaultModelPrices[model]) return defaultModelPrices[model];
+
+    const baseName = Object.keys(defaultModelPrices)
+      .filter(name => model?.startsWith(`${name}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    if (baseName) return defaultModelPrices[baseName];
+
+    if (freeProviders.includes(provider)) return { input: 0, output: 0 };
+    return null;
+  }
+
+  calculateCost(usage, price) {
+    if (!price) return 0;
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+  }
+
+  // Write a ledger entry and return any budget warnings it triggered
+  async record(entry) {
+    await this.initialize();
+
+    const price = await this.getPrice(entry.provider, entry.model);
+    const cost = this.calculateCost(entry.usage, price);
+
+    await this.usageLedger.insertOne({
+      guildId: entry.guildId || 'default',
+      channelType: entry.channelType,
+      userId: entry.userId || null,
+      username: entry.username || null,
+      provider: entry.provider,
+      model: entry.model,
+      promptTokens: entry.usage.promptTokens,
+      completionTokens: entry.usage.completionTokens,
+      totalTokens: entry.usage.totalTokens,
+      estimated: !!entry.estimated,
+      priced: !!price,
+      cost,
+      timestamp: new Date()
+    });
+
+    if (!price) {
+      logger.warn(`No price configured for ${entry.provider}/${entry.model}; usage recorded at $0`);
+    }
+
+    return { cost, warnings: await this.checkBudgets(entry.guildId, entry.channelType) };
+  }
+
+  // Total spend and tokens since a date, optionally for one channel type
+  async getSpend(guildId, since, channelType = null) {
+    await this.initialize();
+
+    const match = { guildId: guildId || 'default', timestamp: { $gte: since } };
+    if (channelType) match.channelType = channelType;
+
+    const [totals] = await this.usageLedger.aggregate([
+      { $match: match },
+      { $group: { _id: null, cost: { $sum: '$cost' }, tokens: { $sum: '$totalTokens' }, requests: { $sum: 1 } } }
+    ]).toArray();
+
+    return totals || { cost: 0, tokens: 0, requests: 0 };
+  }
+
+  // Spend since a date grouped by channel, user and day
+  async getBreakdown(guildId, since) {
+    await this.initialize();
+
+    const match = { $match: { guildId: guildId || 'default', timestamp: { $gte: since } } };
+    const totals = { cost: { $sum: '$cost' }, tokens: { $sum: '$totalTokens' }, requests: { $sum: 1 } };
+
+    const [byChannel, byUser, byDay] = await Promise.all([
+      this.usageLedger.aggregate([match, { $group: { _id: '$channelType', ...totals } }, { $sort: { cost: -1 } }]).toArray(),
+      this.usageLedger.aggregate([
+        match,
+        { $group: { _id: '$userId', username: { $last: '$username' }, ...totals } },
+        { $sort: { cost: -1 } },
+        { $limit: 10 }
+      ]).toArray(),
+      this.usageLedger.aggregate([
+        match,
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, ...totals } },
+        { $sort: { _id: -1 } }
+      ]).toArray()
+    ]);
+
+    return {
+      total: await this.getSpend(guildId, since),
+      byChannel,
+      byUser,
+      byDay
+    };
+  }
+
+  async setPrice(model, input, output) {
+    await this.initialize();
+    await this.modelPrices.updateOne(
+      { model },
+      { $set: { input, output, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    logger.info(`💲 Price for ${model} set to $${input}/$${output} per 1M tokens`);
+  }
+
+  // channelType null sets the guild-wide budget; a zero amount removes the budget
+  async setBudget(guildId, channelType, monthlyUsd) {
+    await this.initialize();
+
+    const filter = { guildId: guildId || 'default', channelType: channelType || null };
+    if (!monthlyUsd) {
+      const result = await this.usageBudgets.deleteOne(filter);
+      return result.deletedCount > 0;
+    }
+
+    await this.usageBudgets.updateOne(
+      filter,
+      { $set: { monthlyUsd, updatedAt: new Date() }, $unset: { warnedMonth: '' } },
+      { upsert: true }
+    );
+    return true;
+  }
+
+  async getBudgets(guildId) {
+    await this.initialize();
+    return await this.usageBudgets.find({ guildId: guildId || 'default' }).toArray();
+  }
+
+  // Warn once per month per budget when spend crosses the warning threshold
+  async checkBudgets(guildId, channelType) {
+    const monthKey = this.getMonthKey();
+    const monthStart = this.getMonthStart();
+    const budgets = await this.usageBudgets.find({
+      guildId: guildId || 'default',
+      channelType: { $in: [null, channelType] }
+    }).toArray();
+
+    const warnings = [];
+    for (const budget of budgets) {
+      const { cost } = await this.getSpend(guildId, monthStart, budget.channelType);
+      if (cost < budget.monthlyUsd * BUDGET_WARNING_THRESHOLD) continue;
+
+      // The conditional update makes sure concurrent responses only warn once
+      const result = await this.usageBudgets.updateOne(
+        { _id: budget._id, warnedMonth: { $ne: monthKey } },
+        { $set: { warnedMonth: monthKey } }
+      );
+      if (result.modifiedCount > 0) {
+        warnings.push({
+          channelType: budget.channelType,
+          spend: cost,
+          budget: budget.monthlyUsd,
+          percent: Math.round((cost / budget.monthlyUsd) * 100)
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  getMonthKey(date = new Date()) {
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  getDayStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  getMonthStart(date = new Date()) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+}
@@ -0,0 +1,205 @@
+// src/services/llm/AnthropicProvider.js - Anthropic Messages API Implementation
+import axios from 'axios';
+import { providerError } from './providerError.js';
+import { logger } from '../../utils/logger.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Short names offered by /setmodel mapped to dated API model IDs
+const MODEL_ALIASES = {
+  'claude-3-opus': 'claude-3-opus-20240229',
+  'claude-3-sonnet': 'claude-3-sonnet-20240229',
+  'claude-3-haiku': 'claude-3-haiku-20240307'
+};
+
+export class AnthropicProvider {
+  constructor(config) {
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.url || 'https://api.anthropic.com';
+    this.model = MODEL_ALIASES[config.model] || config.model || 'claude-3-sonnet-20240229';
+    this.defaultOptions = {
+      maxTokens: 500,
+      temperature: 0.8
+    };
+  }
+
+  // Map provider-neutral request options to Messages API parameters
+  // (Anthropic has no presence/frequency penalties, so those are dropped)
+  mapRequestOptions(options) {
+    const params = {
+      max_tokens: options.maxTokens,
+      temperature: Math.min(options.temperature, 1) // Anthropic accepts 0.0-1.0
+    };
+
+    if (options.topP !== undefined) params.top_p = options.topP;
+    if (options.stop?.length > 0) params.stop_sequences = options.stop;
+
+    return params;
+  }
+
+  // Anthropic takes the system prompt as a top-level field and requires the conversation to open with a user turn
+  buildRequestBody(messages, options) {
+    const system = messages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n');
+
+    const conversation = messages.filter(msg => msg.role !== 'system');
+    while (conversation.length > 0 && conversation[0].role !== 'user') {
+      conversation.shift();
+    }
+
+    const body = {
+      model: this.model,
+      messages: conversation.map(msg => ({ role: msg.role, content: msg.content })),
+      ...this.mapRequestOptions({ ...this.defaultOptions, ...options })
+    };
+
+    if (system) body.system = system;
+    return body;
+  }
+
+  getHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'content-type': 'application/json'
+    };
+  }
+
+  mapUsage(usage) {
+    if (!usage) return null;
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  async generateResponse(systemPrompt, userPrompt, options = {}) {
+    const { text } = await this.generateChatResponse([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], options);
+    return text;
+  }
+
+  async generateChatResponse(messages, options = {}) {
+    try {
+      const body = this.buildRequestBody(messages, options);
+
+      logger.info(`Anthropic request: model=${this.model}, messages=${body.messages.length}, max_tokens=${body.max_tokens}`);
+
+      const response = await axios.post(`${this.baseUrl}/v1/messages`, body, {
+        headers: this.getHeaders(),
+        timeout: 60000 // 60 second timeout
+      });
+
+      const generatedText = (response.data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+        .trim();
+
+      const usage = this.mapUsage(response.data.usage);
+
+      logger.info(`Anthropic response: ${generatedText.length} characters, ${usage?.totalTokens ?? '?'} tokens`);
+
+      return { text: generatedText, usage };
+
+    } catch (error) {
+      logger.error('Anthropic API error:', error.response?.data || error.message);
+      throw this.mapError(error);
+    }
+  }
+
+  // Stream text deltas from the Messages API server-sent events; returns usage from message_start/message_delta
+  async *streamChatResponse(messages, options = {}) {
+    try {
+      const body = this.buildRequestBody(messages, options);
+
+      logger.info(`Anthropic stream request: model=${this.model}, messages=${body.messages.length}, max_tokens=${body.max_tokens}`);
+
+      const response = await axios.post(`${this.baseUrl}/v1/messages`, { ...body, stream: true }, {
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        timeout: 60000 // 60 second timeout before the first byte
+      });
+
+      let buffer = '';
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const event = JSON.parse(line.slice(5).trim());
+
+          if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            yield event.delta.text;
+          } else if (event.type === 'message_start') {
+            usage.input_tokens = event.message?.usage?.input_tokens || 0;
+          } else if (event.type === 'message_delta') {
+            usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+          } else if (event.type === 'error') {
+            throw new Error(event.error?.message || 'Stream error');
+          } else if (event.type === 'message_stop') {
+            return this.mapUsage(usage);
+          }
+        }
+      }
+      return this.mapUsage(usage);
+    } catch (error) {
+      logger.error('Anthropic API error:', error.message);
+      throw this.mapError(error);
+    }
+  }
+
+  mapError(error) {
+    const status = error.response?.status;
+
+    if (status === 401) {
+      return providerError('anthropic', 'auth', 'Anthropic API key is invalid or missing', error);
+    } else if (status === 429) {
+      return providerError('anthropic', 'rate_limit', 'Anthropic rate limit exceeded. Try again later.', error);
+    } else if (status >= 500) {
+      return providerError('anthropic', 'unavailable', 'Anthropic service temporarily unavailable', error);
+    } else if (status === 404) {
+      return providerError('anthropic', 'model_not_found', `Anthropic model '${this.model}' not found`, error);
+    } else if (!status && error.request) {
+      // axios sets request without response when the host refused, dropped or never resolved the connection
+      return providerError('anthropic', 'connection', `Cannot reach Anthropic at ${this.baseUrl}: ${error.code || error.message}`, error);
+    } else {
+      return providerError('anthropic', 'other', `Anthropic API error: ${error.response?.data?.error?.message || error.message}`, error);
+    }
+  }
+
+  // Cheap reachability probe for /readyz: listing models costs no tokens
+  async checkReachability() {
+    await axios.get(`${this.baseUrl}/v1/models`, { headers: this.getHeaders(), timeout: 5000 });
+  }
+
+  async testConnection() {
+    try {
+      const { text } = await this.generateChatResponse([
+        { role: 'system', content: 'You are a test assistant.' },
+        { role: 'user', content: 'Say "connection test successful"' }
+      ], { maxTokens: 10 });
+
+      return text.toLowerCase().includes('successful');
+    } catch (error) {
+      logger.error('Anthropic connection test failed:', error);
+      return false;
+    }
+  }
+
+  getModelInfo() {
+    return {
+      provider: 'anthropic',
+      model: this.model,
+      baseUrl: this.baseUrl,
+      maxTokens: this.defaultOptions.maxTokens,
+      temperature: this.defaultOptions.temperature
+    };
+  }
+}
@@ -0,0 +1,106 @@
+// src/services/llm/CircuitBreaker.js - Per-Provider Circuit Breakers for Failover Routing
+import { RetryPolicy } from './RetryPolicy.js';
+import { logger } from '../../utils/logger.js';
+
+// Error classes from providerError and network codes that mean the endpoint itself is down or unreachable
+const AVAILABILITY_ERROR_CLASSES = ['unavailable', 'connection', 'timeout'];
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastError = null;
+  }
+
+  // Closed circuits always pass; open ones reject until the reset timeout, then let a single probe through
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info(`Circuit ${this.name} half-open, probing`);
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) return true;
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`✅ Circuit ${this.name} closed`);
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+    this.probeInFlight = false;
+
+    // A failed probe re-opens immediately; a closed circuit opens once the threshold is reached
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        logger.warn(`⚠️ Circuit ${this.name} open after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  // A request the provider rejected (bad input, auth, unknown model) says nothing about its health,
+  // but a half-open circuit still has to free its probe slot for the next request
+  releaseProbe() {
+    this.probeInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+// Only transient and availability failures count against a circuit; 4xx rejections are the caller's problem
+export function isAvailabilityError(error) {
+  return RetryPolicy.isRetryable(error)
+    || AVAILABILITY_ERROR_CLASSES.includes(error?.errorClass)
+    || UNREACHABLE_CODES.includes(RetryPolicy.getErrorCode(error));
+}
+
+// Breakers are shared by every LLMService instance so all handlers see the same provider health
+const breakers = new Map();
+
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || undefined,
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_MS, 10) || undefined
+    }));
+  }
+  return breakers.get(name);
+}
+
+export function getCircuitStatuses() {
+  return [...breakers.values()].map(breaker => breaker.getStatus());
+}
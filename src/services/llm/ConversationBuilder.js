@@ -0,0 +1,83 @@
+// src/services/llm/ConversationBuilder.js - Role-Tagged Chat Message Assembly
+import { logger } from '../../utils/logger.js';
+
+export const DEFAULT_HISTORY_WINDOW = 10;
+export const DEFAULT_HISTORY_TOKEN_BUDGET = 3000;
+
+export class ConversationBuilder {
+  // Resolve history settings from a channel llmConfig
+  getSettings(llmConfig = {}) {
+    return {
+      historyWindow: llmConfig.historyWindow ?? DEFAULT_HISTORY_WINDOW,
+      tokenBudget: llmConfig.historyTokenBudget ?? DEFAULT_HISTORY_TOKEN_BUDGET
+    };
+  }
+
+  // Build [system, ...history, user] from a message context
+  build(systemPrompt, context, settings = {}) {
+    const { historyWindow = DEFAULT_HISTORY_WINDOW, tokenBudget = DEFAULT_HISTORY_TOKEN_BUDGET } = settings;
+
+    const currentTurn = {
+      role: 'user',
+      content: this.formatUserContent(context.username, context.message)
+    };
+
+    // Thread transcripts are kept whole (within the token budget); channel history is capped by the window
+    const allTurns = this.toTurns(context.messageHistory || [], context.messageId);
+    const historyTurns = context.thread ? allTurns : historyWindow > 0 ? allTurns.slice(-historyWindow) : [];
+
+    // Walk backwards from the newest turn so the most recent context survives the budget
+    let remaining = tokenBudget - this.estimateTokens(currentTurn.content);
+    const kept = [];
+
+    for (let i = historyTurns.length - 1; i >= 0; i--) {
+      const cost = this.estimateTokens(historyTurns[i].content);
+      if (cost > remaining) break;
+      remaining -= cost;
+      kept.unshift(historyTurns[i]);
+    }
+
+    if (kept.length < historyTurns.length) {
+      logger.debug(`Conversation history trimmed to ${kept.length}/${historyTurns.length} turns by token budget`);
+    }
+
+    return [
+      { role: 'system', content: systemPrompt },
+      ...this.mergeConsecutiveTurns([...kept, currentTurn])
+    ];
+  }
+
+  // Convert fetched Discord messages into role-tagged turns
+  toTurns(messageHistory, currentMessageId = null) {
+    return messageHistory
+      .filter(msg => !currentMessageId || msg.id !== currentMessageId)
+      .filter(msg => msg.content?.trim())
+      .filter(msg => !msg.isBot || msg.isSelf) // Other bots are noise, our own replies are assistant turns
+      .map(msg => msg.isSelf
+        ? { role: 'assistant', content: msg.content }
+        : { role: 'user', content: this.formatUserContent(msg.author, msg.content) });
+  }
+
+  // Several people can talk in one channel, so user turns carry the speaker's name
+  formatUserContent(author, content) {
+    return author ? `${author}: ${content}` : content;
+  }
+
+  // Collapse adjacent turns with the same role so providers that require alternation accept the array
+  mergeConsecutiveTurns(turns) {
+    return turns.reduce((merged, turn) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.role === turn.role) {
+        previous.content = `${previous.content}\n\n${turn.content}`;
+      } else {
+        merged.push({ ...turn });
+      }
+      return merged;
+    }, []);
+  }
+
+  // Rough token estimate (~4 characters per token) to keep requests within budget
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
@@ -1,14 +1,45 @@
 // src/services/llm/LLMService.js - Enhanced LLM with Dynamic Channel Configuration
 import { OpenAIProvider } from './OpenAIProvider.js';
 import { OllamaProvider } from './OllamaProvider.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
 import { getSystemPrompts, getChannelConfig } from './prompts.js';
+import { buildRequestOptions, buildRetryOptions } from './requestOptions.js';
+import { ConversationBuilder } from './ConversationBuilder.js';
+import { getCircuitBreaker, getCircuitStatuses, isAvailabilityError } from './CircuitBreaker.js';
+import { RetryPolicy, DEFAULT_RETRY_OPTIONS } from './RetryPolicy.js';
 import { ChannelConfigService } from '../ChannelConfigService.js';
+import { UsageService } from '../UsageService.js';
+import { llmRequestDuration, llmTokens, llmFallbackResponses } from '../../utils/metrics.js';
 import { logger } from '../../utils/logger.js';
 
+export const SUPPORTED_PROVIDERS = ['openai', 'ollama', 'anthropic', 'openai-compatible'];
+
+// Last route that answered per guild/channel, shared so admin commands see what message handling used
+const activeRoutes = new Map();
+
+// Parse "provider/model[@baseUrl], ..." into llmConfig.fallbacks entries; returns null on malformed input
+export function parseFallbackRoutes(value) {
+  if (!value || value.trim().toLowerCase() === 'none') return [];
+  
+  const routes = value.split(',').map(entry => {
+    const match = entry.trim().match(/^([a-z-]+)\/([^@\s]+)(?:@(https?:\/\/\S+))?$/i);
+    if (!match || !SUPPORTED_PROVIDERS.includes(match[1].toLowerCase())) return null;
+    
+    const route = { provider: match[1].toLowerCase(), model: match[2] };
+    if (match[3]) route.baseUrl = match[3].replace(/\/+$/, '');
+    return route;
+  });
+  
+  return routes.includes(null) ? null : routes;
+}
+
 export class LLMService {
   constructor() {
     this.providers = new Map(); // Cache providers by configuration
     this.channelConfigService = new ChannelConfigService();
+    this.usageService = new UsageService();
+    this.conversationBuilder = new ConversationBuilder();
     this.defaultProvider = this.initializeDefaultProvider();
   }
 
@@ -25,15 +56,60 @@ export class LLMService {
         url: process.env.OLLAMA_URL || 'http://localhost:11434',
         model: process.env.LLM_MODEL || 'llama2'
       });
+    } else if (providerType === 'anthropic') {
+      return new AnthropicProvider({
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        url: process.env.ANTHROPIC_URL,
+        model: process.env.LLM_MODEL || 'claude-3-sonnet'
+      });
+    } else if (providerType === 'openai-compatible') {
+      return new OpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_COMPATIBLE_URL,
+        apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+        model: process.env.LLM_MODEL
+      });
     } else {
       throw new Error(`Unsupported LLM provider: ${providerType}`);
     }
   }
 
-  // Get or create provider for specific configuration
+  // Primary provider for a channel; fallbacks are only consulted while generating
   async getProviderForChannel(channelType, guildId = null) {
     const llmConfig = await this.channelConfigService.getLLMConfig(channelType, guildId);
-    const configKey = `${llmConfig.provider}_${llmConfig.model}`;
+    return this.getProviderForRoute(this.getRoutes(llmConfig)[0], channelType);
+  }
+
+  // Ordered provider/model pairs to try: the channel's own provider, then llmConfig.fallbacks
+  getRoutes(llmConfig) {
+    const primary = {
+      provider: llmConfig.provider,
+      model: llmConfig.model,
+      baseUrl: llmConfig.baseUrl,
+      apiKeyEnv: llmConfig.apiKeyEnv,
+      headers: llmConfig.headers,
+      modelMap: llmConfig.modelMap
+    };
+    return [primary, ...(llmConfig.fallbacks || [])];
+  }
+
+  // Circuits track provider endpoints, so one dead Ollama host trips every channel routed to it
+  getCircuitName(route) {
+    return route.baseUrl ? `${route.provider}@${route.baseUrl}` : route.provider;
+  }
+
+  // Cache key covering everything a provider is built from, so a header, key or model map change gets a new client
+  getRouteKey(route) {
+    const { provider, model, baseUrl, apiKeyEnv, headers, modelMap } = route;
+    // Object keys are sorted at every level so equal configs loaded in a different order share a provider
+    return JSON.stringify([provider, model, baseUrl || null, apiKeyEnv || null, headers || null, modelMap || null],
+      (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+        ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a.localeCompare(b)))
+        : value);
+  }
+
+  // Get or create provider for a route
+  getProviderForRoute(route, channelType = 'unknown') {
+    const configKey = this.getRouteKey(route);
     
     // Return cached provider if available
     if (this.providers.has(configKey)) {
@@ -44,21 +120,38 @@ export class LLMService {
     let provider;
     
     try {
-      if (llmConfig.provider === 'openai') {
+      if (route.provider === 'openai') {
         provider = new OpenAIProvider({
           apiKey: process.env.OPENAI_API_KEY,
-          model: llmConfig.model
+          model: route.model
         });
-      } else if (llmConfig.provider === 'ollama') {
+      } else if (route.provider === 'ollama') {
         provider = new OllamaProvider({
           url: process.env.OLLAMA_URL || 'http://localhost:11434',
-          model: llmConfig.model
+          model: route.model
+        });
+      } else if (route.provider === 'anthropic') {
+        provider = new AnthropicProvider({
+          apiKey: process.env.ANTHROPIC_API_KEY,
+          url: process.env.ANTHROPIC_URL,
+          model: route.model
+        });
+      } else if (route.provider === 'openai-compatible') {
+        // Re-checked here so a value stored before validation tightened can't read an unrelated secret
+        let apiKeyEnv = route.apiKeyEnv || 'OPENAI_COMPATIBLE_API_KEY';
+        if (!OpenAICompatibleProvider.isAllowedApiKeyEnv(apiKeyEnv)) {
+          logger.warn(`Ignoring API key env ${apiKeyEnv}: only *_API_KEY variables may be sent to ${route.baseUrl || 'a compatible endpoint'}`);
+          apiKeyEnv = 'OPENAI_COMPATIBLE_API_KEY';
+        }
+        provider = new OpenAICompatibleProvider({
+          baseUrl: route.baseUrl || process.env.OPENAI_COMPATIBLE_URL,
+          apiKey: process.env[apiKeyEnv],
+          headers: route.headers,
+          modelMap: route.modelMap,
+          model: route.model
         });
-      } else if (llmConfig.provider === 'anthropic') {
-        // Add Anthropic provider support if needed
-        throw new Error('Anthropic provider not yet implemented');
       } else {
-        logger.warn(`Unknown provider ${llmConfig.provider}, falling back to default`);
+        logger.warn(`Unknown provider ${route.provider}, falling back to default`);
         provider = this.defaultProvider;
       }
       
@@ -72,17 +165,35 @@ export class LLMService {
     }
   }
 
+  // Infer which provider serves a model name, so /setmodel can switch both together
+  inferProviderForModel(model) {
+    if (/^(gpt-|o\d)/.test(model)) return 'openai';
+    if (model.startsWith('claude-')) return 'anthropic';
+    if (model.includes(':') || /^(llama|codellama|mistral|phi|deepseek|qwen|gemma)/.test(model)) return 'ollama';
+    return null;
+  }
+
   async generateResponse(context) {
     try {
-      const provider = await this.getProviderForChannel(context.channelType, context.guildId);
-      const systemPrompt = await this.buildSystemPrompt(context);
-      const userPrompt = this.buildUserPrompt(context);
+      const spend = await this.checkSpendCaps(context);
+      if (spend.level === 'hard') return this.blockForBudget(context, spend);
       
-      logger.info(`Generating response for ${context.channelType} channel using ${provider.constructor.name}`);
+      const llmConfig = this.applySpendDowngrade(
+        await this.channelConfigService.getLLMConfig(context.channelType, context.guildId),
+        spend,
+        context.channelType
+      );
+      const requestOptions = buildRequestOptions(llmConfig);
+      const messages = await this.buildMessages(context, llmConfig);
       
-      const response = await provider.generateResponse(systemPrompt, userPrompt);
+      const response = await this.runWithFailover(context, llmConfig, provider =>
+        provider.generateChatResponse(messages, requestOptions)
+      );
+      const text = response.text.trim();
+      if (spend.level === 'soft') context.generation.spendCap = spend;
       
-      return response.trim();
+      await this.recordUsage(context, messages, text, response.usage);
+      return text;
       
     } catch (error) {
       logger.error('LLM generation error:', error);
@@ -90,6 +201,398 @@ export class LLMService {
     }
   }
 
+  // One-off generation with its own instructions (thread titles, summaries): no memory or history, and failures
+  // throw instead of returning the fallback message so callers can keep their own default
+  async generateTaskResponse(context, systemPrompt, { maxTokens } = {}) {
+    const spend = await this.checkSpendCaps(context);
+    if (spend.level === 'hard') {
+      throw new Error(`${spend.scope} ${spend.period} spend cap reached`);
+    }
+    
+    const llmConfig = this.applySpendDowngrade(
+      await this.channelConfigService.getLLMConfig(context.channelType, context.guildId),
+      spend,
+      context.channelType
+    );
+    const requestOptions = { ...buildRequestOptions(llmConfig), ...(maxTokens && { maxTokens }) };
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: context.message }
+    ];
+    
+    const response = await this.runWithFailover(context, llmConfig, provider =>
+      provider.generateChatResponse(messages, requestOptions)
+    );
+    const text = response.text.trim();
+    
+    await this.recordUsage(context, messages, text, response.usage);
+    return text;
+  }
+
+  // Try each route in order, skipping providers whose circuit is open; throws the last error if every route fails.
+  // Transient errors are retried on the same route first, and the outcome is recorded on context.generation
+  async runWithFailover(context, llmConfig, request) {
+    const retryPolicy = new RetryPolicy(buildRetryOptions(llmConfig));
+    const generation = this.startGeneration(context);
+    let lastError = new Error('All provider circuits are open');
+    
+    for (const [index, route] of this.getRoutes(llmConfig).entries()) {
+      const breaker = getCircuitBreaker(this.getCircuitName(route));
+      if (!breaker.canRequest()) {
+        logger.warn(`Skipping ${route.provider}/${route.model} for ${context.channelType}: circuit ${breaker.state}`);
+        continue;
+      }
+      
+      const provider = this.getProviderForRoute(route, context.channelType);
+      
+      try {
+        logger.info(`Generating response for ${context.channelType} channel using ${provider.constructor.name} (${route.provider}/${route.model})`);
+        const result = await retryPolicy.execute(async () => {
+          const stopTimer = llmRequestDuration.startTimer({ provider: route.provider, model: route.model });
+          let outcome = 'error';
+          try {
+            const response = await request(provider);
+            outcome = 'success';
+            return response;
+          } finally {
+            // Failures and timeouts are timed too, so slow errors show up next to slow answers
+            stopTimer({ outcome });
+          }
+        }, {
+          label: `${route.provider}/${route.model}`,
+          onRetry: () => generation.retries++
+        });
+        breaker.recordSuccess();
+        this.setActiveRoute(context, route, index);
+        return result;
+      } catch (error) {
+        // A rejected request (4xx) isn't an outage, so it neither counts against the circuit nor fails over
+        if (!isAvailabilityError(error)) {
+          breaker.releaseProbe();
+          throw error;
+        }
+        breaker.recordFailure(error);
+        lastError = error;
+        logger.warn(`${route.provider}/${route.model} failed for ${context.channelType}: ${error.message}`);
+      }
+    }
+    
+    throw lastError;
+  }
+
+  // Stream a response as text chunks; yields the fallback message if every route fails before producing output
+  async *streamResponse(context) {
+    let produced = false;
+    
+    try {
+      const spend = await this.checkSpendCaps(context);
+      if (spend.level === 'hard') {
+        yield this.blockForBudget(context, spend);
+        return;
+      }
+      
+      const llmConfig = this.applySpendDowngrade(
+        await this.channelConfigService.getLLMConfig(context.channelType, context.guildId),
+        spend,
+        context.channelType
+      );
+      const requestOptions = buildRequestOptions(llmConfig);
+      const messages = await this.buildMessages(context, llmConfig);
+      const retryPolicy = new RetryPolicy(buildRetryOptions(llmConfig));
+      const generation = this.startGeneration(context);
+      if (spend.level === 'soft') generation.spendCap = spend;
+      let lastError = new Error('All provider circuits are open');
+      
+      for (const [index, route] of this.getRoutes(llmConfig).entries()) {
+        const breaker = getCircuitBreaker(this.getCircuitName(route));
+        if (!breaker.canRequest()) {
+          logger.warn(`Skipping ${route.provider}/${route.model} for ${context.channelType}: circuit ${breaker.state}`);
+          continue;
+        }
+        
+        const provider = this.getProviderForRoute(route, context.channelType);
+        
+        try {
+          logger.info(`Streaming response for ${context.channelType} channel using ${provider.constructor.name} (${route.provider}/${route.model})`);
+          
+          // Retries are only safe until the first chunk reaches Discord
+          let text = '';
+          let usage = null;
+          for (let attempt = 0; ; attempt++) {
+            try {
+              const stopTimer = llmRequestDuration.startTimer({ provider: route.provider, model: route.model });
+              let outcome = 'error';
+              try {
+                // Iterate by hand so the provider's return value (token usage) isn't discarded
+                const stream = this.streamFromProvider(provider, messages, requestOptions);
+                let step;
+                while (!(step = await stream.next()).done) {
+                  produced = true;
+                  text += step.value;
+                  yield step.value;
+                }
+                usage = step.value;
+                outcome = 'success';
+              } finally {
+                stopTimer({ outcome });
+              }
+              break;
+            } catch (error) {
+              if (produced || !retryPolicy.shouldRetry(error, attempt)) throw error;
+              const delay = retryPolicy.getDelay(attempt, error);
+              logger.warn(`Retrying ${route.provider}/${route.model} stream in ${delay}ms (attempt ${attempt + 1}/${retryPolicy.maxRetries}): ${error.message}`);
+              generation.retries++;
+              await retryPolicy.wait(delay);
+            }
+          }
+          
+          breaker.recordSuccess();
+          this.setActiveRoute(context, route, index);
+          await this.recordUsage(context, messages, text, usage);
+          return;
+        } catch (error) {
+          if (!isAvailabilityError(error)) {
+            breaker.releaseProbe();
+            throw error;
+          }
+          breaker.recordFailure(error);
+          lastError = error;
+          // Part of the answer is already on screen, so switching providers would splice two replies together
+          if (produced) throw error;
+          logger.warn(`${route.provider}/${route.model} failed for ${context.channelType}: ${error.message}`);
+        }
+      }
+      
+      throw lastError;
+      
+    } catch (error) {
+      logger.error('LLM streaming error:', error);
+      if (produced) throw error;
+      yield this.getFallbackResponse(context.channelType);
+    }
+  }
+
+  // Providers without streaming support deliver their whole answer as a single chunk; returns token usage
+  async *streamFromProvider(provider, messages, requestOptions) {
+    if (typeof provider.streamChatResponse !== 'function') {
+      const response = await provider.generateChatResponse(messages, requestOptions);
+      yield response.text.trim();
+      return response.usage;
+    }
+    
+    return yield* provider.streamChatResponse(messages, requestOptions);
+  }
+
+  // Compare today's and this month's spend (UTC) against channel and guild caps.
+  // Any hard cap reached blocks the request; otherwise the first soft cap reached triggers a downgrade
+  async checkSpendCaps(context) {
+    try {
+      const caps = await this.channelConfigService.getSpendCaps(context.channelType, context.guildId);
+      if (!caps.channel && !caps.guild) return { level: 'ok' };
+      
+      const periodStarts = {
+        daily: this.usageService.getDayStart(),
+        monthly: this.usageService.getMonthStart()
+      };
+      const scopes = [
+        { scope: 'channel', caps: caps.channel, channelType: context.channelType },
+        { scope: 'guild', caps: caps.guild, channelType: null }
+      ];
+      let result = { level: 'ok' };
+      
+      for (const { scope, caps: scopeCaps, channelType } of scopes) {
+        if (!scopeCaps) continue;
+        
+        for (const period of ['daily', 'monthly']) {
+          const soft = scopeCaps[`${period}SoftUsd`];
+          const hard = scopeCaps[`${period}HardUsd`];
+          if (!soft && !hard) continue;
+          
+          const { cost } = await this.usageService.getSpend(context.guildId, periodStarts[period], channelType);
+          if (hard && cost >= hard) {
+            return { level: 'hard', scope, period, spend: cost, cap: hard };
+          }
+          if (soft && cost >= soft && result.level === 'ok') {
+            result = { level: 'soft', scope, period, spend: cost, cap: soft };
+          }
+        }
+      }
+      
+      if (result.level === 'soft') {
+        result.downgrade = caps.channel?.downgrade || caps.guild?.downgrade || null;
+      }
+      return result;
+    } catch (error) {
+      // Failing open keeps the bot answering when the usage ledger is unavailable
+      logger.warn('Failed to check spend caps:', error.message);
+      return { level: 'ok' };
+    }
+  }
+
+  // Swap the primary route for the configured cheaper model, keeping the channel's fallbacks
+  applySpendDowngrade(llmConfig, spend, channelType) {
+    if (spend.level !== 'soft') return llmConfig;
+    
+    if (!spend.downgrade) {
+      logger.warn(`${channelType} passed its ${spend.period} soft spend cap but no downgrade model is configured`);
+      return llmConfig;
+    }
+    
+    logger.info(`💸 ${channelType} passed its ${spend.scope} ${spend.period} soft cap ($${spend.spend.toFixed(2)}/$${spend.cap}); using ${spend.downgrade.provider}/${spend.downgrade.model}`);
+    return {
+      ...llmConfig,
+      provider: spend.downgrade.provider,
+      model: spend.downgrade.model,
+      baseUrl: spend.downgrade.baseUrl,
+      apiKeyEnv: undefined,
+      headers: undefined,
+      modelMap: undefined
+    };
+  }
+
+  blockForBudget(context, spend) {
+    logger.warn(`🛑 ${context.channelType} blocked by ${spend.scope} ${spend.period} hard cap ($${spend.spend.toFixed(2)}/$${spend.cap})`);
+    this.startGeneration(context).spendCap = spend;
+    return this.getBudgetNotice(spend);
+  }
+
+  getBudgetNotice(spend) {
+    const now = new Date();
+    const resetAt = spend.period === 'daily'
+      ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)
+      : Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1);
+    const scope = spend.scope === 'guild' ? 'This server' : 'This channel';
+    
+    return `💸 ${scope} has reached its ${spend.period} AI budget ($${spend.spend.toFixed(2)} of $${spend.cap.toFixed(2)}). ` +
+      `Responses resume <t:${Math.floor(resetAt / 1000)}:R>, or an admin can raise the cap with \`/usage cap\`.`;
+  }
+
+  // Write the response's token usage to the ledger; providers that report nothing are estimated from text length
+  async recordUsage(context, messages, text, usage) {
+    const generation = context.generation;
+    const tokens = usage || this.estimateUsage(messages, text);
+    generation.usage = { ...tokens, estimated: !usage };
+    llmTokens.inc({ provider: generation.provider, model: generation.model, type: 'prompt' }, tokens.promptTokens);
+    llmTokens.inc({ provider: generation.provider, model: generation.model, type: 'completion' }, tokens.completionTokens);
+    
+    try {
+      const { cost, warnings } = await this.usageService.record({
+        guildId: context.guildId,
+        channelType: context.channelType,
+        userId: context.userId,
+        username: context.username,
+        provider: generation.provider,
+        model: generation.model,
+        usage: tokens,
+        estimated: !usage
+      });
+      generation.usage.cost = cost;
+      generation.budgetWarnings = warnings;
+    } catch (error) {
+      logger.warn('Failed to record LLM usage:', error.message);
+    }
+  }
+
+  estimateUsage(messages, text) {
+    const promptTokens = messages.reduce((sum, msg) => sum + this.conversationBuilder.estimateTokens(msg.content), 0);
+    const completionTokens = this.conversationBuilder.estimateTokens(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  // Generation metadata (route taken, retries, usage) is written onto the caller's context for the interaction log
+  startGeneration(context) {
+    context.generation = { provider: null, model: null, fallbackIndex: null, retries: 0 };
+    return context.generation;
+  }
+
+  setActiveRoute(context, route, index) {
+    if (context.generation) {
+      Object.assign(context.generation, { provider: route.provider, model: route.model, fallbackIndex: index });
+    }
+    
+    const key = `${context.guildId || 'default'}_${context.channelType}`;
+    const previous = activeRoutes.get(key);
+    
+    if (previous && previous.index !== index) {
+      logger.info(`🔀 ${context.channelType} routed from ${previous.provider}/${previous.model} to ${route.provider}/${route.model}`);
+    }
+    
+    activeRoutes.set(key, {
+      channelType: context.channelType,
+      guildId: context.guildId || null,
+      provider: route.provider,
+      model: route.model,
+      index,
+      isFallback: index > 0,
+      since: previous?.index === index ? previous.since : new Date()
+    });
+  }
+
+  // Configured routes with their circuit states, plus whichever route last answered for the channel
+  async getRouteStatus(channelType, guildId = null) {
+    const llmConfig = await this.channelConfigService.getLLMConfig(channelType, guildId);
+    
+    return {
+      routes: this.getRoutes(llmConfig).map(route => ({
+        provider: route.provider,
+        model: route.model,
+        circuit: getCircuitBreaker(this.getCircuitName(route)).state
+      })),
+      active: activeRoutes.get(`${guildId || 'default'}_${channelType}`) || null
+    };
+  }
+
+  getCircuitStatuses() {
+    return getCircuitStatuses();
+  }
+
+  // Probe every distinct endpoint the default channel configs route to, primaries and fallbacks alike
+  async checkProviderReachability() {
+    const configs = await this.channelConfigService.getAllChannelConfigs();
+    const endpoints = new Map();
+    
+    for (const config of configs) {
+      for (const route of this.getRoutes(config.llmConfig)) {
+        const name = this.getCircuitName(route);
+        if (!endpoints.has(name)) endpoints.set(name, { route, channelType: config.channelType });
+      }
+    }
+    
+    return await Promise.all([...endpoints].map(async ([name, { route, channelType }]) => {
+      try {
+        await this.getProviderForRoute(route, channelType).checkReachability();
+        return { name, reachable: true };
+      } catch (error) {
+        return { name, reachable: false, error: error.message };
+      }
+    }));
+  }
+
+  getActiveRoutes() {
+    return [...activeRoutes.values()];
+  }
+
+  // Resolve the request options a channel actually sends: provider defaults overlaid with llmConfig
+  async getEffectiveOptions(channelType, guildId = null) {
+    const provider = await this.getProviderForChannel(channelType, guildId);
+    const llmConfig = await this.channelConfigService.getLLMConfig(channelType, guildId);
+    
+    return {
+      ...provider.defaultOptions,
+      ...buildRequestOptions(llmConfig)
+    };
+  }
+
+  // Resolve the retry policy a channel uses: defaults overlaid with llmConfig
+  async getRetrySettings(channelType, guildId = null) {
+    const llmConfig = await this.channelConfigService.getLLMConfig(channelType, guildId);
+    
+    return {
+      ...DEFAULT_RETRY_OPTIONS,
+      ...buildRetryOptions(llmConfig)
+    };
+  }
+
   // Get configuration for admin commands
   async getConfiguration(guildId = null) {
     const channelConfigs = await this.channelConfigService.getAllChannelConfigs(guildId);
@@ -104,46 +607,46 @@ export class LLMService {
         provider: config.llmConfig.provider,
         model: config.llmConfig.model,
         temperature: config.llmConfig.temperature,
+        maxTokens: config.llmConfig.maxTokens,
+        fallbacks: (config.llmConfig.fallbacks || []).map(route => `${route.provider}/${route.model}`),
         isActive: config.isActive
       })),
       statistics: stats
     };
   }
 
+  // How many prior messages to fetch for a channel's conversation history
+  async getHistoryWindow(channelType, guildId = null) {
+    const llmConfig = await this.channelConfigService.getLLMConfig(channelType, guildId);
+    return this.conversationBuilder.getSettings(llmConfig).historyWindow;
+  }
+
+  async buildMessages(context, llmConfig) {
+    const systemPrompt = await this.buildSystemPrompt(context);
+    return this.conversationBuilder.build(systemPrompt, context, this.conversationBuilder.getSettings(llmConfig));
+  }
+
   async buildSystemPrompt(context) {
     // Get channel-specific system prompt from configuration
     const llmConfig = await this.channelConfigService.getLLMConfig(context.channelType, context.guildId);
-    const basePrompt = llmConfig.systemPrompt || getSystemPrompts()[context.channelType] || getSystemPrompts().general;
+    let prompt = llmConfig.systemPrompt || getSystemPrompts()[context.channelType] || getSystemPrompts().general;
     
-    // Add memory context to make the AI more aware of patterns
-    if (context.memoryContext?.summary) {
-      return `${basePrompt}\n\n**IMPORTANT MEMORY CONTEXT:**\n${context.memoryContext.summary}\n\nUse this context to understand user patterns, reference past interactions, and provide contextually relevant assistance. Be specific about their history when it helps provide better guidance.`;
+    // Threads are focused conversations; remind the model what this one is about
+    if (context.thread) {
+      const origin = context.thread.originContent ? ` It started from this message: "${context.thread.originContent.substring(0, 500)}"` : '';
+      prompt += `\n\n**THREAD CONTEXT:**\nThis conversation is in the thread "${context.thread.topic}".${origin} Build on the earlier discussion in the thread rather than starting over.`;
     }
     
-    return basePrompt;
-  }
-
-  buildUserPrompt(context) {
-    let prompt = `User ${context.username} says: "${context.message}"`;
-    
-    // Add recent conversation context
-    if (context.messageHistory?.length > 0) {
-      const recentHistory = context.messageHistory
-        .slice(-3)
-        .filter(msg => !msg.isBot) // Only include user messages for context
-        .map(msg => `${msg.author}: ${msg.content}`)
-        .join('\n');
-      
-      if (recentHistory) {
-        prompt += `\n\nRecent conversation:\n${recentHistory}`;
-      }
+    // Add memory context to make the AI more aware of patterns
+    if (context.memoryContext?.summary) {
+      prompt += `\n\n**IMPORTANT MEMORY CONTEXT:**\n${context.memoryContext.summary}\n\nUse this context to understand user patterns, reference past interactions, and provide contextually relevant assistance. Be specific about their history when it helps provide better guidance.`;
     }
     
     // Add specific memory insights if available
     if (context.memoryContext) {
       const insights = this.extractKeyInsights(context.memoryContext);
       if (insights) {
-        prompt += `\n\nKey behavioral insights: ${insights}`;
+        prompt += `\n\nKey behavioral insights about ${context.username}: ${insights}`;
       }
     }
     
@@ -203,6 +706,8 @@ export class LLMService {
   }
 
   getFallbackResponse(channelType) {
+    llmFallbackResponses.inc({ channel_type: channelType });
+    
     const fallbacks = {
       general: "⚠️ LLM service temporarily unavailable. Please try again in a moment.",
       coding: "🔧 Code analysis service is down. Please retry your request.",
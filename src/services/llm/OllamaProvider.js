@@ -1,5 +1,6 @@
 // src/services/llm/OllamaProvider.js - Ollama Implementation
 import axios from 'axios';
+import { providerError } from './providerError.js';
 import { logger } from '../../utils/logger.js';
 
 export class OllamaProvider {
@@ -8,55 +9,131 @@ export class OllamaProvider {
     this.model = config.model || 'llama2';
     this.defaultOptions = {
       temperature: 0.8,
-      max_tokens: 500
+      maxTokens: 500
     };
   }
 
+  // Map provider-neutral request options to Ollama model options
+  mapRequestOptions(options) {
+    const modelOptions = {
+      temperature: options.temperature,
+      num_predict: options.maxTokens
+    };
+
+    if (options.topP !== undefined) modelOptions.top_p = options.topP;
+    if (options.stop?.length > 0) modelOptions.stop = options.stop;
+    if (options.presencePenalty !== undefined) modelOptions.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty !== undefined) modelOptions.frequency_penalty = options.frequencyPenalty;
+
+    return modelOptions;
+  }
+
+  // Ollama reports prompt and generated token counts on the final (or only) response object
+  mapUsage(data) {
+    if (data?.prompt_eval_count === undefined && data?.eval_count === undefined) return null;
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
   async generateResponse(systemPrompt, userPrompt, options = {}) {
+    const { text } = await this.generateChatResponse([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], options);
+    return text;
+  }
+
+  async generateChatResponse(messages, options = {}) {
     try {
       const requestOptions = {
         ...this.defaultOptions,
         ...options
       };
 
-      // Combine system and user prompts for Ollama
-      const combinedPrompt = `${systemPrompt}\n\nUser: ${userPrompt}\nAssistant:`;
+      logger.info(`Ollama request: model=${this.model}, messages=${messages.length}, temp=${requestOptions.temperature}`);
 
-      logger.info(`Ollama request: model=${this.model}, temp=${requestOptions.temperature}`);
-
-      const response = await axios.post(`${this.baseUrl}/api/generate`, {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, {
         model: this.model,
-        prompt: combinedPrompt,
+        messages,
         stream: false,
-        options: {
-          temperature: requestOptions.temperature,
-          num_predict: requestOptions.max_tokens
-        }
+        options: this.mapRequestOptions(requestOptions)
       }, {
         timeout: 30000 // 30 second timeout
       });
 
-      const generatedText = response.data.response.trim();
+      const generatedText = response.data.message.content.trim();
       
-      logger.info(`Ollama response: ${generatedText.length} characters`);
+      const usage = this.mapUsage(response.data);
       
-      return generatedText;
+      logger.info(`Ollama response: ${generatedText.length} characters, ${usage?.totalTokens ?? '?'} tokens`);
+      
+      return { text: generatedText, usage };
 
     } catch (error) {
       logger.error('Ollama API error:', error);
-      
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service not running. Start Ollama first.');
-      } else if (error.response?.status === 404) {
-        throw new Error(`Ollama model '${this.model}' not found. Pull the model first.`);
-      } else if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
-        throw new Error('Ollama request timed out. Model may be loading.');
-      } else {
-        throw new Error(`Ollama API error: ${error.message}`);
+      throw this.mapError(error);
+    }
+  }
+
+  // Stream message content from Ollama's newline-delimited JSON chat stream; returns usage from the final line
+  async *streamChatResponse(messages, options = {}) {
+    const requestOptions = {
+      ...this.defaultOptions,
+      ...options
+    };
+
+    logger.info(`Ollama stream request: model=${this.model}, messages=${messages.length}, temp=${requestOptions.temperature}`);
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/chat`, {
+        model: this.model,
+        messages,
+        stream: true,
+        options: this.mapRequestOptions(requestOptions)
+      }, {
+        responseType: 'stream',
+        timeout: 30000 // 30 second timeout before the first byte
+      });
+
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const data = JSON.parse(line);
+          if (data.error) throw new Error(data.error);
+          if (data.message?.content) yield data.message.content;
+          if (data.done) return this.mapUsage(data);
+        }
       }
+      return null;
+    } catch (error) {
+      logger.error('Ollama API error:', error);
+      throw this.mapError(error);
+    }
+  }
+
+  mapError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return providerError('ollama', 'connection', 'Ollama service not running. Start Ollama first.', error);
+    } else if (error.response?.status === 404) {
+      return providerError('ollama', 'model_not_found', `Ollama model '${this.model}' not found. Pull the model first.`, error);
+    } else if (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT') {
+      return providerError('ollama', 'timeout', 'Ollama request timed out. Model may be loading.', error);
+    } else {
+      return providerError('ollama', 'other', `Ollama API error: ${error.message}`, error);
     }
   }
 
+  // Cheap reachability probe for /readyz: lists local models without generating
+  async checkReachability() {
+    await axios.get(`${this.baseUrl}/api/tags`, { timeout: 5000 });
+  }
+
   async testConnection() {
     try {
       // Test if Ollama is running
@@ -78,7 +155,7 @@ export class OllamaProvider {
       const testResponse = await this.generateResponse(
         'You are a test assistant.',
         'Say "connection test successful"',
-        { max_tokens: 10 }
+        { maxTokens: 10 }
       );
 
       return testResponse.toLowerCase().includes('successful');
@@ -103,7 +180,7 @@ export class OllamaProvider {
       provider: 'ollama',
       model: this.model,
       baseUrl: this.baseUrl,
-      maxTokens: this.defaultOptions.max_tokens,
+      maxTokens: this.defaultOptions.maxTokens,
       temperature: this.defaultOptions.temperature
     };
   }
@@ -0,0 +1,75 @@
+// src/services/llm/OpenAICompatibleProvider.js - llama.cpp / vLLM / LM Studio via the OpenAI Protocol
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { providerError } from './providerError.js';
+import { logger } from '../../utils/logger.js';
+
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config) {
+    const baseUrl = config.baseUrl || 'http://localhost:8000/v1';
+    
+    super({
+      // Most local servers ignore the key, but the OpenAI client refuses to start without one
+      apiKey: config.apiKey || 'not-needed',
+      baseUrl,
+      headers: OpenAICompatibleProvider.buildHeaders(config.headers),
+      model: OpenAICompatibleProvider.resolveModelName(config.model, config.modelMap)
+    });
+    
+    this.baseUrl = baseUrl;
+    this.configuredModel = config.model;
+  }
+
+  // The key is sent to an admin-supplied base URL, so only variables named as API keys may be read;
+  // anything else (DISCORD_TOKEN, MONGO_URI, ADMIN_API_TOKEN) would leak to that host
+  static isAllowedApiKeyEnv(name) {
+    return typeof name === 'string' && /^[A-Z][A-Z0-9_]*_API_KEY$/.test(name);
+  }
+
+  // Headers cleared with `!update-config <channel> header <Name> none` are stored as null
+  static buildHeaders(headers = {}) {
+    return Object.fromEntries(
+      Object.entries(headers || {}).filter(([, value]) => value !== null && value !== undefined)
+    );
+  }
+
+  // Translate a channel-facing model alias into the name the server actually serves
+  static resolveModelName(model, modelMap = []) {
+    const mapping = (modelMap || []).find(entry => entry.alias === model);
+    return mapping?.model || model;
+  }
+
+  mapError(error) {
+    if (error.status === 401 || error.status === 403) {
+      return providerError('openai-compatible', 'auth', `OpenAI-compatible server at ${this.baseUrl} rejected the API key`, error);
+    } else if (error.status === 404) {
+      return providerError('openai-compatible', 'model_not_found', `Model '${this.model}' not found on ${this.baseUrl}`, error);
+    } else if (error.status === 429) {
+      return providerError('openai-compatible', 'rate_limit', 'OpenAI-compatible server rate limit exceeded. Try again later.', error);
+    } else if (error.status >= 500) {
+      return providerError('openai-compatible', 'unavailable', `OpenAI-compatible server at ${this.baseUrl} is temporarily unavailable`, error);
+    } else if (!error.status) {
+      return providerError('openai-compatible', 'connection', `Cannot reach OpenAI-compatible server at ${this.baseUrl}`, error);
+    } else {
+      return providerError('openai-compatible', 'other', `OpenAI-compatible API error: ${error.message}`, error);
+    }
+  }
+
+  async listAvailableModels() {
+    try {
+      const models = await this.openai.models.list();
+      return models.data.map(model => model.id);
+    } catch (error) {
+      logger.error('Failed to list OpenAI-compatible models:', error);
+      return [];
+    }
+  }
+
+  getModelInfo() {
+    return {
+      ...super.getModelInfo(),
+      provider: 'openai-compatible',
+      configuredModel: this.configuredModel,
+      baseUrl: this.baseUrl
+    };
+  }
+}
@@ -1,58 +1,143 @@
 // src/services/llm/OpenAIProvider.js - OpenAI Implementation
 import OpenAI from 'openai';
+import { providerError } from './providerError.js';
 import { logger } from '../../utils/logger.js';
 
 export class OpenAIProvider {
   constructor(config) {
     this.openai = new OpenAI({
-      apiKey: config.apiKey
+      apiKey: config.apiKey,
+      baseURL: config.baseUrl,
+      defaultHeaders: config.headers,
+      maxRetries: 0 // LLMService applies the shared RetryPolicy instead of the SDK's built-in retries
     });
     this.model = config.model || 'gpt-4';
     this.defaultOptions = {
-      max_tokens: 500,
+      maxTokens: 500,
       temperature: 0.8
     };
   }
 
+  // Map provider-neutral request options to chat completion parameters
+  mapRequestOptions(options) {
+    const params = {
+      max_tokens: options.maxTokens,
+      temperature: options.temperature
+    };
+
+    if (options.topP !== undefined) params.top_p = options.topP;
+    if (options.stop?.length > 0) params.stop = options.stop;
+    if (options.presencePenalty !== undefined) params.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty !== undefined) params.frequency_penalty = options.frequencyPenalty;
+
+    return params;
+  }
+
+  // Normalize chat completion usage into provider-neutral token counts
+  mapUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+
   async generateResponse(systemPrompt, userPrompt, options = {}) {
+    const { text } = await this.generateChatResponse([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userPrompt }
+    ], options);
+    return text;
+  }
+
+  async generateChatResponse(messages, options = {}) {
     try {
-      const requestOptions = {
+      const requestOptions = this.mapRequestOptions({
         ...this.defaultOptions,
         ...options
-      };
+      });
 
-      logger.info(`OpenAI request: model=${this.model}, max_tokens=${requestOptions.max_tokens}`);
+      logger.info(`OpenAI request: model=${this.model}, messages=${messages.length}, max_tokens=${requestOptions.max_tokens}, temp=${requestOptions.temperature}`);
 
       const response = await this.openai.chat.completions.create({
         model: this.model,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
+        messages,
         ...requestOptions
       });
 
       const generatedText = response.choices[0].message.content.trim();
       
-      logger.info(`OpenAI response: ${generatedText.length} characters`);
+      const usage = this.mapUsage(response.usage);
+      
+      logger.info(`OpenAI response: ${generatedText.length} characters, ${usage?.totalTokens ?? '?'} tokens`);
       
-      return generatedText;
+      return { text: generatedText, usage };
 
     } catch (error) {
       logger.error('OpenAI API error:', error);
-      
-      if (error.status === 401) {
-        throw new Error('OpenAI API key is invalid or missing');
-      } else if (error.status === 429) {
-        throw new Error('OpenAI rate limit exceeded. Try again later.');
-      } else if (error.status === 500) {
-        throw new Error('OpenAI service temporarily unavailable');
-      } else {
-        throw new Error(`OpenAI API error: ${error.message}`);
+      throw this.mapError(error);
+    }
+  }
+
+  // Stream completion text deltas as they arrive; the generator's return value is the usage reported in the final chunk
+  async *streamChatResponse(messages, options = {}) {
+    let stream;
+    
+    try {
+      const requestOptions = this.mapRequestOptions({
+        ...this.defaultOptions,
+        ...options
+      });
+
+      logger.info(`OpenAI stream request: model=${this.model}, messages=${messages.length}, max_tokens=${requestOptions.max_tokens}`);
+
+      stream = await this.openai.chat.completions.create({
+        model: this.model,
+        messages,
+        ...requestOptions,
+        stream: true,
+        stream_options: { include_usage: true }
+      });
+    } catch (error) {
+      logger.error('OpenAI API error:', error);
+      throw this.mapError(error);
+    }
+
+    let usage = null;
+    
+    try {
+      for await (const part of stream) {
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) yield delta;
+        if (part.usage) usage = this.mapUsage(part.usage);
       }
+      return usage;
+    } catch (error) {
+      logger.error('OpenAI stream error:', error);
+      throw this.mapError(error);
     }
   }
 
+  mapError(error) {
+    if (error.status === 401) {
+      return providerError('openai', 'auth', 'OpenAI API key is invalid or missing', error);
+    } else if (error.status === 429) {
+      return providerError('openai', 'rate_limit', 'OpenAI rate limit exceeded. Try again later.', error);
+    } else if (error.status >= 500) {
+      return providerError('openai', 'unavailable', 'OpenAI service temporarily unavailable', error);
+    } else if (!error.status) {
+      return providerError('openai', 'connection', `Cannot reach OpenAI: ${error.message}`, error);
+    } else {
+      return providerError('openai', 'other', `OpenAI API error: ${error.message}`, error);
+    }
+  }
+
+  // Cheap reachability probe for /readyz: listing models costs no tokens
+  async checkReachability() {
+    await this.openai.models.list({ timeout: 5000 });
+  }
+
   async testConnection() {
     try {
       const response = await this.openai.chat.completions.create({
@@ -75,7 +160,7 @@ export class OpenAIProvider {
     return {
       provider: 'openai',
       model: this.model,
-      maxTokens: this.defaultOptions.max_tokens,
+      maxTokens: this.defaultOptions.maxTokens,
       temperature: this.defaultOptions.temperature
     };
   }
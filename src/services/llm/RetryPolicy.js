@@ -0,0 +1,107 @@
+// src/services/llm/RetryPolicy.js - Shared Retry Policy for Transient Provider Failures
+import { logger } from '../../utils/logger.js';
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 2,
+  retryBaseDelayMs: 500,
+  retryMaxDelayMs: 10000
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// Ollama reports a model that is still being loaded into memory with a 503 or a "loading" error body
+const MODEL_LOADING_PATTERN = /model.*loading|loading model/i;
+
+export class RetryPolicy {
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? DEFAULT_RETRY_OPTIONS.maxRetries;
+    this.baseDelayMs = options.retryBaseDelayMs ?? DEFAULT_RETRY_OPTIONS.retryBaseDelayMs;
+    this.maxDelayMs = options.retryMaxDelayMs ?? DEFAULT_RETRY_OPTIONS.retryMaxDelayMs;
+  }
+
+  // Run an operation, retrying transient failures; onRetry receives (attempt, delayMs, error) before each wait
+  async execute(operation, { label = 'LLM request', onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (!this.shouldRetry(error, attempt)) throw error;
+        const delay = this.getDelay(attempt, error);
+        logger.warn(`Retrying ${label} in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries}): ${error.message}`);
+        onRetry?.(attempt + 1, delay, error);
+        await this.wait(delay);
+      }
+    }
+  }
+
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxRetries || !RetryPolicy.isRetryable(error)) return false;
+
+    // A Retry-After longer than our ceiling means the user is better served by failover or an error reply
+    const retryAfter = RetryPolicy.getRetryAfterMs(error);
+    return retryAfter === null || retryAfter <= this.maxDelayMs;
+  }
+
+  // Exponential backoff with jitter so concurrent retries spread out, unless the provider said exactly how long to wait
+  getDelay(attempt, error) {
+    const retryAfter = RetryPolicy.getRetryAfterMs(error);
+    if (retryAfter !== null) return retryAfter;
+
+    const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Providers wrap SDK/axios errors in friendly messages, keeping the original as `cause`
+  static getOriginalError(error) {
+    return error?.cause && typeof error.cause === 'object' ? error.cause : error;
+  }
+
+  static getStatus(error) {
+    const original = RetryPolicy.getOriginalError(error);
+    return original.response?.status ?? original.status ?? null;
+  }
+
+  static getErrorCode(error) {
+    // Network codes can be nested several causes deep (fetch -> undici -> socket)
+    for (let current = error; current; current = current.cause) {
+      if (typeof current.code === 'string') return current.code;
+      if (current.name === 'APIConnectionTimeoutError') return 'ETIMEDOUT';
+    }
+    return null;
+  }
+
+  static isRetryable(error) {
+    const status = RetryPolicy.getStatus(error);
+    if (status === 429 || (status >= 500 && status <= 599)) return true;
+    if (RETRYABLE_CODES.includes(RetryPolicy.getErrorCode(error))) return true;
+
+    const original = RetryPolicy.getOriginalError(error);
+    const body = original.response?.data?.error;
+    return [body, original.message].some(text => typeof text === 'string' && MODEL_LOADING_PATTERN.test(text));
+  }
+
+  // Retry-After may be seconds or an HTTP date; OpenAI-style servers also send retry-after-ms
+  static getRetryAfterMs(error) {
+    const original = RetryPolicy.getOriginalError(error);
+    const headers = original.response?.headers || original.headers;
+    if (!headers) return null;
+
+    const read = name => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+    const retryAfterMs = parseFloat(read('retry-after-ms'));
+    if (!isNaN(retryAfterMs)) return Math.max(0, Math.round(retryAfterMs));
+
+    const retryAfter = read('retry-after');
+    if (!retryAfter) return null;
+
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) return Math.max(0, Math.round(seconds * 1000));
+
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
@@ -0,0 +1,10 @@
+// src/services/llm/providerError.js - Classified Provider Errors
+import { llmProviderErrors } from '../../utils/metrics.js';
+
+// Wrap a provider failure in a friendly message, keeping the original as `cause` and counting it by class
+export function providerError(provider, errorClass, message, cause) {
+  llmProviderErrors.inc({ provider, error_class: errorClass });
+  const error = new Error(message, { cause });
+  error.errorClass = errorClass;
+  return error;
+}
@@ -0,0 +1,161 @@
+// src/services/llm/requestOptions.js - Per-Channel LLM Request Options
+import { logger } from '../../utils/logger.js';
+
+// Provider-neutral option definitions, keyed by the llmConfig field name
+export const LLM_OPTION_RULES = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  maxTokens: { type: 'integer', min: 1, max: 32000 },
+  topP: { type: 'number', min: 0, max: 1 },
+  stop: { type: 'stop', maxItems: 4 },
+  presencePenalty: { type: 'number', min: -2, max: 2 },
+  frequencyPenalty: { type: 'number', min: -2, max: 2 }
+};
+
+// Conversation history settings, stored in llmConfig but never sent to the provider
+export const HISTORY_OPTION_RULES = {
+  historyWindow: { type: 'integer', min: 0, max: 50 },
+  historyTokenBudget: { type: 'integer', min: 0, max: 100000 }
+};
+
+// Retry policy settings for transient provider failures (see RetryPolicy)
+export const RETRY_OPTION_RULES = {
+  maxRetries: { type: 'integer', min: 0, max: 5 },
+  retryBaseDelayMs: { type: 'integer', min: 100, max: 30000 },
+  retryMaxDelayMs: { type: 'integer', min: 1000, max: 120000 }
+};
+
+const ALL_OPTION_RULES = { ...LLM_OPTION_RULES, ...HISTORY_OPTION_RULES, ...RETRY_OPTION_RULES };
+
+// Field aliases accepted by message commands (which are lowercased before parsing)
+const OPTION_ALIASES = {
+  temperature: 'temperature',
+  temp: 'temperature',
+  maxtokens: 'maxTokens',
+  max_tokens: 'maxTokens',
+  topp: 'topP',
+  top_p: 'topP',
+  stop: 'stop',
+  presencepenalty: 'presencePenalty',
+  presence_penalty: 'presencePenalty',
+  frequencypenalty: 'frequencyPenalty',
+  frequency_penalty: 'frequencyPenalty',
+  historywindow: 'historyWindow',
+  history_window: 'historyWindow',
+  historytokens: 'historyTokenBudget',
+  history_tokens: 'historyTokenBudget',
+  maxretries: 'maxRetries',
+  max_retries: 'maxRetries',
+  retrybasedelay: 'retryBaseDelayMs',
+  retry_base_delay: 'retryBaseDelayMs',
+  retrymaxdelay: 'retryMaxDelayMs',
+  retry_max_delay: 'retryMaxDelayMs'
+};
+
+export function resolveOptionField(field) {
+  return OPTION_ALIASES[field?.toLowerCase()] || null;
+}
+
+// Validate a single option value against its rule
+export function validateOption(key, value) {
+  const rule = ALL_OPTION_RULES[key];
+  if (!rule) {
+    return `Unknown option: ${key}`;
+  }
+
+  if (rule.type === 'stop') {
+    if (!Array.isArray(value) || value.some(s => typeof s !== 'string' || s.length === 0)) {
+      return 'stop must be a list of non-empty strings';
+    }
+    if (value.length > rule.maxItems) {
+      return `stop accepts at most ${rule.maxItems} sequences`;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'number' || isNaN(value)) {
+    return `${key} must be a number`;
+  }
+  if (rule.type === 'integer' && !Number.isInteger(value)) {
+    return `${key} must be a whole number`;
+  }
+  if (value < rule.min || value > rule.max) {
+    return `${key} must be between ${rule.min} and ${rule.max}`;
+  }
+
+  return null;
+}
+
+// Parse a raw command argument into a validated option value
+export function parseOptionValue(key, rawValue) {
+  // Number('') is 0, so blank input has to be caught before conversion
+  if (typeof rawValue !== 'string' || rawValue.trim() === '') {
+    return { error: `${key} needs a value` };
+  }
+
+  let value;
+
+  if (ALL_OPTION_RULES[key]?.type === 'stop') {
+    value = rawValue.trim().toLowerCase() === 'none'
+      ? []
+      : rawValue.split(',').map(s => s.trim().replace(/\\n/g, '\n')).filter(Boolean);
+  } else {
+    value = Number(rawValue);
+  }
+
+  const error = validateOption(key, value);
+  return error ? { error } : { value };
+}
+
+// Validate every option present in an llmConfig-like object
+export function validateRequestOptions(options = {}) {
+  const errors = [];
+
+  for (const key of Object.keys(ALL_OPTION_RULES)) {
+    if (options[key] === undefined || options[key] === null) continue;
+    const error = validateOption(key, options[key]);
+    if (error) errors.push(error);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// Extract the request options from a channel llmConfig, dropping invalid values
+export function buildRequestOptions(llmConfig = {}) {
+  const options = {};
+
+  for (const key of Object.keys(LLM_OPTION_RULES)) {
+    const value = llmConfig[key];
+    if (value === undefined || value === null) continue;
+
+    const error = validateOption(key, value);
+    if (error) {
+      logger.warn(`Ignoring invalid llmConfig option: ${error}`);
+      continue;
+    }
+    if (key === 'stop' && value.length === 0) continue;
+
+    options[key] = value;
+  }
+
+  return options;
+}
+
+// Extract the retry policy settings from a channel llmConfig, dropping invalid values
+export function buildRetryOptions(llmConfig = {}) {
+  const options = {};
+
+  for (const key of Object.keys(RETRY_OPTION_RULES)) {
+    const value = llmConfig[key];
+    if (value === undefined || value === null) continue;
+
+    const error = validateOption(key, value);
+    if (error) {
+      logger.warn(`Ignoring invalid llmConfig retry option: ${error}`);
+      continue;
+    }
+
+    options[key] = value;
+  }
+
+  return options;
+}
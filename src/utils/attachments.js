@@ -0,0 +1,175 @@
+// src/utils/attachments.js - Read Text Attachments for Prompts
+import axios from 'axios';
+
+// File extensions mapped to the language tag used for fenced code blocks
+const LANGUAGE_BY_EXTENSION = {
+  js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'jsx',
+  ts: 'typescript', tsx: 'tsx',
+  py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin',
+  c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php', swift: 'swift',
+  sh: 'bash', bash: 'bash', ps1: 'powershell', sql: 'sql',
+  html: 'html', css: 'css', scss: 'scss', vue: 'vue', svelte: 'svelte',
+  json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml', ini: 'ini',
+  md: 'markdown', txt: '', log: '', csv: 'csv', tsv: 'tsv', env: '',
+  patch: 'diff', diff: 'diff'
+};
+
+const DEFAULT_MAX_ATTACHMENT_BYTES = 100 * 1024;
+
+// Files above this are never downloaded; anything smaller is truncated to the prompt budget instead
+const MAX_DOWNLOAD_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Get the lowercase extension of a filename, e.g. "app.test.js" -> "js"
+ * @param {string} filename Attachment filename
+ * @returns {string} Extension without the dot, or empty string
+ */
+export function getExtension(filename = '') {
+  const match = filename.toLowerCase().match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Detect the code-fence language for an attachment from its extension
+ * @param {string} filename Attachment filename
+ * @returns {string} Language tag, or empty string when unknown
+ */
+export function detectLanguage(filename) {
+  return LANGUAGE_BY_EXTENSION[getExtension(filename)] || '';
+}
+
+/**
+ * Check whether an attachment looks like text we can put in a prompt
+ * @param {{name: string, contentType?: string}} attachment Discord attachment
+ * @returns {boolean} True for known text extensions or text/* content types
+ */
+export function isTextAttachment(attachment) {
+  if (getExtension(attachment.name) in LANGUAGE_BY_EXTENSION) return true;
+  return /^text\/|^application\/(json|xml|x-yaml|javascript)/.test(attachment.contentType || '');
+}
+
+/**
+ * Download a text attachment, refusing anything over the size limit
+ * @param {{url: string, name: string, size: number}} attachment Discord attachment
+ * @param {number} maxBytes Maximum attachment size to download
+ * @returns {Promise<string>} Attachment text
+ */
+export async function fetchAttachmentText(attachment, maxBytes = DEFAULT_MAX_ATTACHMENT_BYTES) {
+  if (attachment.size > maxBytes) {
+    throw new Error(`${attachment.name} is ${Math.round(attachment.size / 1024)} KB; the limit is ${Math.round(maxBytes / 1024)} KB`);
+  }
+
+  const response = await axios.get(attachment.url, {
+    responseType: 'text',
+    maxContentLength: maxBytes,
+    timeout: 10000
+  });
+  return response.data;
+}
+
+/**
+ * Cut text to a character budget at a line boundary. Logs keep their tail, since the latest lines
+ * usually hold the error; everything else keeps its head
+ * @param {string} text Full text
+ * @param {number} maxChars Character budget
+ * @param {{fromEnd?: boolean}} options Keep the end instead of the start
+ * @returns {{text: string, truncated: boolean, shownLines?: number, totalLines?: number}} Kept text and line counts
+ */
+export function truncateText(text, maxChars, { fromEnd = false } = {}) {
+  if (text.length <= maxChars) return { text, truncated: false };
+
+  let kept;
+  if (fromEnd) {
+    const start = text.indexOf('\n', text.length - maxChars);
+    kept = text.substring(start >= 0 && start < text.length - maxChars / 2 ? start + 1 : text.length - maxChars);
+  } else {
+    const end = text.lastIndexOf('\n', maxChars);
+    kept = text.substring(0, end > maxChars / 2 ? end : maxChars);
+  }
+
+  return {
+    text: kept,
+    truncated: true,
+    shownLines: kept.split('\n').length,
+    totalLines: text.split('\n').length
+  };
+}
+
+/**
+ * Share a character budget between texts. Short texts keep everything and what they leave over is split
+ * evenly between the longer ones, so one large file can't crowd out the rest
+ * @param {number[]} lengths Text lengths
+ * @param {number} maxChars Total character budget
+ * @returns {number[]} Characters allowed for each text, in the same order
+ */
+export function allocateBudget(lengths, maxChars) {
+  const allowed = new Array(lengths.length).fill(0);
+  let remaining = maxChars;
+  let left = lengths.length;
+
+  for (const index of lengths.map((_, i) => i).sort((a, b) => lengths[a] - lengths[b])) {
+    allowed[index] = Math.min(lengths[index], Math.floor(remaining / left));
+    remaining -= allowed[index];
+    left--;
+  }
+  return allowed;
+}
+
+/**
+ * Download the text attachments of a message and cut them to one character budget shared by all of them.
+ * Files that can't be used are returned with a skip reason so the prompt can say they were left out
+ * @param {Array<{name: string, url: string, size: number, contentType?: string}>} attachments Discord attachments
+ * @param {{maxChars: number, maxFiles?: number}} options Total character budget and file count limit
+ * @returns {Promise<Array<{name: string, language?: string, text?: string, truncated?: boolean, skipped?: string}>>} One entry per attachment
+ */
+export async function readTextAttachments(attachments, { maxChars, maxFiles = DEFAULT_MAX_FILES }) {
+  const results = [];
+  const texts = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    if (index >= maxFiles) {
+      results.push({ name: attachment.name, skipped: `only the first ${maxFiles} files are read` });
+      continue;
+    }
+    if (!isTextAttachment(attachment)) {
+      results.push({ name: attachment.name, skipped: 'not a text file' });
+      continue;
+    }
+
+    try {
+      const text = await fetchAttachmentText(attachment, MAX_DOWNLOAD_BYTES);
+      const result = { name: attachment.name, language: detectLanguage(attachment.name) };
+      results.push(result);
+      texts.push({ result, text, fromEnd: getExtension(attachment.name) === 'log' });
+    } catch (error) {
+      results.push({ name: attachment.name, skipped: error.message });
+    }
+  }
+
+  const allowed = allocateBudget(texts.map(({ text }) => text.length), maxChars);
+  texts.forEach(({ result, text, fromEnd }, index) => {
+    Object.assign(result, truncateText(text, allowed[index], { fromEnd }));
+  });
+
+  return results;
+}
+
+/**
+ * Render attachments from readTextAttachments as fenced blocks for a prompt, with truncation and skip markers
+ * @param {Array<{name: string, language?: string, text?: string, truncated?: boolean, skipped?: string}>} files Attachment results
+ * @returns {string} Prompt text
+ */
+export function formatAttachmentBlocks(files) {
+  return files.map(file => {
+    if (file.skipped) return `[Attachment ${file.name} not included: ${file.skipped}]`;
+
+    // A file that contains triple backticks would close a ``` fence early
+    const fence = file.text.includes('```') ? '~~~~' : '```';
+    const block = `Attachment ${file.name}:\n${fence}${file.language}\n${file.text}\n${fence}`;
+    if (!file.truncated) return block;
+
+    const shown = `${file.shownLines} of ${file.totalLines} lines`;
+    return `${block}\n[Truncated: showing the ${getExtension(file.name) === 'log' ? 'last' : 'first'} ${shown}]`;
+  }).join('\n\n');
+}
@@ -0,0 +1,324 @@
+// src/utils/chartData.js - Turn Chart Specs into Plottable Series
+import { CHART_TYPES } from './chartRenderer.js';
+import { executeQuery, describeFilters } from './queryEngine.js';
+import { toNumber } from './dataProfiler.js';
+
+const AGGREGATE_LABELS = {
+  count: 'Rows',
+  count_distinct: 'Distinct',
+  sum: 'Total',
+  avg: 'Average',
+  min: 'Minimum',
+  max: 'Maximum',
+  median: 'Median'
+};
+
+// Fenced ```chart blocks in a model reply; an unterminated block (still streaming) runs to the end
+const CHART_BLOCK_PATTERN = /```chart[^\n]*\n([\s\S]*?)(?:```|$)/g;
+
+const MAX_CATEGORIES = 30;
+const MAX_SERIES = 8;
+const MAX_POINTS = 2000;
+const MAX_BINS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find the chart specs a model reply asked for with ```chart blocks
+ * @param {string} text Model reply
+ * @returns {Array<{spec?: Object, error?: string}>} One entry per block, with the parse error for invalid JSON
+ */
+export function extractChartBlocks(text) {
+  return [...text.matchAll(CHART_BLOCK_PATTERN)].map(([, body]) => {
+    try {
+      return { spec: JSON.parse(body.trim()) };
+    } catch (error) {
+      return { error: `the chart spec isn't valid JSON (${error.message})` };
+    }
+  });
+}
+
+/**
+ * Remove ```chart blocks from a model reply, including one that hasn't been closed yet
+ * @param {string} text Model reply
+ * @returns {string} Reply without chart specs
+ */
+export function stripChartBlocks(text) {
+  return text.replace(CHART_BLOCK_PATTERN, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Build chart data from a dataset by aggregating (bar, line), sampling (scatter) or binning (histogram)
+ * every row locally. Titles, axis labels and axis types come from the spec's columns and the dataset profile
+ * @param {Object} spec Chart spec: type, x, y, aggregate, bucket, series, filters, bins, title
+ * @param {{name: string, dataset: Object, profile: Object}} source Dataset loaded by DataAnalysisService
+ * @returns {Object} Chart data for renderChart
+ */
+export function buildDatasetChart(spec, { name, dataset, profile }) {
+  const type = validateType(spec.type);
+  const columns = Object.fromEntries(profile.columns.map(column => [column.name, column]));
+  const types = Object.fromEntries(profile.columns.map(column => [column.name, column.type]));
+
+  const requireColumn = (column, role, allowed = null) => {
+    if (!column) throw new Error(`a ${type} chart needs a "${role}" column`);
+    if (!columns[column]) throw new Error(`unknown column "${column}"`);
+    if (allowed && !allowed.includes(types[column])) {
+      throw new Error(`"${column}" is ${types[column]}, but the ${role} of a ${type} chart must be ${allowed.join(' or ')}`);
+    }
+    return column;
+  };
+
+  const filters = spec.filters || [];
+  const base = { type, name, rowCount: profile.rowCount, totalRows: dataset.totalRows ?? profile.rowCount, filters };
+
+  if (type === 'histogram') {
+    return requireFinite(buildHistogram(spec, dataset, types, { ...base, x: requireColumn(spec.x, 'x', ['number']) }));
+  }
+  if (type === 'scatter') {
+    const x = requireColumn(spec.x, 'x', ['number', 'date']);
+    const y = requireColumn(spec.y, 'y', ['number']);
+    const series = spec.series ? requireColumn(spec.series, 'series') : null;
+    return requireFinite(buildScatter(spec, dataset, types, { ...base, x, y, series }));
+  }
+
+  const x = requireColumn(spec.x, 'x');
+  const y = spec.y ? requireColumn(spec.y, 'y', ['number']) : null;
+  const series = spec.series ? requireColumn(spec.series, 'series') : null;
+  const aggregate = String(spec.aggregate || (y ? 'sum' : 'count')).toLowerCase();
+  if (!AGGREGATE_LABELS[aggregate]) throw new Error(`unsupported aggregate "${spec.aggregate}"`);
+  if (type === 'line' && types[x] === 'string') {
+    throw new Error(`"${x}" is text; a line chart needs a number or date on the x axis (use a bar chart for categories)`);
+  }
+
+  const bucket = types[x] === 'date' ? spec.bucket || defaultBucket(columns[x]) : null;
+  return requireFinite(buildAggregate(spec, dataset, types, { ...base, x, y, series, aggregate, bucket }));
+}
+
+/**
+ * Build chart data from values the model supplied directly, for results that don't come from a dataset
+ * @param {Object} spec Chart spec with data: [{x, y, series?}] (or plain numbers for a histogram), plus title, xLabel, yLabel
+ * @returns {Object} Chart data for renderChart
+ */
+export function buildInlineChart(spec) {
+  const type = validateType(spec.type);
+  if (!Array.isArray(spec.data) || spec.data.length === 0) {
+    throw new Error('chart data must be a non-empty array');
+  }
+
+  const labels = { title: spec.title || 'Chart', xLabel: spec.xLabel || '', yLabel: spec.yLabel || '' };
+
+  if (type === 'histogram') {
+    const values = spec.data.map(value => toNumber(typeof value === 'object' ? value?.x : value)).filter(value => value !== null);
+    return requireFinite({ type, ...labels, yLabel: spec.yLabel || 'Count', xType: 'number', series: [{ name: 'count', points: binValues(values, spec.bins) }] });
+  }
+
+  const rows = spec.data.map(row => ({ x: row?.x, y: toNumber(row?.y), series: row?.series ?? '' })).filter(row => row.x !== undefined && row.y !== null);
+  const xType = type === 'bar' ? 'category' : inferInlineType(rows.map(row => row.x));
+  if (xType === 'category' && type !== 'bar') {
+    throw new Error(`a ${type} chart needs numeric or date x values`);
+  }
+
+  const toX = value => xType === 'date' ? Date.parse(value) : xType === 'number' ? toNumber(value) : String(value);
+  const grouped = groupSeries(rows.map(row => ({ ...row, x: toX(row.x) })));
+  if (type === 'line') grouped.forEach(entry => entry.points.sort((a, b) => a.x - b.x));
+
+  return requireFinite({
+    type,
+    ...labels,
+    xType,
+    categories: xType === 'category' ? [...new Set(rows.map(row => String(row.x)))] : undefined,
+    series: grouped
+  });
+}
+
+// Sums can overflow and huge values leave no drawable range, so every coordinate and the spread between them must be finite
+function requireFinite(chart) {
+  const points = chart.series.flatMap(entry => entry.points);
+  const axes = {
+    x: chart.xType === 'category' ? [] : points.flatMap(point => point.x2 === undefined ? [point.x] : [point.x, point.x2]),
+    y: points.map(point => point.y)
+  };
+
+  for (const [axis, values] of Object.entries(axes)) {
+    if (values.some(value => !Number.isFinite(value))) {
+      throw new Error(`the ${axis} values include numbers too large to chart`);
+    }
+    const min = values.reduce((low, value) => Math.min(low, value), Infinity);
+    const max = values.reduce((high, value) => Math.max(high, value), -Infinity);
+    if (values.length > 0 && !Number.isFinite(max - min)) {
+      throw new Error(`the ${axis} values span too wide a range to chart`);
+    }
+  }
+  return chart;
+}
+
+function validateType(type) {
+  const normalized = String(type || '').toLowerCase();
+  if (!CHART_TYPES.includes(normalized)) {
+    throw new Error(`unsupported chart type "${type}"; use ${CHART_TYPES.join(', ')}`);
+  }
+  return normalized;
+}
+
+// A bucket that gives a readable number of points across the column's date range
+function defaultBucket(column) {
+  const span = Date.parse(column.max) - Date.parse(column.min);
+  if (span <= 90 * DAY_MS) return 'day';
+  if (span <= 2 * 365 * DAY_MS) return 'week';
+  if (span <= 10 * 365 * DAY_MS) return 'month';
+  return 'year';
+}
+
+function buildAggregate(spec, dataset, types, { type, name, rowCount, totalRows, filters, x, y, series, aggregate, bucket }) {
+  const xGroup = bucket ? { column: x, bucket } : x;
+  const result = executeQuery(dataset, {
+    filters,
+    groupBy: series ? [xGroup, series] : [xGroup],
+    aggregates: [{ fn: aggregate, column: y, as: 'value' }],
+    limit: Number.MAX_SAFE_INTEGER
+  }, types, { maxLimit: Number.MAX_SAFE_INTEGER });
+
+  const xName = result.columns[0];
+  const xType = type === 'bar' ? 'category' : (types[x] === 'date' ? 'date' : 'number');
+  const notes = [];
+
+  let rows = result.rows
+    .filter(row => row[xName] !== null && row.value !== null)
+    .map(row => ({ x: row[xName], y: row.value, series: series ? String(row[series] ?? '(none)') : '' }));
+
+  let seriesNames = [...new Set(rows.map(row => row.series))];
+  if (seriesNames.length > MAX_SERIES) {
+    seriesNames = rankBy(rows, 'series').slice(0, MAX_SERIES);
+    notes.push(`top ${MAX_SERIES} of ${[...new Set(rows.map(row => row.series))].length} ${series}`);
+    rows = rows.filter(row => seriesNames.includes(row.series));
+  }
+
+  let categories;
+  if (xType === 'category') {
+    // Text categories read best largest first; dates and numbers stay in order
+    categories = types[x] === 'string' || types[x] === 'boolean'
+      ? rankBy(rows, 'x')
+      : [...new Set(rows.map(row => row.x))];
+    if (categories.length > MAX_CATEGORIES) {
+      notes.push(`top ${MAX_CATEGORIES} of ${categories.length} ${x} values`);
+      categories = categories.slice(0, MAX_CATEGORIES);
+    }
+    categories = categories.map(String);
+    rows = rows.map(row => ({ ...row, x: String(row.x) })).filter(row => categories.includes(row.x));
+  } else {
+    rows = rows.map(row => ({ ...row, x: xType === 'date' ? Date.parse(row.x) : toNumber(row.x) }));
+  }
+
+  const chartSeries = groupSeries(rows);
+  if (xType !== 'category') chartSeries.forEach(entry => entry.points.sort((a, b) => a.x - b.x));
+
+  const yLabel = aggregate === 'count' ? AGGREGATE_LABELS.count : `${AGGREGATE_LABELS[aggregate]} ${y || ''}`.trim();
+  const xLabel = bucket ? `${x} (${bucket})` : x;
+  return {
+    type,
+    title: spec.title || `${yLabel} by ${xLabel}${series ? ` and ${series}` : ''}`,
+    subtitle: describeSource(name, result.matchedRows, rowCount, totalRows, result.query, notes),
+    xLabel,
+    yLabel,
+    xType,
+    categories,
+    series: chartSeries
+  };
+}
+
+function buildScatter(spec, dataset, types, { type, name, rowCount, totalRows, filters, x, y, series }) {
+  const result = executeQuery(dataset, {
+    filters,
+    select: series ? [x, y, series] : [x, y],
+    limit: Number.MAX_SAFE_INTEGER
+  }, types, { maxLimit: Number.MAX_SAFE_INTEGER });
+
+  const toX = value => types[x] === 'date' ? Date.parse(value) : toNumber(value);
+  let rows = result.rows
+    .map(row => ({ x: toX(row[x]), y: toNumber(row[y]), series: series ? String(row[series] ?? '(none)') : '' }))
+    .filter(row => Number.isFinite(row.x) && row.y !== null);
+
+  const notes = [];
+  if (rows.length > MAX_POINTS) {
+    // An even stride keeps the shape of the data without favouring the start of the file
+    const stride = rows.length / MAX_POINTS;
+    notes.push(`${MAX_POINTS.toLocaleString('en-US')} of ${rows.length.toLocaleString('en-US')} points sampled`);
+    rows = Array.from({ length: MAX_POINTS }, (_, index) => rows[Math.floor(index * stride)]);
+  }
+
+  let chartSeries = groupSeries(rows);
+  if (chartSeries.length > MAX_SERIES) {
+    notes.push(`top ${MAX_SERIES} of ${chartSeries.length} ${series}`);
+    chartSeries = chartSeries.sort((a, b) => b.points.length - a.points.length).slice(0, MAX_SERIES);
+  }
+
+  return {
+    type,
+    title: spec.title || `${y} vs ${x}`,
+    subtitle: describeSource(name, result.matchedRows, rowCount, totalRows, result.query, notes),
+    xLabel: x,
+    yLabel: y,
+    xType: types[x] === 'date' ? 'date' : 'number',
+    series: chartSeries
+  };
+}
+
+function buildHistogram(spec, dataset, types, { type, name, rowCount, totalRows, filters, x }) {
+  const result = executeQuery(dataset, { filters, select: [x], limit: Number.MAX_SAFE_INTEGER }, types, { maxLimit: Number.MAX_SAFE_INTEGER });
+  const values = result.rows.map(row => toNumber(row[x])).filter(value => value !== null);
+
+  return {
+    type,
+    title: spec.title || `Distribution of ${x}`,
+    subtitle: describeSource(name, result.matchedRows, rowCount, totalRows, result.query, [`${values.length.toLocaleString('en-US')} values`]),
+    xLabel: x,
+    yLabel: AGGREGATE_LABELS.count,
+    xType: 'number',
+    series: [{ name: x, points: binValues(values, spec.bins) }]
+  };
+}
+
+// Equal-width bins; Sturges' rule picks the count unless the spec sets one
+function binValues(values, requestedBins) {
+  if (values.length === 0) return [];
+
+  const min = values.reduce((low, value) => Math.min(low, value), Infinity);
+  const max = values.reduce((high, value) => Math.max(high, value), -Infinity);
+  const binCount = Math.min(MAX_BINS, Math.max(1, Number(requestedBins) || Math.ceil(Math.log2(values.length)) + 1));
+  const width = (max - min) / binCount || 1;
+  const counts = new Array(binCount).fill(0);
+
+  for (const value of values) {
+    counts[Math.min(binCount - 1, Math.floor((value - min) / width))]++;
+  }
+
+  return counts.map((count, index) => ({ x: min + index * width, x2: min + (index + 1) * width, y: count }));
+}
+
+function groupSeries(rows) {
+  const series = new Map();
+  for (const { x, y, series: name } of rows) {
+    if (!series.has(name)) series.set(name, { name, points: [] });
+    series.get(name).points.push({ x, y });
+  }
+  return [...series.values()];
+}
+
+// Keys of a field ordered by the total of their y values, largest first
+function rankBy(rows, field) {
+  const totals = new Map();
+  for (const row of rows) totals.set(row[field], (totals.get(row[field]) || 0) + Math.abs(row.y));
+  return [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([key]) => key);
+}
+
+function inferInlineType(values) {
+  if (values.every(value => toNumber(value) !== null)) return 'number';
+  if (values.every(value => typeof value === 'string' && !Number.isNaN(Date.parse(value)))) return 'date';
+  return 'category';
+}
+
+function describeSource(name, matchedRows, rowCount, totalRows, query, notes) {
+  const loaded = totalRows > rowCount ? ` (first ${rowCount.toLocaleString('en-US')} of ${totalRows.toLocaleString('en-US')} loaded)` : '';
+  const parts = [`${name} · ${matchedRows.toLocaleString('en-US')} of ${rowCount.toLocaleString('en-US')} rows${loaded}`];
+  if (query.filters.length > 0) parts.push(`where ${describeFilters(query.filters)}`);
+  return [...parts, ...notes].join(' · ');
+}
@@ -0,0 +1,363 @@
+// src/utils/chartRenderer.js - Lay Out Charts and Render Them as SVG or PNG
+import { Raster, measureText, textHeight } from './raster.js';
+import { formatNumber } from './dataProfiler.js';
+
+export const CHART_TYPES = ['bar', 'line', 'scatter', 'histogram'];
+
+const WIDTH = 960;
+const HEIGHT = 540;
+const MARGIN = { top: 70, right: 30, bottom: 80, left: 100 };
+const PALETTE = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#9c755f'];
+const COLORS = { background: '#ffffff', text: '#222222', muted: '#666666', grid: '#e5e5e5', axis: '#444444' };
+
+const TITLE_SCALE = 3;
+const LABEL_SCALE = 2;
+const TICK_LENGTH = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lay out a chart as drawing primitives shared by both renderers
+ * @param {Object} chart Chart data: type, title, subtitle, xLabel, yLabel, xType ('category'|'number'|'date'),
+ *   categories (bar charts) and series [{name, points: [{x, y, x2?}]}]; histogram points span x to x2
+ * @returns {{width: number, height: number, items: Object[]}} Scene
+ */
+export function layoutChart(chart) {
+  const items = [];
+  const plot = {
+    left: MARGIN.left,
+    top: MARGIN.top,
+    right: WIDTH - MARGIN.right,
+    bottom: HEIGHT - MARGIN.bottom
+  };
+
+  items.push({ kind: 'text', text: fitText(chart.title, plot.right - plot.left, TITLE_SCALE), x: WIDTH / 2, y: 16, scale: TITLE_SCALE, anchor: 'middle', color: COLORS.text, bold: true });
+  if (chart.subtitle) {
+    items.push({ kind: 'text', text: fitText(chart.subtitle, WIDTH - 40, LABEL_SCALE), x: WIDTH / 2, y: 16 + textHeight(TITLE_SCALE) + 10, scale: LABEL_SCALE, anchor: 'middle', color: COLORS.muted });
+  }
+
+  const series = chart.series.filter(entry => entry.points.length > 0);
+  if (series.length > 1) {
+    plot.right -= layoutLegend(items, series, plot);
+  }
+
+  const yValues = series.flatMap(entry => entry.points.map(point => point.y));
+  const includeZero = chart.type === 'bar' || chart.type === 'histogram';
+  const yScale = numericScale(yValues, plot.bottom, plot.top, { includeZero, tickCount: 6 });
+  const xScale = chart.xType === 'category'
+    ? bandScale(chart.categories, plot.left, plot.right)
+    : continuousScale(chart, series, plot);
+
+  // Horizontal grid lines and y tick labels
+  for (const tick of yScale.ticks) {
+    const y = yScale.map(tick);
+    items.push({ kind: 'line', x1: plot.left, y1: y, x2: plot.right, y2: y, color: COLORS.grid });
+    items.push({ kind: 'text', text: formatTick(tick), x: plot.left - TICK_LENGTH - 4, y: y - textHeight(LABEL_SCALE) / 2, scale: LABEL_SCALE, anchor: 'end', color: COLORS.muted });
+  }
+
+  layoutXAxis(items, xScale, plot);
+
+  if (chart.type === 'bar') {
+    layoutBars(items, series, xScale, yScale);
+  } else if (chart.type === 'histogram') {
+    for (const point of series[0]?.points || []) {
+      const x1 = xScale.map(point.x);
+      const x2 = xScale.map(point.x2);
+      const y = yScale.map(point.y);
+      items.push({ kind: 'rect', x: x1 + 1, y, width: Math.max(1, x2 - x1 - 1), height: yScale.map(0) - y, color: PALETTE[0] });
+    }
+  } else if (chart.type === 'line') {
+    series.forEach((entry, index) => {
+      const points = entry.points.map(point => [xScale.map(point.x), yScale.map(point.y)]);
+      items.push({ kind: 'polyline', points, color: PALETTE[index % PALETTE.length], width: 3 });
+      if (points.length <= 60) {
+        for (const [x, y] of points) items.push({ kind: 'circle', x, y, radius: 4, color: PALETTE[index % PALETTE.length] });
+      }
+    });
+  } else {
+    series.forEach((entry, index) => {
+      const pointCount = entry.points.length;
+      const opacity = pointCount > 500 ? 0.35 : 0.7;
+      for (const point of entry.points) {
+        items.push({ kind: 'circle', x: xScale.map(point.x), y: yScale.map(point.y), radius: pointCount > 500 ? 3 : 4, color: PALETTE[index % PALETTE.length], opacity });
+      }
+    });
+  }
+
+  // Axes drawn last so bars don't cover them
+  items.push({ kind: 'line', x1: plot.left, y1: plot.bottom, x2: plot.right, y2: plot.bottom, color: COLORS.axis, width: 2 });
+  items.push({ kind: 'line', x1: plot.left, y1: plot.top, x2: plot.left, y2: plot.bottom, color: COLORS.axis, width: 2 });
+
+  if (chart.xLabel) {
+    items.push({ kind: 'text', text: fitText(chart.xLabel, plot.right - plot.left, LABEL_SCALE), x: (plot.left + plot.right) / 2, y: HEIGHT - 30, scale: LABEL_SCALE, anchor: 'middle', color: COLORS.text });
+  }
+  if (chart.yLabel) {
+    items.push({ kind: 'text', text: fitText(chart.yLabel, plot.bottom - plot.top, LABEL_SCALE), x: 18, y: (plot.top + plot.bottom) / 2, scale: LABEL_SCALE, anchor: 'middle', color: COLORS.text, rotate: -90 });
+  }
+
+  return { width: WIDTH, height: HEIGHT, items };
+}
+
+/**
+ * Render a scene as an SVG document
+ * @param {{width: number, height: number, items: Object[]}} scene Result of layoutChart
+ * @returns {string} SVG markup
+ */
+export function renderSvg(scene) {
+  const elements = scene.items.map(item => {
+    switch (item.kind) {
+      case 'rect':
+        return `<rect x="${round(item.x)}" y="${round(item.y)}" width="${round(item.width)}" height="${round(item.height)}" fill="${item.color}"/>`;
+      case 'line':
+        return `<line x1="${round(item.x1)}" y1="${round(item.y1)}" x2="${round(item.x2)}" y2="${round(item.y2)}" stroke="${item.color}" stroke-width="${item.width || 1}"/>`;
+      case 'polyline':
+        return `<polyline points="${item.points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ')}" fill="none" stroke="${item.color}" stroke-width="${item.width || 1}" stroke-linejoin="round"/>`;
+      case 'circle':
+        return `<circle cx="${round(item.x)}" cy="${round(item.y)}" r="${item.radius}" fill="${item.color}"${item.opacity ? ` fill-opacity="${item.opacity}"` : ''}/>`;
+      case 'text': {
+        const anchor = { start: 'start', middle: 'middle', end: 'end' }[item.anchor || 'start'];
+        const fontSize = textHeight(item.scale) * 1.4;
+        const transform = item.rotate ? ` transform="rotate(${item.rotate} ${round(item.x)} ${round(item.y)})"` : '';
+        // Scene text is positioned by its top edge; SVG positions by the baseline
+        const baseline = item.rotate ? item.y + textHeight(item.scale) / 2 : item.y + textHeight(item.scale);
+        return `<text x="${round(item.x)}" y="${round(baseline)}" font-family="Helvetica, Arial, sans-serif" font-size="${round(fontSize)}" text-anchor="${anchor}" fill="${item.color}"${item.bold ? ' font-weight="bold"' : ''}${transform}>${escapeXml(item.text)}</text>`;
+      }
+      default:
+        return '';
+    }
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}">`,
+    `<rect width="100%" height="100%" fill="${COLORS.background}"/>`,
+    ...elements,
+    '</svg>'
+  ].join('\n');
+}
+
+/**
+ * Render a scene as a PNG image
+ * @param {{width: number, height: number, items: Object[]}} scene Result of layoutChart
+ * @returns {Buffer} PNG file contents
+ */
+export function renderPng(scene) {
+  const raster = new Raster(scene.width, scene.height, COLORS.background);
+
+  for (const item of scene.items) {
+    switch (item.kind) {
+      case 'rect':
+        raster.fillRect(item.x, item.y, item.width, item.height, item.color);
+        break;
+      case 'line':
+        raster.drawLine(item.x1, item.y1, item.x2, item.y2, item.color, { width: item.width || 1 });
+        break;
+      case 'polyline':
+        for (let index = 1; index < item.points.length; index++) {
+          const [x1, y1] = item.points[index - 1];
+          const [x2, y2] = item.points[index];
+          raster.drawLine(x1, y1, x2, y2, item.color, { width: item.width || 1 });
+        }
+        break;
+      case 'circle':
+        raster.fillCircle(item.x, item.y, item.radius, item.color, item.opacity || 1);
+        break;
+      case 'text': {
+        const width = measureText(item.text, item.scale);
+        const shift = item.anchor === 'middle' ? width / 2 : item.anchor === 'end' ? width : 0;
+        if (item.rotate === -90) {
+          raster.drawText(item.text, item.x - textHeight(item.scale) / 2, item.y + shift, item.color, { scale: item.scale, rotate: -90 });
+        } else {
+          raster.drawText(item.text, item.x - shift, item.y, item.color, { scale: item.scale, bold: item.bold });
+        }
+        break;
+      }
+    }
+  }
+
+  return raster.toPng();
+}
+
+/**
+ * Lay out and render a chart in one step
+ * @param {Object} chart Chart data, as for layoutChart
+ * @param {'png'|'svg'} format Output format
+ * @returns {Buffer} File contents
+ */
+export function renderChart(chart, format = 'png') {
+  const scene = layoutChart(chart);
+  return format === 'svg' ? Buffer.from(renderSvg(scene), 'utf8') : renderPng(scene);
+}
+
+function layoutLegend(items, series, plot) {
+  const labels = series.map(entry => fitText(String(entry.name), 160, LABEL_SCALE));
+  const width = Math.max(...labels.map(label => measureText(label, LABEL_SCALE))) + 30;
+
+  labels.forEach((label, index) => {
+    const y = plot.top + index * (textHeight(LABEL_SCALE) + 10);
+    const x = plot.right - width + 10;
+    items.push({ kind: 'rect', x, y, width: 14, height: textHeight(LABEL_SCALE), color: PALETTE[index % PALETTE.length] });
+    items.push({ kind: 'text', text: label, x: x + 20, y, scale: LABEL_SCALE, anchor: 'start', color: COLORS.text });
+  });
+
+  return width;
+}
+
+function layoutXAxis(items, xScale, plot) {
+  const labelY = plot.bottom + TICK_LENGTH + 6;
+
+  if (xScale.kind === 'band') {
+    // Skip labels rather than overlap them when there are many categories
+    const charsPerBand = Math.floor(xScale.bandwidth / measureText('WW', LABEL_SCALE) * 2);
+    const every = charsPerBand >= 4 ? 1 : Math.ceil(4 / Math.max(charsPerBand, 1));
+    const maxChars = charsPerBand * every - 1;
+    xScale.domain.forEach((category, index) => {
+      const x = xScale.map(category) + xScale.bandwidth / 2;
+      items.push({ kind: 'line', x1: x, y1: plot.bottom, x2: x, y2: plot.bottom + TICK_LENGTH, color: COLORS.axis });
+      if (index % every === 0) {
+        items.push({ kind: 'text', text: truncateLabel(String(category), maxChars), x, y: labelY, scale: LABEL_SCALE, anchor: 'middle', color: COLORS.muted });
+      }
+    });
+    return;
+  }
+
+  for (const tick of xScale.ticks) {
+    const x = xScale.map(tick);
+    items.push({ kind: 'line', x1: x, y1: plot.top, x2: x, y2: plot.bottom, color: COLORS.grid });
+    items.push({ kind: 'line', x1: x, y1: plot.bottom, x2: x, y2: plot.bottom + TICK_LENGTH, color: COLORS.axis });
+    items.push({ kind: 'text', text: xScale.format(tick), x, y: labelY, scale: LABEL_SCALE, anchor: 'middle', color: COLORS.muted });
+  }
+}
+
+function layoutBars(items, series, xScale, yScale) {
+  const groupWidth = xScale.bandwidth * 0.8;
+  const barWidth = groupWidth / series.length;
+  const zero = yScale.map(0);
+
+  series.forEach((entry, seriesIndex) => {
+    for (const point of entry.points) {
+      const start = xScale.map(point.x);
+      if (start === null) continue;
+      const x = start + xScale.bandwidth * 0.1 + seriesIndex * barWidth;
+      const y = yScale.map(point.y);
+      items.push({ kind: 'rect', x, y: Math.min(y, zero), width: Math.max(1, barWidth - 1), height: Math.max(1, Math.abs(zero - y)), color: PALETTE[seriesIndex % PALETTE.length] });
+    }
+  });
+}
+
+function bandScale(domain, start, end) {
+  const bandwidth = (end - start) / Math.max(domain.length, 1);
+  const positions = new Map(domain.map((category, index) => [String(category), start + index * bandwidth]));
+  return { kind: 'band', domain, bandwidth, map: category => positions.get(String(category)) ?? null };
+}
+
+function continuousScale(chart, series, plot) {
+  const values = series.flatMap(entry => entry.points.flatMap(point => point.x2 === undefined ? [point.x] : [point.x, point.x2]));
+  const maxTicks = Math.max(2, Math.floor((plot.right - plot.left) / 110));
+
+  if (chart.xType === 'date') {
+    return dateScale(values, plot.left, plot.right, maxTicks);
+  }
+  return { ...numericScale(values, plot.left, plot.right, { tickCount: maxTicks, nice: chart.type !== 'histogram' }), format: formatTick };
+}
+
+// Linear scale over nice 1/2/5 × 10^n ticks; with nice=false the domain stays exactly at the data range
+function numericScale(values, rangeStart, rangeEnd, { includeZero = false, tickCount = 6, nice = true } = {}) {
+  const finite = values.filter(Number.isFinite);
+  let min = finite.length > 0 ? Math.min(...finite) : 0;
+  let max = finite.length > 0 ? Math.max(...finite) : 1;
+  if (includeZero) {
+    min = Math.min(0, min);
+    max = Math.max(0, max);
+  }
+  if (min === max) {
+    min -= Math.abs(min) * 0.1 || 1;
+    max += Math.abs(max) * 0.1 || 1;
+  }
+
+  const step = niceStep((max - min) / tickCount);
+  if (nice) {
+    min = Math.floor(min / step) * step;
+    max = Math.ceil(max / step) * step;
+  }
+  if (![min, max, step, max - min].every(Number.isFinite) || step <= 0) {
+    throw new Error('the axis range is too large to draw');
+  }
+
+  // A step below the precision of the values would never advance, so the tick count is capped as well
+  const ticks = [];
+  const first = Math.ceil(min / step) * step;
+  for (let index = 0; index <= tickCount * 3 && first + index * step <= max + step / 1e6; index++) {
+    const value = Number((first + index * step).toPrecision(12));
+    if (ticks[ticks.length - 1] !== value) ticks.push(value);
+  }
+
+  const map = value => rangeStart + (value - min) / (max - min) * (rangeEnd - rangeStart);
+  return { kind: 'linear', min, max, ticks, map };
+}
+
+function niceStep(rough) {
+  const exponent = Math.floor(Math.log10(rough));
+  const fraction = rough / 10 ** exponent;
+  const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+  return nice * 10 ** exponent;
+}
+
+// Date axes tick on calendar boundaries: years, months or days depending on the span
+function dateScale(values, rangeStart, rangeEnd, maxTicks) {
+  const finite = values.filter(Number.isFinite);
+  const min = finite.length > 0 ? Math.min(...finite) : Date.now();
+  const max = finite.length > 0 ? Math.max(...finite) : min + DAY_MS;
+  const span = Math.max(max - min, DAY_MS);
+  if (!Number.isFinite(span)) {
+    throw new Error('the date range is too large to draw');
+  }
+  const ticks = [];
+  let format;
+
+  if (span > 3 * 365 * DAY_MS) {
+    const step = Math.max(1, Math.ceil(span / (365 * DAY_MS) / maxTicks));
+    for (let year = new Date(min).getUTCFullYear(); Date.UTC(year, 0, 1) <= max; year += step) {
+      if (Date.UTC(year, 0, 1) >= min) ticks.push(Date.UTC(year, 0, 1));
+    }
+    format = tick => new Date(tick).toISOString().substring(0, 4);
+  } else if (span > 60 * DAY_MS) {
+    const step = [1, 2, 3, 6, 12].find(months => span / (30 * DAY_MS) / months <= maxTicks) || 12;
+    const start = new Date(min);
+    for (let month = start.getUTCMonth(), year = start.getUTCFullYear(); Date.UTC(year, month, 1) <= max; month += step) {
+      if (Date.UTC(year, month, 1) >= min) ticks.push(Date.UTC(year, month, 1));
+    }
+    format = tick => new Date(tick).toISOString().substring(0, 7);
+  } else {
+    const step = [1, 2, 7, 14, 30].find(days => span / DAY_MS / days <= maxTicks) || 30;
+    for (let tick = Math.ceil(min / DAY_MS) * DAY_MS; tick <= max; tick += step * DAY_MS) ticks.push(tick);
+    format = tick => new Date(tick).toISOString().substring(5, 10);
+  }
+
+  const map = value => rangeStart + (value - min) / (max - min || 1) * (rangeEnd - rangeStart);
+  return { kind: 'time', min, max, ticks, map, format };
+}
+
+function formatTick(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1e9) return `${formatNumber(value / 1e9)}B`;
+  if (magnitude >= 1e6) return `${formatNumber(value / 1e6)}M`;
+  if (magnitude >= 1e4) return `${formatNumber(value / 1e3)}k`;
+  return formatNumber(value);
+}
+
+function fitText(text, maxWidth, scale) {
+  const maxChars = Math.max(1, Math.floor((maxWidth / scale + 1) / 6));
+  return truncateLabel(text || '', maxChars);
+}
+
+// The bitmap font is ASCII-only, so labels are shortened with ".." rather than an ellipsis
+function truncateLabel(text, maxChars) {
+  return text.length > maxChars ? `${text.substring(0, Math.max(1, maxChars - 2))}..` : text;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, character => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&#39;' })[character]);
+}
@@ -11,11 +11,23 @@ class ConfigValidator {
     
     this.optionalVars = [
       'OPENAI_API_KEY',
+      'ANTHROPIC_API_KEY',
+      'ANTHROPIC_URL',
+      'OPENAI_COMPATIBLE_URL',
+      'OPENAI_COMPATIBLE_API_KEY',
+      'CIRCUIT_BREAKER_THRESHOLD',
+      'CIRCUIT_BREAKER_RESET_MS',
       'LLM_PROVIDER',
       'LLM_MODEL',
       'OLLAMA_URL',
       'RECONCILIATION_API_URL',
-      'LOG_LEVEL'
+      'LOG_LEVEL',
+      'LOG_FORMAT',
+      'LOG_FILE',
+      'LOG_MESSAGE_CONTENT',
+      'PORT',
+      'BACKUP_DIR',
+      'ADMIN_API_TOKEN'
     ];
   }
 
@@ -56,10 +68,33 @@ class ConfigValidator {
       if (!ollamaUrl.startsWith('http')) {
         logger.warn('⚠️ OLLAMA_URL should start with http:// or https://');
       }
+    } else if (provider === 'anthropic') {
+      if (!process.env.ANTHROPIC_API_KEY) {
+        logger.error('❌ ANTHROPIC_API_KEY is required when using Anthropic provider');
+        process.exit(1);
+      }
+      const anthropicUrl = process.env.ANTHROPIC_URL;
+      if (anthropicUrl && !anthropicUrl.startsWith('http')) {
+        logger.warn('⚠️ ANTHROPIC_URL should start with http:// or https://');
+      }
+    } else if (provider === 'openai-compatible') {
+      const compatibleUrl = process.env.OPENAI_COMPATIBLE_URL;
+      if (!compatibleUrl) {
+        logger.error('❌ OPENAI_COMPATIBLE_URL is required when using the openai-compatible provider');
+        process.exit(1);
+      }
+      if (!compatibleUrl.startsWith('http')) {
+        logger.warn('⚠️ OPENAI_COMPATIBLE_URL should start with http:// or https://');
+      }
     } else {
-      logger.error(`❌ Unknown LLM_PROVIDER: ${provider}. Use 'openai' or 'ollama'`);
+      logger.error(`❌ Unknown LLM_PROVIDER: ${provider}. Use 'openai', 'ollama', 'anthropic' or 'openai-compatible'`);
       process.exit(1);
     }
+    
+    // Channels can select Anthropic models even when it is not the default provider
+    if (provider !== 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
+      logger.info('💡 ANTHROPIC_API_KEY not set - channels configured for Claude models will fail');
+    }
   }
 
   validateMongoConfig() {
@@ -99,7 +134,7 @@ class ConfigValidator {
       llm: {
         provider: process.env.LLM_PROVIDER || 'openai',
         model: process.env.LLM_MODEL || (process.env.LLM_PROVIDER === 'ollama' ? 'llama2' : 'gpt-4'),
-        hasApiKey: process.env.LLM_PROVIDER === 'ollama' ? 'N/A' : !!process.env.OPENAI_API_KEY
+        hasApiKey: this.hasProviderApiKey(process.env.LLM_PROVIDER || 'openai')
       },
       database: {
         mongo: this.maskSensitive(getMongoUri())
@@ -122,6 +157,13 @@ class ConfigValidator {
     logger.info(`   Log Level: ${config.environment.logLevel}`);
   }
 
+  hasProviderApiKey(provider) {
+    if (provider === 'ollama') return 'N/A';
+    if (provider === 'anthropic') return !!process.env.ANTHROPIC_API_KEY;
+    if (provider === 'openai-compatible') return process.env.OPENAI_COMPATIBLE_API_KEY ? true : 'optional';
+    return !!process.env.OPENAI_API_KEY;
+  }
+
   maskSensitive(value) {
     if (!value) return 'Not set';
     
@@ -144,7 +186,11 @@ class ConfigValidator {
         provider: process.env.LLM_PROVIDER || 'openai',
         apiKey: process.env.OPENAI_API_KEY,
         model: process.env.LLM_MODEL || (process.env.LLM_PROVIDER === 'ollama' ? 'llama2' : 'gpt-4'),
-        ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434'
+        ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+        anthropicApiKey: process.env.ANTHROPIC_API_KEY,
+        anthropicUrl: process.env.ANTHROPIC_URL || 'https://api.anthropic.com',
+        openaiCompatibleUrl: process.env.OPENAI_COMPATIBLE_URL,
+        openaiCompatibleApiKey: process.env.OPENAI_COMPATIBLE_API_KEY
       },
       database: {
         mongoUri: getMongoUri()
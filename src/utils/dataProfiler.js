@@ -0,0 +1,403 @@
+// src/utils/dataProfiler.js - Parse and Profile Tabular Data Locally
+import { getExtension } from './attachments.js';
+
+const NULL_VALUES = new Set(['', 'na', 'n/a', 'null', 'none', 'nan', '-']);
+const BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no']);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$|^\d{1,2}\/\d{1,2}\/\d{2,4}$/;
+
+const TOP_CATEGORIES = 5;
+const MAX_CORRELATIONS = 10;
+const MIN_CORRELATION = 0.3;
+
+/**
+ * Check whether a filename is a dataset format the profiler can parse
+ * @param {string} filename Attachment filename
+ * @returns {boolean} True for .csv, .tsv, .json and .jsonl files
+ */
+export function isDataFile(filename) {
+  return ['csv', 'tsv', 'json', 'jsonl', 'ndjson'].includes(getExtension(filename));
+}
+
+/**
+ * Parse delimited text into a header and rows, handling quoted fields, escaped quotes and CRLF
+ * @param {string} text CSV or TSV text
+ * @param {string} delimiter Field delimiter; detected from the header line when omitted
+ * @param {{maxRows?: number}} options Rows past maxRows are counted but not kept
+ * @returns {{columns: string[], rows: Object[], totalRows: number}} Dataset with one object per row keyed by column
+ */
+export function parseDelimited(text, delimiter = null, { maxRows = Infinity } = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let droppedRows = 0;
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      // The header takes one record, so maxRows data rows means maxRows + 1 records
+      if (records.length <= maxRows) records.push(record);
+      else if (record.some(value => value.trim() !== '')) droppedRows++;
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    if (records.length <= maxRows) records.push(record);
+    else if (record.some(value => value.trim() !== '')) droppedRows++;
+  }
+
+  const nonEmpty = records.filter(fields => fields.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) throw new Error('file has no rows');
+
+  const columns = uniqueColumnNames(nonEmpty[0]);
+  const rows = nonEmpty.slice(1).map(fields =>
+    Object.fromEntries(columns.map((column, index) => [column, fields[index] ?? ''])));
+
+  return { columns, rows, totalRows: rows.length + droppedRows };
+}
+
+/**
+ * Parse JSON data: an array of objects, an object holding one such array, or newline-delimited JSON.
+ * Nested objects are flattened one level into dotted column names
+ * @param {string} text JSON or NDJSON text
+ * @param {{maxRows?: number}} options Records past maxRows are counted but not kept
+ * @returns {{columns: string[], rows: Object[], totalRows: number}} Dataset with one object per record
+ */
+export function parseJsonRows(text, { maxRows = Infinity } = {}) {
+  let records;
+  try {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : Object.values(parsed ?? {}).find(Array.isArray);
+  } catch {
+    records = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+
+  if (!Array.isArray(records) || records.length === 0) {
+    throw new Error('expected an array of records');
+  }
+
+  const rows = records.slice(0, maxRows).map(record => flattenRecord(record && typeof record === 'object' ? record : { value: record }));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return { columns, rows, totalRows: records.length };
+}
+
+/**
+ * Parse a dataset attachment by extension
+ * @param {string} filename Attachment filename
+ * @param {string} text File contents
+ * @param {{maxRows?: number}} options Rows past maxRows are counted in totalRows but not kept
+ * @returns {{columns: string[], rows: Object[], totalRows: number}} Parsed dataset
+ */
+export function parseDataset(filename, text, options = {}) {
+  const extension = getExtension(filename);
+  if (extension === 'csv') return parseDelimited(text, null, options);
+  if (extension === 'tsv') return parseDelimited(text, '\t', options);
+  return parseJsonRows(text, options);
+}
+
+/**
+ * Compute a column-by-column profile: types, null rates, numeric summaries, top categories and correlations.
+ * Yields to the event loop between columns so large files don't stall the gateway connection
+ * @param {{columns: string[], rows: Object[]}} dataset Parsed dataset
+ * @returns {Promise<{rowCount: number, columns: Object[], correlations: Object[]}>} Dataset profile
+ */
+export async function profileDataset({ columns, rows }) {
+  const profiles = [];
+  const numericColumns = [];
+
+  for (const column of columns) {
+    const { profile, numbers } = profileColumn(column, rows.map(row => row[column]));
+    profiles.push(profile);
+    if (numbers) numericColumns.push({ name: column, numbers });
+    await yieldToEventLoop();
+  }
+
+  return {
+    rowCount: rows.length,
+    columns: profiles,
+    correlations: await computeCorrelations(numericColumns)
+  };
+}
+
+/**
+ * Render a profile and the first rows of a dataset as prompt text
+ * @param {string} name Dataset name shown to the model
+ * @param {{columns: string[], rows: Object[]}} dataset Parsed dataset
+ * @param {Object} profile Result of profileDataset
+ * @param {number} sampleSize Number of sample rows to include
+ * @returns {string} Profile section for the prompt
+ */
+export function formatProfile(name, dataset, profile, sampleSize = 10) {
+  const lines = [
+    dataset.totalRows > dataset.rows.length
+      ? `Dataset ${name}: the first ${profile.rowCount.toLocaleString('en-US')} of ${dataset.totalRows.toLocaleString('en-US')} rows × ${profile.columns.length} columns were loaded and profiled locally; later rows are not included.`
+      : `Dataset ${name}: ${profile.rowCount.toLocaleString('en-US')} rows × ${profile.columns.length} columns, profiled locally from every row.`,
+    '',
+    'Columns:'
+  ];
+
+  for (const column of profile.columns) {
+    lines.push(`- ${column.name} (${column.type}, ${formatPercent(column.nullRate)} null, ${column.distinct.toLocaleString('en-US')} distinct): ${describeColumn(column)}`);
+  }
+
+  if (profile.correlations.length > 0) {
+    lines.push('', 'Strongest correlations (Pearson r):');
+    for (const { a, b, r, n } of profile.correlations) {
+      lines.push(`- ${a} ~ ${b}: ${r.toFixed(2)} (n=${n})`);
+    }
+  }
+
+  const sample = dataset.rows.slice(0, sampleSize);
+  if (sample.length > 0) {
+    lines.push('', `Sample (first ${sample.length} rows):`, '```csv', toCsvLine(dataset.columns));
+    for (const row of sample) {
+      lines.push(toCsvLine(dataset.columns.map(column => truncateCell(row[column]))));
+    }
+    lines.push('```');
+  }
+
+  return lines.join('\n');
+}
+
+function detectDelimiter(headerLine = '') {
+  const candidates = [',', ';', '\t', '|'];
+  return candidates.reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best, ',');
+}
+
+function uniqueColumnNames(header) {
+  const seen = new Map();
+  return header.map((raw, index) => {
+    const base = raw.trim() || `column_${index + 1}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}_${count + 1}`;
+  });
+}
+
+function flattenRecord(record) {
+  const flat = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const [innerKey, innerValue] of Object.entries(value)) {
+        flat[`${key}.${innerKey}`] = innerValue && typeof innerValue === 'object' ? JSON.stringify(innerValue) : innerValue;
+      }
+    } else {
+      flat[key] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Check whether a cell counts as missing
+ * @param {*} value Raw cell value
+ * @returns {boolean} True for null, undefined, empty strings and NA-style markers
+ */
+export function isNullValue(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'number') return Number.isNaN(value);
+  return NULL_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * Convert a cell to a number, or null when it isn't numeric
+ * @param {*} value Raw cell value
+ * @returns {number|null} Finite number or null
+ */
+export function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean' || isNullValue(value)) return null;
+
+  const cleaned = String(value).trim().replace(/,(?=\d{3}\b)/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(cleaned)) return null;
+  // Exponents past the double range parse to Infinity, which would poison means, correlations and charts
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : null;
+}
+
+// The narrowest type every non-null value fits: number, boolean, date, then string
+function inferType(values) {
+  if (values.length === 0) return 'empty';
+  if (values.every(value => toNumber(value) !== null)) return 'number';
+  if (values.every(value => typeof value === 'boolean' || BOOLEAN_VALUES.has(String(value).trim().toLowerCase()))) return 'boolean';
+  if (values.every(value => DATE_PATTERN.test(String(value).trim()) && !Number.isNaN(Date.parse(value)))) return 'date';
+  return 'string';
+}
+
+function profileColumn(name, rawValues) {
+  const values = rawValues.filter(value => !isNullValue(value));
+  const type = inferType(values);
+  const profile = {
+    name,
+    type,
+    nullRate: rawValues.length > 0 ? (rawValues.length - values.length) / rawValues.length : 0,
+    distinct: new Set(values.map(value => String(value))).size
+  };
+
+  // Numeric cells are converted once here and reused for correlations, aligned with the rows (null where missing)
+  let numbers = null;
+  if (type === 'number') {
+    numbers = rawValues.map(toNumber);
+    Object.assign(profile, summarizeNumbers(numbers.filter(value => value !== null)));
+  } else if (type === 'date') {
+    const times = values.map(value => Date.parse(value)).sort((a, b) => a - b);
+    profile.min = new Date(times[0]).toISOString();
+    profile.max = new Date(times[times.length - 1]).toISOString();
+  } else if (type !== 'empty') {
+    profile.top = topCategories(values.map(value => String(value).trim()));
+  }
+
+  return { profile, numbers };
+}
+
+function summarizeNumbers(numbers) {
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.length > 1
+    ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (sorted.length - 1)
+    : 0;
+
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean,
+    std: Math.sqrt(variance),
+    p25: quantile(sorted, 0.25),
+    median: quantile(sorted, 0.5),
+    p75: quantile(sorted, 0.75)
+  };
+}
+
+/**
+ * Linear-interpolated quantile of sorted numbers (the same method as numpy's default)
+ * @param {number[]} sorted Numbers in ascending order
+ * @param {number} q Quantile between 0 and 1
+ * @returns {number} Quantile value
+ */
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function topCategories(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_CATEGORIES)
+    .map(([value, count]) => ({ value, count }));
+}
+
+// Pearson r over rows where both columns have values; only the strongest pairs are kept
+async function computeCorrelations(numericColumns) {
+  const pairs = [];
+
+  for (let i = 0; i < numericColumns.length; i++) {
+    for (let j = i + 1; j < numericColumns.length; j++) {
+      const result = pearson(numericColumns[i].numbers, numericColumns[j].numbers);
+      if (result && Math.abs(result.r) >= MIN_CORRELATION) {
+        pairs.push({ a: numericColumns[i].name, b: numericColumns[j].name, ...result });
+      }
+    }
+    await yieldToEventLoop();
+  }
+
+  return pairs.sort((x, y) => Math.abs(y.r) - Math.abs(x.r)).slice(0, MAX_CORRELATIONS);
+}
+
+// One pass with running means and co-moments (Welford), skipping rows where either value is missing
+function pearson(xs, ys) {
+  let n = 0;
+  let meanX = 0;
+  let meanY = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  let covariance = 0;
+
+  for (let index = 0; index < xs.length; index++) {
+    const x = xs[index];
+    const y = ys[index];
+    if (x === null || y === null) continue;
+
+    n++;
+    const dx = x - meanX;
+    meanX += dx / n;
+    const dy = y - meanY;
+    meanY += dy / n;
+    varianceX += dx * (x - meanX);
+    varianceY += dy * (y - meanY);
+    covariance += dx * (y - meanY);
+  }
+
+  if (n < 3 || varianceX === 0 || varianceY === 0) return null;
+  return { r: covariance / Math.sqrt(varianceX * varianceY), n };
+}
+
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+function describeColumn(column) {
+  switch (column.type) {
+    case 'number':
+      return `min ${formatNumber(column.min)}, p25 ${formatNumber(column.p25)}, median ${formatNumber(column.median)}, p75 ${formatNumber(column.p75)}, max ${formatNumber(column.max)}, mean ${formatNumber(column.mean)}, std ${formatNumber(column.std)}`;
+    case 'date':
+      return `from ${column.min} to ${column.max}`;
+    case 'empty':
+      return 'no values';
+    default:
+      return `top ${column.top.map(({ value, count }) => `${truncateCell(value, 40)} (${count})`).join(', ')}`;
+  }
+}
+
+/**
+ * Format a number compactly for prompts: integers as-is, others to four significant digits
+ * @param {number} value Number to format
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value) {
+  if (!Number.isFinite(value)) return String(value);
+  if (Number.isInteger(value)) return value.toString();
+  return Number(value.toPrecision(4)).toString();
+}
+
+function formatPercent(rate) {
+  return `${Number((rate * 100).toFixed(1))}%`;
+}
+
+function truncateCell(value, maxLength = 80) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value).join(',');
+}
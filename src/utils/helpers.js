@@ -0,0 +1,59 @@
+// src/utils/helpers.js - Small Shared Helpers
+
+/**
+ * Format a duration as a short human-readable string, e.g. "4m 30s" or "2h 5m"
+ * @param {number} ms Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.max(1, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  if (minutes > 0) return seconds > 0 ? `${minutes}m ${seconds}s` : `${minutes}m`;
+  return `${seconds}s`;
+}
+
+/**
+ * Reject if a promise does not settle in time, so health checks never hang on a stuck dependency
+ * @param {Promise} promise Operation to wait for
+ * @param {number} ms Timeout in milliseconds
+ * @param {string} label Name used in the timeout error message
+ * @returns {Promise} The operation's result
+ */
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Pull fenced and inline code out of a message, using the same patterns MemoryService counts with
+ * @param {string} text Message text
+ * @returns {{blocks: string[], inline: string[]}} Fenced blocks (with fences) and inline snippets (with backticks)
+ */
+export function extractCodeBlocks(text = '') {
+  const blocks = text.match(/```[\s\S]*?```/g) || [];
+  const inline = text.replace(/```[\s\S]*?```/g, '').match(/`[^`]+`/g) || [];
+  return { blocks, inline };
+}
+
+/**
+ * Drop the oldest lines of a transcript until it fits a character budget (the newest line is always kept)
+ * @param {string[]} lines Transcript lines, oldest first
+ * @param {number} maxChars Character budget, counting one newline per line
+ * @returns {string[]} The newest lines that fit
+ */
+export function trimTranscript(lines, maxChars) {
+  const kept = [...lines];
+  let length = kept.reduce((total, line) => total + line.length + 1, 0);
+  while (kept.length > 1 && length > maxChars) {
+    length -= kept.shift().length + 1;
+  }
+  return kept;
+}
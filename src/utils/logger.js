@@ -1,4 +1,10 @@
 // src/utils/logger.js - Structured Logging Utility
+import fs from 'fs';
+import path from 'path';
+import { format } from 'util';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
 const LOG_LEVELS = {
   ERROR: 0,
   WARN: 1,
@@ -6,10 +12,76 @@ const LOG_LEVELS = {
   DEBUG: 3
 };
 
+// Object keys whose values never reach the logs: message text and credentials
+const REDACTED_KEYS = /^(content|prompt|systemprompt|usermessage|botresponse|messages|apikey|api_key|token|authorization|x-api-key|password|secret)$/i;
+
+// Credentials that can turn up inside error messages or URLs
+const TOKEN_PATTERNS = [
+  /\bsk-(?:ant-)?[A-Za-z0-9_-]{16,}/g,                          // OpenAI and Anthropic API keys
+  /\b[MNO][A-Za-z\d_-]{23,27}\.[A-Za-z\d_-]{6}\.[A-Za-z\d_-]{27,40}\b/g, // Discord bot tokens
+  /\bBearer\s+[A-Za-z0-9._~+/=-]{8,}/gi
+];
+
+const SECRET_ENV_VARS = ['DISCORD_TOKEN', 'OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'OPENAI_COMPATIBLE_API_KEY', 'ADMIN_API_TOKEN'];
+
+// Correlation IDs follow a message or command through every service it calls, without threading them through arguments
+const correlationStore = new AsyncLocalStorage();
+
+export function createCorrelationId() {
+  return randomUUID().split('-')[0];
+}
+
+export function getCorrelationId() {
+  return correlationStore.getStore()?.correlationId || null;
+}
+
+export function runWithCorrelationId(correlationId, callback) {
+  return correlationStore.run({ correlationId }, callback);
+}
+
+// Size-based rotation: bot.log rolls to bot.log.1 ... bot.log.N once it passes maxBytes
+class RotatingFile {
+  constructor({ directory, filename, maxBytes, maxFiles }) {
+    this.filePath = path.join(directory, filename);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(directory, { recursive: true });
+    this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (this.size + bytes > this.maxBytes && this.size > 0) {
+      this.rotate();
+    }
+    this.stream.write(`${line}\n`);
+    this.size += bytes;
+  }
+
+  rotate() {
+    this.stream.end();
+
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const source = `${this.filePath}.${index}`;
+      if (fs.existsSync(source)) fs.renameSync(source, `${this.filePath}.${index + 1}`);
+    }
+    // Renaming over bot.log.N drops the oldest file
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    this.size = 0;
+  }
+}
+
 class Logger {
   constructor() {
     this.logLevel = this.getLogLevel();
-    this.enableColors = process.env.NODE_ENV !== 'production';
+    this.jsonFormat = (process.env.LOG_FORMAT || 'text').toLowerCase() === 'json';
+    this.enableColors = process.env.NODE_ENV !== 'production' && !this.jsonFormat;
+    this.logMessageContent = process.env.LOG_MESSAGE_CONTENT === 'true';
+    this.file = this.createFileOutput();
   }
 
   getLogLevel() {
@@ -17,14 +89,102 @@ class Logger {
     return LOG_LEVELS[level] !== undefined ? LOG_LEVELS[level] : LOG_LEVELS.INFO;
   }
 
+  // LOG_FILE=true also writes to ./logs (the Docker volume) with size-based rotation
+  createFileOutput() {
+    if (process.env.LOG_FILE !== 'true') return null;
+
+    try {
+      return new RotatingFile({
+        directory: process.env.LOG_DIR || './logs',
+        filename: 'bot.log',
+        maxBytes: (parseInt(process.env.LOG_MAX_SIZE_MB) || 10) * 1024 * 1024,
+        maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5
+      });
+    } catch (error) {
+      console.error('Failed to open log file, logging to console only:', error.message);
+      return null;
+    }
+  }
+
   formatTimestamp() {
     return new Date().toISOString();
   }
 
+  // Mask API keys and bot tokens, including the literal values of our own secret env vars
+  redactText(text) {
+    let redacted = TOKEN_PATTERNS.reduce((result, pattern) => result.replace(pattern, '[REDACTED]'), text);
+
+    for (const name of SECRET_ENV_VARS) {
+      const value = process.env[name];
+      if (value && value.length >= 8) redacted = redacted.split(value).join('[REDACTED]');
+    }
+    return redacted;
+  }
+
+  // Deep-copy log arguments with message text and credential fields masked
+  redactValue(value, seen = new WeakSet(), depth = 0) {
+    if (typeof value === 'string') return this.redactText(value);
+    if (!value || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth > 5) return '[Object]';
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactText(value.message),
+        ...(value.code && { code: value.code }),
+        ...(value.status && { status: value.status }),
+        ...(value.errorClass && { errorClass: value.errorClass }),
+        stack: value.stack && this.redactText(value.stack),
+        ...(value.cause && { cause: this.redactValue(value.cause, seen, depth + 1) })
+      };
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item, seen, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      REDACTED_KEYS.test(key) && item !== null && item !== undefined ? '[REDACTED]' : this.redactValue(item, seen, depth + 1)
+    ]));
+  }
+
+  // Text output keeps errors as Error instances so the stack prints readably
+  redactError(error) {
+    const copy = new Error(this.redactText(error.message));
+    copy.name = error.name;
+    copy.stack = error.stack && this.redactText(error.stack);
+    for (const key of ['code', 'status', 'errorClass']) {
+      if (error[key] !== undefined) copy[key] = error[key];
+    }
+    return copy;
+  }
+
+  // User-authored text for log lines: a length marker unless LOG_MESSAGE_CONTENT=true
+  content(text, maxLength = 50) {
+    if (!text) return '(empty)';
+    if (!this.logMessageContent) return `[${text.length} chars]`;
+    return `${this.redactText(text.substring(0, maxLength))}${text.length > maxLength ? '...' : ''}`;
+  }
+
   formatMessage(level, message, ...args) {
     const timestamp = this.formatTimestamp();
-    const prefix = `[${timestamp}] [${level}]`;
-    
+    const correlationId = getCorrelationId();
+
+    if (this.jsonFormat) {
+      // Errors get their own field instead of a multi-line stack inside the message
+      const details = args.filter(arg => !(arg instanceof Error)).map(arg => this.redactValue(arg));
+      const entry = { timestamp, level: level.toLowerCase(), message: this.redactText(format(message, ...details)) };
+      if (correlationId) entry.correlationId = correlationId;
+
+      const error = args.find(arg => arg instanceof Error);
+      if (error) entry.error = this.redactValue(error);
+      return JSON.stringify(entry);
+    }
+
+    const text = this.redactText(format(message, ...args.map(arg => arg instanceof Error ? this.redactError(arg) : this.redactValue(arg))));
+    const prefix = `[${timestamp}] [${level}]${correlationId ? ` [${correlationId}]` : ''}`;
+
     if (this.enableColors) {
       const colors = {
         ERROR: '\x1b[31m', // Red
@@ -33,21 +193,21 @@ class Logger {
         DEBUG: '\x1b[90m'  // Gray
       };
       const resetColor = '\x1b[0m';
-      
-      return `${colors[level]}${prefix}${resetColor} ${message}`;
+
+      return `${colors[level]}${prefix}${resetColor} ${text}`;
     }
-    
-    return `${prefix} ${message}`;
+
+    return `${prefix} ${text}`;
   }
 
   log(level, levelNum, message, ...args) {
     if (levelNum <= this.logLevel) {
-      const formattedMessage = this.formatMessage(level, message);
-      
-      if (args.length > 0) {
-        console.log(formattedMessage, ...args);
-      } else {
-        console.log(formattedMessage);
+      const formattedMessage = this.formatMessage(level, message, ...args);
+      console.log(formattedMessage);
+
+      if (this.file) {
+        // Files never get ANSI colors, whatever the console uses
+        this.file.write(this.enableColors ? formattedMessage.replace(/\x1b\[\d+m/g, '') : formattedMessage);
       }
     }
   }
@@ -89,4 +249,4 @@ class Logger {
   }
 }
 
-export const logger = new Logger();
\ No newline at end of file
+export const logger = new Logger();
@@ -0,0 +1,181 @@
+// src/utils/messageChunker.js - Split Long Responses into Discord-Sized Messages
+
+export const DISCORD_MESSAGE_LIMIT = 2000;
+
+const FENCE_PATTERN = /^\s*```(\S*)/;
+const FENCE_CLOSE = '```';
+
+/**
+ * Split text into chunks no longer than maxLength, preferring paragraph and
+ * code-fence boundaries. Code blocks that must be split are closed at the end
+ * of each chunk and re-opened with the same language tag in the next one.
+ * @param {string} text The text to split
+ * @param {number} maxLength Maximum characters per chunk
+ * @returns {string[]} Message chunks
+ */
+export function splitMessage(text, maxLength = DISCORD_MESSAGE_LIMIT) {
+  if (!text) return [];
+  if (text.length <= maxLength) return [text];
+
+  const pieces = parseBlocks(text).flatMap(block => {
+    if (block.content.length <= maxLength) return [block.content];
+    return block.type === 'code'
+      ? splitCodeBlock(block, maxLength)
+      : splitTextBlock(block.content, maxLength);
+  });
+
+  // Greedily pack pieces into chunks, re-joining them with paragraph breaks
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    const candidate = current ? `${current}\n\n${piece}` : piece;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+    } else {
+      if (current) chunks.push(current);
+      current = piece;
+    }
+  }
+
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Break text into paragraph and fenced code blocks
+ * @param {string} text The text to parse
+ * @returns {Array<{type: string, content: string, fence?: string}>} Blocks in order
+ */
+function parseBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  let code = null;
+
+  const flushParagraph = () => {
+    const content = paragraph.join('\n').trim();
+    if (content) blocks.push({ type: 'text', content });
+    paragraph = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+
+    if (code) {
+      code.lines.push(line);
+      if (fenceMatch && !fenceMatch[1]) {
+        blocks.push({ type: 'code', fence: code.fence, content: code.lines.join('\n') });
+        code = null;
+      }
+    } else if (fenceMatch) {
+      flushParagraph();
+      code = { fence: line.trim(), lines: [line] };
+    } else if (!line.trim()) {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+
+  // An unterminated fence still gets closed so Discord renders it as code
+  if (code) {
+    blocks.push({ type: 'code', fence: code.fence, content: `${code.lines.join('\n')}\n${FENCE_CLOSE}` });
+  }
+
+  return blocks;
+}
+
+/**
+ * Split an oversized code block, wrapping every piece in the original fence
+ * @param {{fence: string, content: string}} block The code block
+ * @param {number} maxLength Maximum characters per chunk
+ * @returns {string[]} Fenced code pieces
+ */
+function splitCodeBlock(block, maxLength) {
+  const lines = block.content.split('\n');
+  const body = lines.slice(1, lines[lines.length - 1].trim() === FENCE_CLOSE ? -1 : undefined);
+  const budget = maxLength - block.fence.length - FENCE_CLOSE.length - 2;
+
+  return groupLines(body, budget).map(group => `${block.fence}\n${group}\n${FENCE_CLOSE}`);
+}
+
+/**
+ * Split an oversized paragraph on line, then word, boundaries
+ * @param {string} content The paragraph text
+ * @param {number} maxLength Maximum characters per chunk
+ * @returns {string[]} Text pieces
+ */
+function splitTextBlock(content, maxLength) {
+  const lines = content.split('\n').flatMap(line =>
+    line.length <= maxLength ? [line] : splitOnWords(line, maxLength)
+  );
+  return groupLines(lines, maxLength);
+}
+
+/**
+ * Pack lines into newline-joined groups no longer than budget, hard-cutting any single line that is too long
+ * @param {string[]} lines Lines to group
+ * @param {number} budget Maximum characters per group
+ * @returns {string[]} Grouped lines
+ */
+function groupLines(lines, budget) {
+  const groups = [];
+  let current = null;
+
+  for (const line of lines) {
+    for (const segment of hardCut(line, budget)) {
+      const candidate = current === null ? segment : `${current}\n${segment}`;
+      if (candidate.length <= budget) {
+        current = candidate;
+      } else {
+        groups.push(current);
+        current = segment;
+      }
+    }
+  }
+
+  if (current !== null) groups.push(current);
+  return groups;
+}
+
+/**
+ * Split a long line on spaces
+ * @param {string} line The line to split
+ * @param {number} maxLength Maximum characters per segment
+ * @returns {string[]} Line segments
+ */
+function splitOnWords(line, maxLength) {
+  const segments = [];
+  let current = '';
+
+  for (const word of line.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxLength) {
+      current = candidate;
+    } else {
+      if (current) segments.push(current);
+      current = word;
+    }
+  }
+
+  if (current) segments.push(current);
+  return segments;
+}
+
+/**
+ * Cut a line into fixed-size segments when no natural boundary fits
+ * @param {string} line The line to cut
+ * @param {number} budget Maximum characters per segment
+ * @returns {string[]} Line segments
+ */
+function hardCut(line, budget) {
+  if (line.length <= budget) return [line];
+
+  const segments = [];
+  for (let i = 0; i < line.length; i += budget) {
+    segments.push(line.substring(i, i + budget));
+  }
+  return segments;
+}
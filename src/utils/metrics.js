@@ -0,0 +1,186 @@
+// src/utils/metrics.js - Prometheus Metrics Registry and Bot Metrics
+
+const metrics = [];
+
+/**
+ * Format a label set as a Prometheus label string, e.g. {provider="openai",model="gpt-4"}
+ * @param {Object} labels Label names and values
+ * @returns {string} Label string, empty when there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Monotonic counter, one series per label combination
+ */
+export class Counter {
+  /**
+   * @param {string} name Metric name
+   * @param {string} help Description shown in the exposition output
+   * @param {string[]} labelNames Label names every observation must provide
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // Serialized labels -> { labels, value }
+    metrics.push(this);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels Label values
+   * @param {number} amount Amount to add (default 1)
+   */
+  inc(labels = {}, amount = 1) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = formatLabels(picked);
+    const entry = this.series.get(key) || { labels: picked, value: 0 };
+    entry.value += amount;
+    this.series.set(key, entry);
+  }
+
+  /**
+   * @returns {string} Prometheus text exposition lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, entry] of this.series) {
+      lines.push(`${this.name}${key} ${entry.value}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Cumulative histogram with fixed buckets, one series per label combination
+ */
+export class Histogram {
+  /**
+   * @param {string} name Metric name
+   * @param {string} help Description shown in the exposition output
+   * @param {string[]} labelNames Label names every observation must provide
+   * @param {number[]} buckets Ascending upper bounds
+   */
+  constructor(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map(); // Serialized labels -> { labels, counts, sum, count }
+    metrics.push(this);
+  }
+
+  /**
+   * Record one observation
+   * @param {Object} labels Label values
+   * @param {number} value Observed value
+   */
+  observe(labels, value) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = formatLabels(picked);
+    const entry = this.series.get(key) || { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+    this.series.set(key, entry);
+  }
+
+  /**
+   * Start a timer that observes the elapsed seconds when called
+   * @param {Object} labels Label values, merged with any passed to the returned function
+   * @returns {Function} Stop function taking optional extra labels
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * @returns {string} Prometheus text exposition lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const entry of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? 'unknown']));
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format
+ * @returns {string} Exposition body for /metrics
+ */
+export function renderMetrics() {
+  return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+}
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Bot metrics
+export const messagesHandled = new Counter(
+  'discord_messages_handled_total',
+  'Messages handled in workspace channels, by channel type',
+  ['channel_type']
+);
+
+export const discordApiErrors = new Counter(
+  'discord_api_errors_total',
+  'Failed Discord REST calls and gateway client errors',
+  ['source', 'status']
+);
+
+// LLM metrics
+export const llmRequestDuration = new Histogram(
+  'llm_request_duration_seconds',
+  'Latency of LLM requests, including streamed responses, by outcome (success or error)',
+  ['provider', 'model', 'outcome']
+);
+
+export const llmTokens = new Counter(
+  'llm_tokens_total',
+  'Tokens sent and generated, by provider, model and direction',
+  ['provider', 'model', 'type']
+);
+
+export const llmProviderErrors = new Counter(
+  'llm_provider_errors_total',
+  'Provider request failures by error class',
+  ['provider', 'error_class']
+);
+
+export const llmFallbackResponses = new Counter(
+  'llm_fallback_responses_total',
+  'Canned fallback replies sent because every provider route failed',
+  ['channel_type']
+);
+
+// Memory metrics
+export const memoryContextDuration = new Histogram(
+  'memory_context_build_seconds',
+  'Time to build memory context for a message',
+  [],
+  [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
@@ -0,0 +1,318 @@
+// src/utils/queryEngine.js - Run Filter/Group/Aggregate Queries over Parsed Datasets
+import { isNullValue, toNumber, quantile, formatNumber } from './dataProfiler.js';
+
+const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'in', 'not_in', 'contains', 'between', 'is_null', 'not_null'];
+const AGGREGATE_FUNCTIONS = ['count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'median'];
+const NUMERIC_AGGREGATES = ['sum', 'avg', 'median'];
+const TIME_BUCKETS = ['day', 'week', 'month', 'year'];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_CELL_WIDTH = 32;
+
+/**
+ * Check a query spec against a dataset and fill in defaults. Throws with a message naming the problem,
+ * so a bad spec from the model never reaches execution
+ * @param {Object} spec Query spec: filters, groupBy, aggregates, select, orderBy, limit
+ * @param {{columns: string[]}} dataset Parsed dataset
+ * @param {Object<string, string>} types Column types from the profile, keyed by column name
+ * @param {{maxLimit?: number}} options Cap on the result size; charts raise it to plot every group
+ * @returns {Object} Normalized spec
+ */
+export function validateQuery(spec, dataset, types = {}, { maxLimit = MAX_LIMIT } = {}) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error('query must be a JSON object');
+  }
+
+  const requireColumn = (column, where) => {
+    if (!dataset.columns.includes(column)) {
+      throw new Error(`unknown column "${column}" in ${where}`);
+    }
+    return column;
+  };
+
+  const filters = toArray(spec.filters, 'filters').map(filter => {
+    const op = String(filter?.op || '=').toLowerCase();
+    if (!FILTER_OPERATORS.includes(op)) throw new Error(`unsupported filter operator "${op}"`);
+    if (['in', 'not_in'].includes(op) && !Array.isArray(filter.value)) throw new Error(`"${op}" needs an array value`);
+    if (op === 'between' && !(Array.isArray(filter.value) && filter.value.length === 2)) throw new Error('"between" needs a [low, high] value');
+    return { column: requireColumn(filter.column, 'filters'), op, value: filter.value };
+  });
+
+  const groupBy = toArray(spec.groupBy, 'groupBy').map(entry => {
+    const { column, bucket = null } = typeof entry === 'string' ? { column: entry } : entry || {};
+    requireColumn(column, 'groupBy');
+    if (bucket !== null) {
+      if (!TIME_BUCKETS.includes(bucket)) throw new Error(`unsupported time bucket "${bucket}"`);
+      if (types[column] !== 'date') throw new Error(`"${column}" is not a date column, so it can't be bucketed by ${bucket}`);
+    }
+    return { column, bucket, name: bucket ? `${column} (${bucket})` : column };
+  });
+
+  let aggregates = toArray(spec.aggregates, 'aggregates').map(aggregate => {
+    const fn = String(aggregate?.fn || '').toLowerCase();
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) throw new Error(`unsupported aggregate "${aggregate?.fn}"`);
+    const column = aggregate.column ? requireColumn(aggregate.column, 'aggregates') : null;
+    if (!column && fn !== 'count') throw new Error(`"${fn}" needs a column`);
+    if (NUMERIC_AGGREGATES.includes(fn) && types[column] && types[column] !== 'number') {
+      throw new Error(`"${fn}" needs a numeric column, but "${column}" is ${types[column]}`);
+    }
+    return { fn, column, name: aggregate.as || (column ? `${fn}(${column})` : 'count') };
+  });
+
+  // Grouping without aggregates is a count per group
+  if (groupBy.length > 0 && aggregates.length === 0) {
+    aggregates = [{ fn: 'count', column: null, name: 'count' }];
+  }
+
+  const grouped = groupBy.length > 0 || aggregates.length > 0;
+  const select = grouped ? [] : toArray(spec.select, 'select').map(column => requireColumn(column, 'select'));
+  const outputColumns = grouped
+    ? [...groupBy.map(group => group.name), ...aggregates.map(aggregate => aggregate.name)]
+    : (select.length > 0 ? select : dataset.columns);
+
+  const orderBy = toArray(spec.orderBy, 'orderBy').map(entry => {
+    const { column, direction = 'asc' } = typeof entry === 'string' ? { column: entry } : entry || {};
+    if (!outputColumns.includes(column)) throw new Error(`orderBy column "${column}" is not in the result`);
+    return { column, direction: String(direction).toLowerCase() === 'desc' ? 'desc' : 'asc' };
+  });
+
+  const limit = Number(spec.limit ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(limit) || limit < 1) throw new Error('limit must be a positive whole number');
+
+  return { filters, groupBy, aggregates, select, outputColumns, orderBy, limit: Math.min(limit, maxLimit) };
+}
+
+/**
+ * Run a query over every row of a dataset
+ * @param {{columns: string[], rows: Object[]}} dataset Parsed dataset
+ * @param {Object} spec Query spec; validated here
+ * @param {Object<string, string>} types Column types from the profile, keyed by column name
+ * @param {{maxLimit?: number}} options Cap on the result size
+ * @returns {{columns: string[], rows: Object[], matchedRows: number, totalRows: number, query: Object}} Result rows before and after the limit
+ */
+export function executeQuery(dataset, spec, types = {}, options = {}) {
+  const query = validateQuery(spec, dataset, types, options);
+  const matched = dataset.rows.filter(row => query.filters.every(filter => matchesFilter(row[filter.column], filter, types[filter.column])));
+
+  let rows;
+  if (query.aggregates.length > 0) {
+    rows = aggregateRows(matched, query, types);
+    // Grouped results read best in group order unless the query asks otherwise
+    if (query.orderBy.length === 0) {
+      query.orderBy = query.groupBy.map(group => ({ column: group.name, direction: 'asc' }));
+    }
+  } else {
+    rows = matched.map(row => Object.fromEntries(query.outputColumns.map(column => [column, row[column] ?? null])));
+  }
+
+  if (query.orderBy.length > 0) {
+    rows.sort((a, b) => {
+      for (const { column, direction } of query.orderBy) {
+        const order = compareValues(a[column], b[column]);
+        if (order !== 0) return direction === 'desc' ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  return {
+    columns: query.outputColumns,
+    rows: rows.slice(0, query.limit),
+    matchedRows: matched.length,
+    totalRows: rows.length,
+    query
+  };
+}
+
+/**
+ * Describe a normalized query in one line, e.g. `avg(latency) by region where status = "ok"`
+ * @param {Object} query Normalized spec from validateQuery
+ * @returns {string} Human-readable summary
+ */
+export function describeQuery(query) {
+  const parts = [query.aggregates.length > 0
+    ? query.aggregates.map(aggregate => aggregate.column ? `${aggregate.fn}(${aggregate.column})` : 'count').join(', ')
+    : `rows (${query.outputColumns.join(', ')})`];
+
+  if (query.groupBy.length > 0) parts.push(`by ${query.groupBy.map(group => group.name).join(', ')}`);
+  if (query.filters.length > 0) parts.push(`where ${describeFilters(query.filters)}`);
+  if (query.orderBy.length > 0) parts.push(`order by ${query.orderBy.map(({ column, direction }) => `${column} ${direction}`).join(', ')}`);
+
+  return parts.join(' ');
+}
+
+/**
+ * Describe filters in one line, e.g. `date >= "2024-03-01" and region in ["eu","us"]`
+ * @param {Array<{column: string, op: string, value: *}>} filters Normalized filters
+ * @returns {string} Human-readable conditions
+ */
+export function describeFilters(filters) {
+  return filters.map(({ column, op, value }) => ['is_null', 'not_null'].includes(op)
+    ? `${column} ${op.replace('_', ' ')}`
+    : `${column} ${op.replace('_', ' ')} ${JSON.stringify(value)}`).join(' and ');
+}
+
+/**
+ * Render result rows as a fixed-width table in a code block, which Discord shows aligned
+ * @param {{columns: string[], rows: Object[], totalRows: number}} result Result of executeQuery
+ * @param {number} maxRows Rows to show before summarizing the rest
+ * @returns {string} Table text
+ */
+export function formatResultTable(result, maxRows = 25) {
+  const shown = result.rows.slice(0, maxRows);
+  const cells = shown.map(row => result.columns.map(column => formatCell(row[column])));
+  const numeric = result.columns.map((column, index) =>
+    shown.length > 0 && shown.every(row => row[column] === null || typeof row[column] === 'number') && cells.some(line => line[index] !== ''));
+  const widths = result.columns.map((column, index) =>
+    Math.max(truncate(column).length, ...cells.map(line => line[index].length)));
+
+  const renderLine = values => values
+    .map((value, index) => numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  const lines = [
+    renderLine(result.columns.map(column => truncate(column))),
+    widths.map(width => '-'.repeat(width)).join('  '),
+    ...cells.map(renderLine)
+  ];
+
+  if (result.totalRows > shown.length) {
+    lines.push(`… ${(result.totalRows - shown.length).toLocaleString('en-US')} more rows`);
+  }
+
+  return `\`\`\`\n${lines.join('\n')}\n\`\`\``;
+}
+
+function toArray(value, key) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) throw new Error(`${key} must be an array`);
+  return value;
+}
+
+// Values are compared as the column's type: numbers numerically, dates by timestamp, everything else as case-insensitive text
+function toComparable(value, type) {
+  if (isNullValue(value)) return null;
+  if (type === 'number') return toNumber(value);
+  if (type === 'date') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  if (type === 'boolean') return ['true', 'yes'].includes(String(value).trim().toLowerCase());
+  return String(value).trim().toLowerCase();
+}
+
+function matchesFilter(raw, { op, value }, type) {
+  if (op === 'is_null') return isNullValue(raw);
+  if (op === 'not_null') return !isNullValue(raw);
+
+  const cell = toComparable(raw, type);
+  if (cell === null) return op === '!=' || op === 'not_in';
+
+  switch (op) {
+    case '=': return cell === toComparable(value, type);
+    case '!=': return cell !== toComparable(value, type);
+    case '>': return cell > toComparable(value, type);
+    case '>=': return cell >= toComparable(value, type);
+    case '<': return cell < toComparable(value, type);
+    case '<=': return cell <= toComparable(value, type);
+    case 'in': return value.some(option => cell === toComparable(option, type));
+    case 'not_in': return !value.some(option => cell === toComparable(option, type));
+    case 'contains': return String(raw).toLowerCase().includes(String(value).toLowerCase());
+    case 'between': return cell >= toComparable(value[0], type) && cell <= toComparable(value[1], type);
+    default: return false;
+  }
+}
+
+function bucketDate(value, bucket) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+
+  const iso = new Date(time).toISOString();
+  if (bucket === 'year') return iso.substring(0, 4);
+  if (bucket === 'month') return iso.substring(0, 7);
+  if (bucket === 'week') {
+    // Weeks start on Monday and are labelled by that day
+    const date = new Date(time);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().substring(0, 10);
+  }
+  return iso.substring(0, 10);
+}
+
+function aggregateRows(rows, query, types) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const keyValues = query.groupBy.map(({ column, bucket }) => {
+      if (isNullValue(row[column])) return null;
+      return bucket ? bucketDate(row[column], bucket) : row[column];
+    });
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) groups.set(key, { keyValues, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  // A query with aggregates but no groupBy still returns one row, even when nothing matched
+  if (groups.size === 0 && query.groupBy.length === 0) {
+    groups.set('[]', { keyValues: [], rows: [] });
+  }
+
+  return [...groups.values()].map(({ keyValues, rows: groupRows }) => {
+    const result = {};
+    query.groupBy.forEach((group, index) => {
+      result[group.name] = types[group.column] === 'number' && !group.bucket ? toNumber(keyValues[index]) : keyValues[index];
+    });
+    for (const aggregate of query.aggregates) {
+      result[aggregate.name] = computeAggregate(groupRows, aggregate, types[aggregate.column]);
+    }
+    return result;
+  });
+}
+
+function computeAggregate(rows, { fn, column }, type) {
+  if (fn === 'count' && !column) return rows.length;
+
+  const values = rows.map(row => row[column]).filter(value => !isNullValue(value));
+  if (fn === 'count') return values.length;
+  if (fn === 'count_distinct') return new Set(values.map(value => String(value).trim())).size;
+
+  if (type === 'date' && (fn === 'min' || fn === 'max')) {
+    const times = values.map(value => Date.parse(value)).filter(time => !Number.isNaN(time));
+    if (times.length === 0) return null;
+    return new Date(fn === 'min' ? Math.min(...times) : Math.max(...times)).toISOString();
+  }
+
+  const numbers = values.map(toNumber).filter(value => value !== null);
+  if (numbers.length === 0) return null;
+
+  switch (fn) {
+    case 'sum': return numbers.reduce((sum, value) => sum + value, 0);
+    case 'avg': return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+    case 'min': return numbers.reduce((min, value) => Math.min(min, value), Infinity);
+    case 'max': return numbers.reduce((max, value) => Math.max(max, value), -Infinity);
+    case 'median': return quantile([...numbers].sort((a, b) => a - b), 0.5);
+    default: return null;
+  }
+}
+
+// Nulls sort last; numbers before text
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'number') return -1;
+  if (typeof b === 'number') return 1;
+  return String(a).localeCompare(String(b), 'en', { numeric: true });
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  return truncate(typeof value === 'number' ? formatNumber(value) : String(value));
+}
+
+function truncate(text) {
+  return text.length > MAX_CELL_WIDTH ? `${text.substring(0, MAX_CELL_WIDTH - 1)}…` : text;
+}
@@ -0,0 +1,235 @@
+// src/utils/raster.js - Minimal RGB Raster with a Bitmap Font and PNG Encoding
+import { deflateSync } from 'zlib';
+
+// Classic 5x7 font for printable ASCII (0x20-0x7E): five column bytes per glyph, least significant bit at the top
+const FONT_5X7 = (
+  '0000000000' + '00005f0000' + '0007000700' + '147f147f14' + '242a7f2a12' + '2313086462' + '3649552250' + '0005030000' +
+  '001c224100' + '0041221c00' + '082a1c2a08' + '08083e0808' + '0050300000' + '0808080808' + '0060600000' + '2010080402' +
+  '3e5149453e' + '00427f4000' + '4261514946' + '2141454b31' + '1814127f10' + '2745454539' + '3c4a494930' + '0171090503' +
+  '3649494936' + '064949291e' + '0036360000' + '0056360000' + '0814224100' + '1414141414' + '0041221408' + '0201510906' +
+  '324979413e' + '7e1111117e' + '7f49494936' + '3e41414122' + '7f4141221c' + '7f49494941' + '7f09090101' + '3e41415132' +
+  '7f0808087f' + '00417f4100' + '2040413f01' + '7f08142241' + '7f40404040' + '7f0204027f' + '7f0408107f' + '3e4141413e' +
+  '7f09090906' + '3e4151215e' + '7f09192946' + '4649494931' + '01017f0101' + '3f4040403f' + '1f2040201f' + '7f2018207f' +
+  '6314081463' + '0304780403' + '6151494543' + '00007f4141' + '0204081020' + '41417f0000' + '0402010204' + '4040404040' +
+  '0001020400' + '2054545478' + '7f48444438' + '3844444420' + '384444487f' + '3854545418' + '087e090102' + '081454543c' +
+  '7f08040478' + '00447d4000' + '2040443d00' + '007f102844' + '00417f4000' + '7c04180478' + '7c08040478' + '3844444438' +
+  '7c14141408' + '081414187c' + '7c08040408' + '4854545420' + '043f444020' + '3c4040207c' + '1c2040201c' + '3c4030403c' +
+  '4428102844' + '0c5050503c' + '4464544c44' + '0008364100' + '00007f0000' + '0041360800' + '0804081008'
+);
+
+// Common typographic characters drawn with their closest ASCII equivalent
+const ASCII_FALLBACKS = { '·': '-', '…': '...', '×': 'x', '–': '-', '—': '-', '‘': '\'', '’': '\'', '“': '"', '”': '"' };
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+const GLYPH_ADVANCE = 6;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Width in pixels of a line of text drawn with the bitmap font
+ * @param {string} text Text to measure
+ * @param {number} scale Pixel size of each font dot
+ * @returns {number} Width in pixels
+ */
+export function measureText(text, scale = 1) {
+  const length = toAscii(text).length;
+  return length > 0 ? (length * GLYPH_ADVANCE - 1) * scale : 0;
+}
+
+/**
+ * Height in pixels of a line of text drawn with the bitmap font
+ * @param {number} scale Pixel size of each font dot
+ * @returns {number} Height in pixels
+ */
+export function textHeight(scale = 1) {
+  return GLYPH_HEIGHT * scale;
+}
+
+/**
+ * An RGB pixel buffer with the few drawing operations charts need
+ */
+export class Raster {
+  constructor(width, height, background = '#ffffff') {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Uint8Array(width * height * 3);
+    this.fillRect(0, 0, width, height, background);
+  }
+
+  // Blend one pixel; opacity below 1 mixes with what is already there
+  setPixel(x, y, [r, g, b], opacity = 1) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+    const offset = (y * this.width + x) * 3;
+    if (opacity >= 1) {
+      this.pixels[offset] = r;
+      this.pixels[offset + 1] = g;
+      this.pixels[offset + 2] = b;
+    } else {
+      this.pixels[offset] += (r - this.pixels[offset]) * opacity;
+      this.pixels[offset + 1] += (g - this.pixels[offset + 1]) * opacity;
+      this.pixels[offset + 2] += (b - this.pixels[offset + 2]) * opacity;
+    }
+  }
+
+  fillRect(x, y, width, height, color, opacity = 1) {
+    if (![x, y, width, height].every(Number.isFinite)) return;
+    const rgb = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) this.setPixel(px, py, rgb, opacity);
+    }
+  }
+
+  // Bresenham line, thickened with a square pen; clipped to the raster first so far-off points can't stall the loop
+  drawLine(x0, y0, x1, y1, color, { width = 1 } = {}) {
+    const clipped = clipSegment([x0, y0, x1, y1], -width, -width, this.width + width, this.height + width);
+    if (!clipped) return;
+    [x0, y0, x1, y1] = clipped;
+
+    const rgb = parseColor(color);
+    const offset = Math.floor((width - 1) / 2);
+    let x = Math.round(x0);
+    let y = Math.round(y0);
+    const endX = Math.round(x1);
+    const endY = Math.round(y1);
+    const dx = Math.abs(endX - x);
+    const dy = -Math.abs(endY - y);
+    const stepX = x < endX ? 1 : -1;
+    const stepY = y < endY ? 1 : -1;
+    let error = dx + dy;
+
+    for (;;) {
+      for (let py = 0; py < width; py++) {
+        for (let px = 0; px < width; px++) this.setPixel(x - offset + px, y - offset + py, rgb);
+      }
+      if (x === endX && y === endY) break;
+
+      const doubled = 2 * error;
+      if (doubled >= dy) { error += dy; x += stepX; }
+      if (doubled <= dx) { error += dx; y += stepY; }
+    }
+  }
+
+  fillCircle(cx, cy, radius, color, opacity = 1) {
+    if (![cx, cy, radius].every(Number.isFinite)) return;
+    const rgb = parseColor(color);
+    const limit = radius * radius;
+    for (let py = Math.floor(cy - radius); py <= Math.ceil(cy + radius); py++) {
+      for (let px = Math.floor(cx - radius); px <= Math.ceil(cx + radius); px++) {
+        if ((px - cx) ** 2 + (py - cy) ** 2 <= limit) this.setPixel(px, py, rgb, opacity);
+      }
+    }
+  }
+
+  // Text is positioned by the top-left of its box; rotate -90 draws bottom-to-top from the bottom-left, for vertical axis titles
+  drawText(text, x, y, color, { scale = 1, rotate = 0, bold = false } = {}) {
+    const rgb = parseColor(color);
+
+    [...toAscii(text)].forEach((character, index) => {
+      const code = character.charCodeAt(0);
+      const glyph = code >= 0x20 && code <= 0x7e ? code - 0x20 : '?'.charCodeAt(0) - 0x20;
+
+      for (let column = 0; column < GLYPH_WIDTH; column++) {
+        const bits = parseInt(FONT_5X7.substr((glyph * GLYPH_WIDTH + column) * 2, 2), 16);
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+          if (!(bits & (1 << row))) continue;
+
+          const along = (index * GLYPH_ADVANCE + column) * scale;
+          const across = row * scale;
+          for (let dy = 0; dy < scale; dy++) {
+            for (let dx = 0; dx < scale + (bold ? 1 : 0); dx++) {
+              if (rotate === -90) {
+                this.setPixel(x + across + dy, y - along - dx, rgb);
+              } else {
+                this.setPixel(x + along + dx, y + across + dy, rgb);
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Encode the raster as an 8-bit RGB PNG
+   * @returns {Buffer} PNG file contents
+   */
+  toPng() {
+    const rowLength = this.width * 3;
+    const scanlines = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      // Filter type 0 (none) at the start of every row
+      scanlines[y * (rowLength + 1)] = 0;
+      Buffer.from(this.pixels.buffer, y * rowLength, rowLength).copy(scanlines, y * (rowLength + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // colour type: truecolour
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', deflateSync(scanlines)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
+
+// Liang-Barsky clipping of a segment to a rectangle; null when it lies outside or has a non-finite end
+function clipSegment([x0, y0, x1, y1], left, top, right, bottom) {
+  if (![x0, y0, x1, y1].every(Number.isFinite)) return null;
+
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  let start = 0;
+  let end = 1;
+  for (const [p, q] of [[-dx, x0 - left], [dx, right - x0], [-dy, y0 - top], [dy, bottom - y0]]) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) start = Math.max(start, t);
+    else end = Math.min(end, t);
+    if (start > end) return null;
+  }
+  return [x0 + start * dx, y0 + start * dy, x0 + end * dx, y0 + end * dy];
+}
+
+function toAscii(text) {
+  return [...text].map(character => ASCII_FALLBACKS[character] ?? character).join('');
+}
+
+function parseColor(color) {
+  const hex = color.replace('#', '');
+  return [0, 2, 4].map(index => parseInt(hex.substr(index, 2), 16));
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,137 @@
+// test/AnthropicProvider.test.js - Anthropic Messages API Client against a Local Stub Server
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { AnthropicProvider } from '../src/services/llm/AnthropicProvider.js';
+
+let server;
+let provider;
+let requests;
+let respond;
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      respond(request, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  provider = new AnthropicProvider({ apiKey: 'test-key', url: `http://127.0.0.1:${server.address().port}`, model: 'claude-3-haiku' });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  respond = (request, res) => json(res, 200, {});
+});
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sse(res, events) {
+  res.writeHead(200, { 'content-type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  }
+  res.end();
+}
+
+test('generateChatResponse sends the system prompt separately and maps options', async () => {
+  respond = (request, res) => json(res, 200, {
+    content: [{ type: 'text', text: 'Hello ' }, { type: 'tool_use', id: 'x' }, { type: 'text', text: 'there' }],
+    usage: { input_tokens: 12, output_tokens: 3 }
+  });
+
+  const result = await provider.generateChatResponse([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'assistant', content: 'dangling greeting' },
+    { role: 'user', content: 'Hi' }
+  ], { temperature: 1.6, topP: 0.9, stop: ['END'], presencePenalty: 1 });
+
+  assert.deepEqual(result, { text: 'Hello there', usage: { promptTokens: 12, completionTokens: 3, totalTokens: 15 } });
+
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, '/v1/messages');
+  assert.equal(request.headers['x-api-key'], 'test-key');
+  assert.equal(request.headers['anthropic-version'], '2023-06-01');
+  assert.deepEqual(request.body, {
+    model: 'claude-3-haiku-20240307',
+    system: 'Be brief.',
+    messages: [{ role: 'user', content: 'Hi' }],
+    max_tokens: 500,
+    temperature: 1,
+    top_p: 0.9,
+    stop_sequences: ['END']
+  });
+});
+
+test('streamChatResponse yields text deltas and returns usage', async () => {
+  respond = (request, res) => sse(res, [
+    { type: 'message_start', message: { usage: { input_tokens: 20, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+    { type: 'ping' },
+    { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } },
+    { type: 'message_stop' }
+  ]);
+
+  const stream = provider.streamChatResponse([{ role: 'user', content: 'Hi' }], { maxTokens: 50 });
+  const chunks = [];
+  let step;
+  while (!(step = await stream.next()).done) chunks.push(step.value);
+
+  assert.deepEqual(chunks, ['Hel', 'lo']);
+  assert.deepEqual(step.value, { promptTokens: 20, completionTokens: 7, totalTokens: 27 });
+  assert.equal(requests[0].body.stream, true);
+  assert.equal(requests[0].body.max_tokens, 50);
+});
+
+test('streamChatResponse surfaces error events', async () => {
+  respond = (request, res) => sse(res, [
+    { type: 'message_start', message: { usage: { input_tokens: 1 } } },
+    { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+  ]);
+
+  const consume = async () => {
+    for await (const chunk of provider.streamChatResponse([{ role: 'user', content: 'Hi' }])) assert.fail(`unexpected chunk ${chunk}`);
+  };
+  await assert.rejects(consume, /Anthropic API error: Overloaded/);
+});
+
+test('HTTP errors are mapped to classified provider errors', async () => {
+  const cases = [
+    [401, 'auth', /API key is invalid/],
+    [429, 'rate_limit', /rate limit exceeded/],
+    [404, 'model_not_found', /model 'claude-3-haiku-20240307' not found/],
+    [400, 'other', /Anthropic API error: max_tokens: too large/],
+    [503, 'unavailable', /temporarily unavailable/],
+    [529, 'unavailable', /temporarily unavailable/]
+  ];
+
+  for (const [status, errorClass, message] of cases) {
+    respond = (request, res) => json(res, status, { type: 'error', error: { type: 'x', message: 'max_tokens: too large' } }, { 'retry-after': '1' });
+    await assert.rejects(provider.generateChatResponse([{ role: 'user', content: 'Hi' }]), error => {
+      assert.equal(error.errorClass, errorClass, `status ${status}`);
+      assert.match(error.message, message);
+      assert.equal(error.cause.response.status, status);
+      return true;
+    });
+  }
+});
+
+test('checkReachability lists models with the API headers', async () => {
+  respond = (request, res) => json(res, 200, { data: [] });
+  await provider.checkReachability();
+  assert.equal(requests[0].method, 'GET');
+  assert.equal(requests[0].url, '/v1/models');
+  assert.equal(requests[0].headers['x-api-key'], 'test-key');
+});
@@ -0,0 +1,66 @@
+// test/CircuitBreaker.test.js - Circuit States and Which Errors Count Against Them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CIRCUIT_STATES, isAvailabilityError } from '../src/services/llm/CircuitBreaker.js';
+
+test('a circuit opens after the failure threshold and rejects requests', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 1000 });
+  breaker.recordFailure(new Error('one'));
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  assert.ok(breaker.canRequest());
+
+  breaker.recordFailure(new Error('two'));
+  assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+  assert.ok(!breaker.canRequest());
+  assert.equal(breaker.getStatus().lastError, 'two');
+});
+
+test('an open circuit lets one probe through after the reset timeout', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 1000 });
+  breaker.recordFailure(new Error('down'));
+  breaker.openedAt -= 1000;
+
+  assert.ok(breaker.canRequest());
+  assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+  assert.ok(!breaker.canRequest());
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+  assert.equal(breaker.consecutiveFailures, 0);
+});
+
+test('a failed probe re-opens the circuit at once', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 3, resetTimeoutMs: 1000 });
+  breaker.state = CIRCUIT_STATES.OPEN;
+  breaker.openedAt = Date.now() - 1000;
+
+  assert.ok(breaker.canRequest());
+  breaker.recordFailure(new Error('still down'));
+  assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+  assert.ok(!breaker.canRequest());
+});
+
+test('releaseProbe frees a half-open circuit without changing its state', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 1000 });
+  breaker.recordFailure(new Error('down'));
+  breaker.openedAt -= 1000;
+
+  assert.ok(breaker.canRequest());
+  breaker.releaseProbe();
+  assert.equal(breaker.state, CIRCUIT_STATES.HALF_OPEN);
+  assert.ok(breaker.canRequest());
+});
+
+test('isAvailabilityError counts outages but not rejected requests', () => {
+  const withStatus = status => new Error(`HTTP ${status}`, { cause: { response: { status } } });
+  const withClass = errorClass => Object.assign(new Error(errorClass), { errorClass });
+
+  assert.ok(isAvailabilityError(withStatus(503)));
+  assert.ok(isAvailabilityError(withStatus(429)));
+  assert.ok(isAvailabilityError(withClass('connection')));
+  assert.ok(isAvailabilityError(withClass('timeout')));
+
+  assert.ok(!isAvailabilityError(withStatus(400)));
+  assert.ok(!isAvailabilityError(Object.assign(withStatus(401), { errorClass: 'auth' })));
+  assert.ok(!isAvailabilityError(withClass('model_not_found')));
+});
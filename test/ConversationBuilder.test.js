@@ -0,0 +1,68 @@
+// test/ConversationBuilder.test.js - Role-Tagged Message Assembly from Channel History
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationBuilder, DEFAULT_HISTORY_WINDOW } from '../src/services/llm/ConversationBuilder.js';
+
+const builder = new ConversationBuilder();
+
+const history = [
+  { id: '1', author: 'Ana', content: 'first question' },
+  { id: '2', isBot: true, isSelf: true, content: 'first answer' },
+  { id: '3', author: 'OtherBot', isBot: true, content: 'noise' },
+  { id: '4', author: 'Ben', content: 'second question' },
+  { id: '5', isBot: true, isSelf: true, content: 'second answer' },
+  { id: '6', author: 'Ana', content: 'current message' }
+];
+
+const context = (overrides = {}) => ({ username: 'Ana', message: 'current message', messageId: '6', messageHistory: history, ...overrides });
+
+test('getSettings falls back to the defaults', () => {
+  assert.deepEqual(builder.getSettings({}), { historyWindow: DEFAULT_HISTORY_WINDOW, tokenBudget: 3000 });
+  assert.deepEqual(builder.getSettings({ historyWindow: 0, historyTokenBudget: 50 }), { historyWindow: 0, tokenBudget: 50 });
+});
+
+test('build tags speakers, drops other bots and the current message from history', () => {
+  const messages = builder.build('system prompt', context());
+
+  assert.deepEqual(messages, [
+    { role: 'system', content: 'system prompt' },
+    { role: 'user', content: 'Ana: first question' },
+    { role: 'assistant', content: 'first answer' },
+    { role: 'user', content: 'Ben: second question' },
+    { role: 'assistant', content: 'second answer' },
+    { role: 'user', content: 'Ana: current message' }
+  ]);
+});
+
+test('build keeps only the last historyWindow turns', () => {
+  const messages = builder.build('sys', context(), { historyWindow: 2 });
+  assert.deepEqual(messages.map(message => message.content), ['sys', 'Ben: second question', 'second answer', 'Ana: current message']);
+});
+
+test('build sends no channel history when historyWindow is 0', () => {
+  const messages = builder.build('sys', context(), { historyWindow: 0 });
+  assert.deepEqual(messages, [
+    { role: 'system', content: 'sys' },
+    { role: 'user', content: 'Ana: current message' }
+  ]);
+});
+
+test('build keeps whole thread transcripts regardless of the window', () => {
+  const messages = builder.build('sys', context({ thread: { id: 't1' } }), { historyWindow: 0 });
+  assert.equal(messages.length, 6);
+});
+
+test('build drops the oldest turns first when over the token budget', () => {
+  // "Ana: current message" costs 5 tokens and "second answer" 4, which uses up a budget of 9
+  const messages = builder.build('sys', context(), { tokenBudget: 9 });
+  assert.deepEqual(messages.map(message => message.content), ['sys', 'second answer', 'Ana: current message']);
+});
+
+test('mergeConsecutiveTurns joins adjacent turns with the same role', () => {
+  const merged = builder.mergeConsecutiveTurns([
+    { role: 'user', content: 'a' },
+    { role: 'user', content: 'b' },
+    { role: 'assistant', content: 'c' }
+  ]);
+  assert.deepEqual(merged, [{ role: 'user', content: 'a\n\nb' }, { role: 'assistant', content: 'c' }]);
+});
@@ -0,0 +1,111 @@
+// test/LLMService.test.js - Provider Failover and Circuit Accounting against Local Stub Servers
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+
+// LLMService builds its Mongo-backed services and default provider on construction; neither connects until used
+process.env.MONGO_URI ||= 'mongodb://127.0.0.1:1/test';
+process.env.OPENAI_API_KEY ||= 'test-key';
+
+const { LLMService } = await import('../src/services/llm/LLMService.js');
+const { getCircuitBreaker } = await import('../src/services/llm/CircuitBreaker.js');
+
+let server;
+let stubUrl;
+let deadUrl;
+let status;
+let lastAuthorization;
+
+before(async () => {
+  server = createServer((req, res) => {
+    lastAuthorization = req.headers.authorization;
+    req.resume();
+    req.on('end', () => {
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify(status === 200
+        ? { choices: [{ message: { role: 'assistant', content: 'from the fallback' } }], usage: { prompt_tokens: 3, completion_tokens: 3, total_tokens: 6 } }
+        : { error: { message: 'bad request' } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  stubUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+  // A port that was just released refuses connections
+  const closed = createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  deadUrl = `http://127.0.0.1:${closed.address().port}`;
+  await new Promise(resolve => closed.close(resolve));
+  process.env.ANTHROPIC_URL = deadUrl;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const messages = [{ role: 'user', content: 'Hi' }];
+const generate = provider => provider.generateChatResponse(messages, {});
+
+test('a primary that refuses connections fails over and counts against its circuit', async () => {
+  const service = new LLMService();
+  const context = { channelType: 'failover-test' };
+  const llmConfig = {
+    provider: 'anthropic',
+    model: 'claude-3-haiku',
+    maxRetries: 0,
+    fallbacks: [{ provider: 'openai-compatible', model: 'local', baseUrl: stubUrl }]
+  };
+  status = 200;
+
+  const response = await service.runWithFailover(context, llmConfig, generate);
+
+  assert.equal(response.text, 'from the fallback');
+  assert.equal(context.generation.fallbackIndex, 1);
+  assert.equal(getCircuitBreaker('anthropic').getStatus().consecutiveFailures, 1);
+  assert.match(getCircuitBreaker('anthropic').getStatus().lastError, /Cannot reach Anthropic/);
+});
+
+test('an unreachable OpenAI-compatible server also counts as a circuit failure', async () => {
+  const service = new LLMService();
+  const context = { channelType: 'failover-test' };
+  const llmConfig = {
+    provider: 'openai-compatible',
+    model: 'local',
+    baseUrl: `${deadUrl}/v1`,
+    maxRetries: 0,
+    fallbacks: [{ provider: 'openai-compatible', model: 'local', baseUrl: stubUrl }]
+  };
+  status = 200;
+
+  const response = await service.runWithFailover(context, llmConfig, generate);
+
+  assert.equal(response.text, 'from the fallback');
+  assert.equal(getCircuitBreaker(`openai-compatible@${deadUrl}/v1`).getStatus().consecutiveFailures, 1);
+});
+
+test('a rejected request is returned without failing over or touching the circuit', async () => {
+  const service = new LLMService();
+  const llmConfig = {
+    provider: 'openai-compatible',
+    model: 'local',
+    baseUrl: stubUrl,
+    maxRetries: 0,
+    fallbacks: [{ provider: 'anthropic', model: 'claude-3-haiku' }]
+  };
+  status = 400;
+  const failuresBefore = getCircuitBreaker('anthropic').getStatus().consecutiveFailures;
+
+  await assert.rejects(service.runWithFailover({ channelType: 'failover-test' }, llmConfig, generate), /OpenAI-compatible API error/);
+
+  assert.equal(getCircuitBreaker(`openai-compatible@${stubUrl}`).getStatus().consecutiveFailures, 0);
+  assert.equal(getCircuitBreaker('anthropic').getStatus().consecutiveFailures, failuresBefore);
+});
+
+test('a stored API key env that is not an *_API_KEY variable is never read', async () => {
+  process.env.DISCORD_TOKEN = 'discord-secret';
+  process.env.OPENAI_COMPATIBLE_API_KEY = 'compatible-key';
+  const service = new LLMService();
+  const llmConfig = { provider: 'openai-compatible', model: 'local', baseUrl: stubUrl, apiKeyEnv: 'DISCORD_TOKEN', maxRetries: 0 };
+  status = 200;
+
+  await service.runWithFailover({ channelType: 'failover-test' }, llmConfig, generate);
+
+  assert.equal(lastAuthorization, 'Bearer compatible-key');
+});
@@ -0,0 +1,67 @@
+// test/RetryPolicy.test.js - Retry Classification, Backoff and Retry-After Handling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RetryPolicy } from '../src/services/llm/RetryPolicy.js';
+
+// Providers wrap the SDK/axios error as `cause`, so tests do the same
+const httpError = (status, headers = undefined) => new Error(`HTTP ${status}`, { cause: { response: { status, headers } } });
+
+test('isRetryable accepts 429, 5xx, network codes and model loading errors only', () => {
+  assert.ok(RetryPolicy.isRetryable(httpError(429)));
+  assert.ok(RetryPolicy.isRetryable(httpError(503)));
+  assert.ok(RetryPolicy.isRetryable(new Error('reset', { cause: Object.assign(new Error('socket'), { code: 'ECONNRESET' }) })));
+  assert.ok(RetryPolicy.isRetryable(new Error('model "llama3" is loading')));
+
+  assert.ok(!RetryPolicy.isRetryable(httpError(400)));
+  assert.ok(!RetryPolicy.isRetryable(httpError(401)));
+  assert.ok(!RetryPolicy.isRetryable(new Error('boom')));
+});
+
+test('getRetryAfterMs reads retry-after-ms, seconds and HTTP dates', () => {
+  assert.equal(RetryPolicy.getRetryAfterMs(httpError(429, { 'retry-after-ms': '250' })), 250);
+  assert.equal(RetryPolicy.getRetryAfterMs(httpError(429, { 'retry-after': '2' })), 2000);
+  assert.equal(RetryPolicy.getRetryAfterMs(httpError(429, new Headers({ 'retry-after': '1.5' }))), 1500);
+
+  const date = RetryPolicy.getRetryAfterMs(httpError(429, { 'retry-after': new Date(Date.now() + 60000).toUTCString() }));
+  assert.ok(date > 55000 && date <= 60000);
+  assert.equal(RetryPolicy.getRetryAfterMs(httpError(429)), null);
+});
+
+test('getDelay backs off exponentially with jitter under the ceiling', () => {
+  const policy = new RetryPolicy({ retryBaseDelayMs: 100, retryMaxDelayMs: 300 });
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const ceiling = Math.min(300, 100 * 2 ** attempt);
+    const delay = policy.getDelay(attempt, httpError(503));
+    assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+  }
+  assert.equal(policy.getDelay(0, httpError(429, { 'retry-after': '0.2' })), 200);
+});
+
+test('shouldRetry stops at maxRetries and when Retry-After exceeds the ceiling', () => {
+  const policy = new RetryPolicy({ maxRetries: 2, retryMaxDelayMs: 1000 });
+  assert.ok(policy.shouldRetry(httpError(503), 1));
+  assert.ok(!policy.shouldRetry(httpError(503), 2));
+  assert.ok(!policy.shouldRetry(httpError(429, { 'retry-after': '5' }), 0));
+  assert.ok(!policy.shouldRetry(httpError(404), 0));
+});
+
+test('execute retries transient failures and rethrows the rest', async () => {
+  const policy = new RetryPolicy({ maxRetries: 2 });
+  policy.wait = async () => {};
+
+  let calls = 0;
+  const retries = [];
+  const result = await policy.execute(async () => {
+    if (++calls < 3) throw httpError(502);
+    return 'done';
+  }, { onRetry: attempt => retries.push(attempt) });
+  assert.equal(result, 'done');
+  assert.deepEqual(retries, [1, 2]);
+
+  calls = 0;
+  await assert.rejects(policy.execute(async () => {
+    calls++;
+    throw httpError(400);
+  }), /HTTP 400/);
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,92 @@
+// test/attachments.test.js - Reading Text Attachments into Prompts
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import {
+  getExtension,
+  detectLanguage,
+  isTextAttachment,
+  truncateText,
+  allocateBudget,
+  readTextAttachments,
+  formatAttachmentBlocks
+} from '../src/utils/attachments.js';
+
+const FILES = {
+  '/app.js': 'const a = 1;\n'.repeat(400),
+  '/notes.txt': 'short note',
+  '/server.log': Array.from({ length: 500 }, (_, index) => `line ${index}`).join('\n'),
+  '/fenced.md': 'Use:\n```js\nx()\n```'
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer((req, res) => {
+    const body = FILES[req.url];
+    res.writeHead(body === undefined ? 404 : 200, { 'content-type': 'text/plain' });
+    res.end(body ?? 'not found');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const attachment = name => ({ name: name.slice(1), url: `${baseUrl}${name}`, size: Buffer.byteLength(FILES[name] ?? '') });
+
+test('extensions, languages and text detection', () => {
+  assert.equal(getExtension('app.test.JS'), 'js');
+  assert.equal(getExtension('Makefile'), '');
+  assert.equal(detectLanguage('main.py'), 'python');
+  assert.ok(isTextAttachment({ name: 'fix.patch' }));
+  assert.ok(isTextAttachment({ name: 'data', contentType: 'application/json; charset=utf-8' }));
+  assert.ok(!isTextAttachment({ name: 'photo.png', contentType: 'image/png' }));
+});
+
+test('truncateText keeps the head, or the tail for logs, at a line boundary', () => {
+  const text = 'one\ntwo\nthree\nfour';
+  assert.deepEqual(truncateText(text, 100), { text, truncated: false });
+  assert.deepEqual(truncateText(text, 9), { text: 'one\ntwo', truncated: true, shownLines: 2, totalLines: 4 });
+  assert.deepEqual(truncateText(text, 11, { fromEnd: true }), { text: 'three\nfour', truncated: true, shownLines: 2, totalLines: 4 });
+});
+
+test('allocateBudget keeps small texts whole and splits the rest evenly', () => {
+  assert.deepEqual(allocateBudget([100, 5000, 50000], 3000), [100, 1450, 1450]);
+  assert.deepEqual(allocateBudget([10, 20], 1000), [10, 20]);
+  assert.deepEqual(allocateBudget([], 1000), []);
+});
+
+test('readTextAttachments shares one budget across every file', async () => {
+  const files = await readTextAttachments(['/app.js', '/notes.txt', '/server.log'].map(attachment), { maxChars: 4000 });
+  const total = files.reduce((sum, file) => sum + file.text.length, 0);
+
+  assert.ok(total <= 4000, `${total} characters kept`);
+  assert.deepEqual(files.map(file => file.truncated), [true, false, true]);
+  assert.equal(files[1].text, 'short note');
+  assert.ok(files[2].text.endsWith('line 499'));
+});
+
+test('readTextAttachments skips files past the limit, non-text files and failed downloads', async () => {
+  const files = await readTextAttachments([
+    attachment('/notes.txt'),
+    { name: 'image.png', url: `${baseUrl}/image.png`, size: 10, contentType: 'image/png' },
+    { name: 'missing.txt', url: `${baseUrl}/missing.txt`, size: 10 },
+    attachment('/app.js')
+  ], { maxChars: 1000, maxFiles: 3 });
+
+  assert.equal(files[0].text, 'short note');
+  assert.equal(files[1].skipped, 'not a text file');
+  assert.match(files[2].skipped, /404/);
+  assert.equal(files[3].skipped, 'only the first 3 files are read');
+});
+
+test('formatAttachmentBlocks fences files and marks truncation and skips', async () => {
+  const files = await readTextAttachments(['/fenced.md', '/server.log'].map(attachment), { maxChars: 200 });
+  const text = formatAttachmentBlocks([...files, { name: 'big.bin', skipped: 'not a text file' }]);
+
+  assert.match(text, /^Attachment fenced\.md:\n~~~~markdown\nUse:\n```js\nx\(\)\n```\n~~~~/);
+  assert.match(text, /\[Truncated: showing the last \d+ of 500 lines\]/);
+  assert.match(text, /\[Attachment big\.bin not included: not a text file\]$/);
+});
@@ -0,0 +1,122 @@
+// test/chartData.test.js - Chart Specs to Series, and Rendering Charts with Extreme Values
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { extractChartBlocks, stripChartBlocks, buildDatasetChart, buildInlineChart } from '../src/utils/chartData.js';
+import { renderChart } from '../src/utils/chartRenderer.js';
+import { parseDelimited, profileDataset } from '../src/utils/dataProfiler.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+async function loadSource(csv) {
+  const dataset = parseDelimited(csv);
+  return { name: 'data.csv', dataset, profile: await profileDataset(dataset) };
+}
+
+// Runs a chart build and render in a worker, so a render that never returns fails the test instead of hanging it
+function renderIsolated(spec, timeoutMs = 5000) {
+  const code = `
+    const { parentPort, workerData } = require('node:worker_threads');
+    Promise.all([import(workerData.chartData), import(workerData.chartRenderer)]).then(([{ buildInlineChart }, { renderChart }]) => {
+      try {
+        parentPort.postMessage({ bytes: renderChart(buildInlineChart(workerData.spec), 'png').length });
+      } catch (error) {
+        parentPort.postMessage({ error: error.message });
+      }
+    });
+  `;
+  const worker = new Worker(code, {
+    eval: true,
+    workerData: {
+      spec,
+      chartData: new URL('../src/utils/chartData.js', import.meta.url).href,
+      chartRenderer: new URL('../src/utils/chartRenderer.js', import.meta.url).href
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`rendering ${JSON.stringify(spec)} did not finish within ${timeoutMs}ms`));
+    }, timeoutMs);
+    worker.once('message', result => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    });
+    worker.once('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+test('extractChartBlocks and stripChartBlocks find specs, including an unterminated one', () => {
+  const reply = 'Here:\n```chart\n{"type":"bar"}\n```\n\n\n\nMore\n```chart\n{oops';
+  assert.deepEqual(extractChartBlocks(reply).map(block => block.spec || 'error'), [{ type: 'bar' }, 'error']);
+  assert.equal(stripChartBlocks(reply), 'Here:\n\nMore');
+});
+
+test('buildDatasetChart aggregates a bar chart with categories largest first', async () => {
+  const source = await loadSource('region,sales\neu,5\nus,7\neu,4\nap,1');
+  const chart = buildDatasetChart({ type: 'bar', x: 'region', y: 'sales' }, source);
+
+  assert.equal(chart.title, 'Total sales by region');
+  assert.equal(chart.xType, 'category');
+  assert.deepEqual(chart.categories, ['eu', 'us', 'ap']);
+  assert.deepEqual(Object.fromEntries(chart.series[0].points.map(point => [point.x, point.y])), { eu: 9, us: 7, ap: 1 });
+  assert.match(chart.subtitle, /^data\.csv · 4 of 4 rows$/);
+});
+
+test('buildDatasetChart checks column types for the chart', async () => {
+  const source = await loadSource('region,sales\neu,5\nus,7');
+  assert.throws(() => buildDatasetChart({ type: 'line', x: 'region', y: 'sales' }, source), /line chart needs a number or date/);
+  assert.throws(() => buildDatasetChart({ type: 'scatter', x: 'sales', y: 'region' }, source), /must be number/);
+  assert.throws(() => buildDatasetChart({ type: 'pie', x: 'region' }, source), /unsupported chart type/);
+});
+
+test('buildDatasetChart bins a histogram over every value', async () => {
+  const source = await loadSource(`v\n${Array.from({ length: 20 }, (_, index) => index).join('\n')}`);
+  const chart = buildDatasetChart({ type: 'histogram', x: 'v', bins: 4 }, source);
+
+  assert.deepEqual(chart.series[0].points.map(point => point.y), [5, 5, 5, 5]);
+  assert.equal(chart.series[0].points[0].x, 0);
+  assert.equal(chart.series[0].points[3].x2, 19);
+});
+
+test('buildInlineChart rejects sums and ranges too large to chart', () => {
+  assert.throws(() => buildInlineChart({ type: 'line', data: [{ x: 1, y: 1e308 }, { x: 2, y: -1e308 }] }), /span too wide a range/);
+  assert.throws(() => buildInlineChart({ type: 'histogram', data: [1e308, -1e308] }), /too large to chart|too wide a range/);
+});
+
+test('buildInlineChart ignores values that overflow to Infinity', () => {
+  const chart = buildInlineChart({ type: 'line', data: [{ x: 1, y: '1e999' }, { x: 2, y: 3 }, { x: 3, y: 5 }] });
+  assert.deepEqual(chart.series[0].points, [{ x: 2, y: 3 }, { x: 3, y: 5 }]);
+});
+
+test('renderChart draws PNG and SVG output', () => {
+  const chart = buildInlineChart({ type: 'line', title: 'Trend', data: [{ x: 1, y: 3 }, { x: 2, y: 5 }, { x: 3, y: 4 }] });
+  assert.deepEqual(renderChart(chart, 'png').subarray(0, 4), PNG_SIGNATURE);
+  assert.match(renderChart(chart, 'svg').toString('utf8'), /^<svg[\s\S]*Trend[\s\S]*<\/svg>$/);
+});
+
+test('renderChart refuses an axis range it cannot draw', () => {
+  const chart = { type: 'line', title: 't', xType: 'number', series: [{ name: 's', points: [{ x: 1, y: -1e308 }, { x: 2, y: 1e308 }] }] };
+  assert.throws(() => renderChart(chart, 'png'), /too large to draw/);
+});
+
+test('charts with extreme values finish instead of hanging', async () => {
+  const datasets = [
+    [{ x: 1, y: '1e999' }, { x: 2, y: 1 }],
+    [{ x: 1, y: 1e308 }, { x: 2, y: -1e308 }],
+    [{ x: 1, y: 1e308 }, { x: 2, y: 1e308 }],
+    [{ x: 1, y: 1e16 }, { x: 2, y: 1e16 + 2 }]
+  ];
+
+  for (const data of datasets) {
+    for (const type of ['line', 'bar', 'scatter']) {
+      const result = await renderIsolated({ type, data });
+      assert.ok(result.bytes > 0 || result.error, `${type} ${JSON.stringify(data)}`);
+    }
+  }
+});
@@ -0,0 +1,92 @@
+// test/dataProfiler.test.js - Dataset Parsing and Profiling
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimited, parseJsonRows, parseDataset, profileDataset, formatProfile, toNumber, quantile } from '../src/utils/dataProfiler.js';
+
+test('parseDelimited handles quotes, escaped quotes, CRLF and duplicate headers', () => {
+  const { columns, rows, totalRows } = parseDelimited('﻿name,note,name\r\n"Smith, J","said ""hi""",x\r\nLee,,y\r\n');
+  assert.deepEqual(columns, ['name', 'note', 'name_2']);
+  assert.deepEqual(rows, [
+    { name: 'Smith, J', note: 'said "hi"', name_2: 'x' },
+    { name: 'Lee', note: '', name_2: 'y' }
+  ]);
+  assert.equal(totalRows, 2);
+});
+
+test('parseDelimited detects the delimiter and counts rows past maxRows', () => {
+  const { columns, rows, totalRows } = parseDelimited('a;b\n1;2\n3;4\n5;6\n\n', null, { maxRows: 2 });
+  assert.deepEqual(columns, ['a', 'b']);
+  assert.equal(rows.length, 2);
+  assert.equal(totalRows, 3);
+});
+
+test('parseJsonRows reads arrays, wrapped arrays and NDJSON, flattening one level', () => {
+  assert.deepEqual(parseJsonRows('[{"a":1,"b":{"c":2}}]').rows, [{ a: 1, 'b.c': 2 }]);
+  assert.deepEqual(parseJsonRows('{"items":[{"a":1},{"a":2}]}').rows, [{ a: 1 }, { a: 2 }]);
+
+  const ndjson = parseJsonRows('{"a":1}\n{"a":2}\n{"a":3}\n', { maxRows: 2 });
+  assert.deepEqual(ndjson.rows, [{ a: 1 }, { a: 2 }]);
+  assert.equal(ndjson.totalRows, 3);
+
+  assert.throws(() => parseJsonRows('{"a":1}'), /array of records/);
+});
+
+test('parseDataset picks the parser from the extension', () => {
+  assert.deepEqual(parseDataset('data.tsv', 'a\tb\n1\t2').rows, [{ a: '1', b: '2' }]);
+  assert.deepEqual(parseDataset('data.json', '[{"a":1}]').rows, [{ a: 1 }]);
+});
+
+test('toNumber accepts thousands separators and rejects non-finite values', () => {
+  assert.equal(toNumber('1,234.5'), 1234.5);
+  assert.equal(toNumber(' -2e3 '), -2000);
+  assert.equal(toNumber('n/a'), null);
+  assert.equal(toNumber('12px'), null);
+  assert.equal(toNumber(true), null);
+  assert.equal(toNumber('1e999'), null);
+  assert.equal(toNumber(Infinity), null);
+  assert.equal(toNumber(NaN), null);
+});
+
+test('quantile interpolates like numpy', () => {
+  assert.equal(quantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(quantile([1, 2, 3, 4], 0.25), 1.75);
+  assert.ok(Number.isNaN(quantile([], 0.5)));
+});
+
+test('profileDataset infers types, summarizes columns and finds correlations', async () => {
+  const dataset = parseDelimited([
+    'x,y,when,label,flag',
+    '1,2.1,2024-01-01,a,yes',
+    '2,3.9,2024-01-02,b,no',
+    '3,6.2,2024-01-03,a,yes',
+    '4,7.8,2024-01-04,a,',
+    '5,10.1,2024-01-05,c,no'
+  ].join('\n'));
+  const profile = await profileDataset(dataset);
+  const byName = Object.fromEntries(profile.columns.map(column => [column.name, column]));
+
+  assert.equal(profile.rowCount, 5);
+  assert.deepEqual(profile.columns.map(column => column.type), ['number', 'number', 'date', 'string', 'boolean']);
+  assert.equal(byName.x.median, 3);
+  assert.equal(byName.x.mean, 3);
+  assert.equal(byName.flag.nullRate, 0.2);
+  assert.deepEqual(byName.label.top[0], { value: 'a', count: 3 });
+  assert.equal(byName.when.min, '2024-01-01T00:00:00.000Z');
+
+  assert.equal(profile.correlations.length, 1);
+  assert.equal(profile.correlations[0].n, 5);
+  assert.ok(Math.abs(profile.correlations[0].r - 0.9988) < 1e-3);
+});
+
+test('profileDataset never treats an overflowing value as a number', async () => {
+  const profile = await profileDataset(parseDelimited('v\n1\n2\n1e999\n3'));
+  assert.equal(profile.columns[0].type, 'string');
+  assert.equal(profile.columns[0].mean, undefined);
+});
+
+test('formatProfile says when only the first rows were loaded', async () => {
+  const dataset = parseDelimited('a\n1\n2\n3\n4', null, { maxRows: 2 });
+  const text = formatProfile('data.csv', dataset, await profileDataset(dataset), 1);
+  assert.match(text, /^Dataset data\.csv: the first 2 of 4 rows × 1 columns were loaded/);
+  assert.match(text, /Sample \(first 1 rows\):\n```csv\na\n1\n```$/);
+});
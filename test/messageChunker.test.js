@@ -0,0 +1,40 @@
+// test/messageChunker.test.js - Splitting Replies into Discord-Sized Messages
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage, DISCORD_MESSAGE_LIMIT } from '../src/utils/messageChunker.js';
+
+test('splitMessage leaves short text alone', () => {
+  assert.deepEqual(splitMessage(''), []);
+  assert.deepEqual(splitMessage('hello'), ['hello']);
+  assert.deepEqual(splitMessage('x'.repeat(DISCORD_MESSAGE_LIMIT)), ['x'.repeat(DISCORD_MESSAGE_LIMIT)]);
+});
+
+test('splitMessage breaks on paragraphs before words', () => {
+  const text = `${'a '.repeat(20).trim()}\n\n${'b '.repeat(20).trim()}`;
+  const chunks = splitMessage(text, 50);
+  assert.deepEqual(chunks, ['a '.repeat(20).trim(), 'b '.repeat(20).trim()]);
+});
+
+test('splitMessage splits long lines on words and hard-cuts unbroken text', () => {
+  const chunks = splitMessage(`${'word '.repeat(30)}${'z'.repeat(45)}`, 20);
+  assert.ok(chunks.every(chunk => chunk.length <= 20));
+  assert.equal(chunks.join('').replace(/\s/g, ''), `${'word'.repeat(30)}${'z'.repeat(45)}`);
+});
+
+test('splitMessage re-opens split code blocks with their language', () => {
+  const code = Array.from({ length: 30 }, (_, index) => `console.log(${index});`).join('\n');
+  const chunks = splitMessage(`Intro\n\n\`\`\`js\n${code}\n\`\`\``, 120);
+
+  assert.ok(chunks.length > 2);
+  assert.ok(chunks.every(chunk => chunk.length <= 120));
+  for (const chunk of chunks.slice(1)) {
+    assert.match(chunk, /^```js\n[\s\S]*\n```$/);
+  }
+  const lines = chunks.flatMap(chunk => chunk.split('\n')).filter(line => line.startsWith('console.log'));
+  assert.equal(lines.length, 30);
+});
+
+test('splitMessage closes an unterminated fence', () => {
+  const chunks = splitMessage(`\`\`\`py\n${'print(1)\n'.repeat(10)}`, 50);
+  assert.ok(chunks.every(chunk => chunk.startsWith('```py') && chunk.endsWith('```')));
+});
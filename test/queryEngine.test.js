@@ -0,0 +1,85 @@
+// test/queryEngine.test.js - Query Validation and Execution over Parsed Datasets
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuery, executeQuery, describeQuery, formatResultTable } from '../src/utils/queryEngine.js';
+
+const dataset = {
+  columns: ['region', 'latency', 'day', 'status'],
+  rows: [
+    { region: 'eu', latency: '120', day: '2024-03-01', status: 'ok' },
+    { region: 'eu', latency: '80', day: '2024-03-02', status: 'ok' },
+    { region: 'us', latency: '200', day: '2024-03-02', status: 'error' },
+    { region: 'us', latency: 'n/a', day: '2024-03-09', status: 'ok' },
+    { region: 'ap', latency: '1,500', day: '2024-04-01', status: 'ok' }
+  ]
+};
+const types = { region: 'string', latency: 'number', day: 'date', status: 'string' };
+
+test('validateQuery rejects unknown columns, operators and bad limits', () => {
+  assert.throws(() => validateQuery([], dataset), /JSON object/);
+  assert.throws(() => validateQuery({ filters: [{ column: 'nope', op: '=', value: 1 }] }, dataset), /unknown column "nope"/);
+  assert.throws(() => validateQuery({ filters: [{ column: 'region', op: 'like', value: 'e' }] }, dataset), /unsupported filter operator/);
+  assert.throws(() => validateQuery({ filters: [{ column: 'region', op: 'in', value: 'eu' }] }, dataset), /needs an array/);
+  assert.throws(() => validateQuery({ aggregates: [{ fn: 'avg', column: 'region' }] }, dataset, types), /numeric column/);
+  assert.throws(() => validateQuery({ groupBy: [{ column: 'region', bucket: 'month' }] }, dataset, types), /not a date column/);
+  assert.throws(() => validateQuery({ limit: 0 }, dataset), /positive whole number/);
+});
+
+test('validateQuery counts per group when no aggregate is given and caps the limit', () => {
+  const query = validateQuery({ groupBy: ['region'], limit: 1000 }, dataset, types, { maxLimit: 10 });
+  assert.deepEqual(query.aggregates, [{ fn: 'count', column: null, name: 'count' }]);
+  assert.deepEqual(query.outputColumns, ['region', 'count']);
+  assert.equal(query.limit, 10);
+});
+
+test('executeQuery filters numerically and skips missing values', () => {
+  const result = executeQuery(dataset, { filters: [{ column: 'latency', op: '>=', value: 100 }], select: ['region', 'latency'] }, types);
+  assert.deepEqual(result.rows.map(row => row.region), ['eu', 'us', 'ap']);
+  assert.equal(result.matchedRows, 3);
+});
+
+test('executeQuery aggregates per group in group order', () => {
+  const result = executeQuery(dataset, {
+    groupBy: ['region'],
+    aggregates: [{ fn: 'avg', column: 'latency' }, { fn: 'count' }]
+  }, types);
+
+  assert.deepEqual(result.rows, [
+    { region: 'ap', 'avg(latency)': 1500, count: 1 },
+    { region: 'eu', 'avg(latency)': 100, count: 2 },
+    { region: 'us', 'avg(latency)': 200, count: 2 }
+  ]);
+});
+
+test('executeQuery buckets dates by month and honours orderBy and limit', () => {
+  const result = executeQuery(dataset, {
+    groupBy: [{ column: 'day', bucket: 'month' }],
+    orderBy: [{ column: 'count', direction: 'desc' }],
+    limit: 1
+  }, types);
+
+  assert.deepEqual(result.rows, [{ 'day (month)': '2024-03', count: 4 }]);
+  assert.equal(result.totalRows, 2);
+});
+
+test('executeQuery returns one row for an ungrouped aggregate with no matches', () => {
+  const result = executeQuery(dataset, {
+    filters: [{ column: 'status', op: '=', value: 'missing' }],
+    aggregates: [{ fn: 'sum', column: 'latency' }]
+  }, types);
+  assert.deepEqual(result.rows, [{ 'sum(latency)': null }]);
+});
+
+test('describeQuery and formatResultTable summarize a result', () => {
+  const result = executeQuery(dataset, {
+    filters: [{ column: 'status', op: '=', value: 'ok' }],
+    groupBy: ['region'],
+    aggregates: [{ fn: 'max', column: 'latency' }]
+  }, types);
+
+  assert.equal(describeQuery(result.query), 'max(latency) by region where status = "ok" order by region asc');
+
+  const table = formatResultTable(result, 2);
+  assert.match(table, /^```\nregion {2}max\(latency\)\n/);
+  assert.match(table, /… 1 more rows\n```$/);
+});
@@ -0,0 +1,63 @@
+// test/raster.test.js - Raster Drawing and PNG Encoding
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { Raster, measureText, textHeight } from '../src/utils/raster.js';
+
+const pixel = (raster, x, y) => [...raster.pixels.subarray((y * raster.width + x) * 3, (y * raster.width + x) * 3 + 3)];
+
+test('measureText and textHeight scale the 5x7 font', () => {
+  assert.equal(measureText('ab'), 11);
+  assert.equal(measureText('ab', 2), 22);
+  assert.equal(measureText('…'), 17);
+  assert.equal(measureText(''), 0);
+  assert.equal(textHeight(3), 21);
+});
+
+test('fillRect is clipped to the raster and blends with opacity', () => {
+  const raster = new Raster(4, 4, '#000000');
+  raster.fillRect(-2, -2, 4, 4, '#ffffff');
+  assert.deepEqual(pixel(raster, 1, 1), [255, 255, 255]);
+  assert.deepEqual(pixel(raster, 2, 2), [0, 0, 0]);
+
+  raster.fillRect(2, 2, 1, 1, '#ffffff', 0.5);
+  assert.deepEqual(pixel(raster, 2, 2), [127, 127, 127]);
+});
+
+test('drawLine draws between its end points', () => {
+  const raster = new Raster(10, 10, '#ffffff');
+  raster.drawLine(0, 0, 9, 9, '#ff0000');
+  for (let i = 0; i < 10; i++) assert.deepEqual(pixel(raster, i, i), [255, 0, 0]);
+  assert.deepEqual(pixel(raster, 9, 0), [255, 255, 255]);
+});
+
+test('drawLine clips far-off and skips non-finite coordinates', () => {
+  const raster = new Raster(50, 50, '#ffffff');
+  raster.drawLine(-1e12, 25, 1e12, 25, '#000000', { width: 2 });
+  assert.deepEqual(pixel(raster, 0, 25), [0, 0, 0]);
+  assert.deepEqual(pixel(raster, 49, 25), [0, 0, 0]);
+
+  const before = Buffer.from(raster.pixels);
+  raster.drawLine(NaN, 0, 10, 10, '#000000');
+  raster.drawLine(0, 0, Infinity, 10, '#000000');
+  raster.drawLine(100, 100, 200, 200, '#000000');
+  raster.fillCircle(NaN, 1, 3, '#000000');
+  raster.fillRect(0, 0, Infinity, 3, '#000000');
+  assert.deepEqual(Buffer.from(raster.pixels), before);
+});
+
+test('toPng writes a valid PNG with the raster pixels', () => {
+  const raster = new Raster(3, 2, '#102030');
+  const png = raster.toPng();
+
+  assert.deepEqual(png.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+  assert.equal(png.readUInt32BE(16), 3);
+  assert.equal(png.readUInt32BE(20), 2);
+
+  const idatLength = png.readUInt32BE(33);
+  assert.equal(png.toString('ascii', 37, 41), 'IDAT');
+  const scanlines = inflateSync(png.subarray(41, 41 + idatLength));
+  assert.deepEqual([...scanlines.subarray(0, 4)], [0, 0x10, 0x20, 0x30]);
+  assert.equal(scanlines.length, (3 * 3 + 1) * 2);
+});
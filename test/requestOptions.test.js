@@ -0,0 +1,56 @@
+// test/requestOptions.test.js - Per-Channel LLM Option Parsing and Validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveOptionField,
+  validateOption,
+  parseOptionValue,
+  validateRequestOptions,
+  buildRequestOptions,
+  buildRetryOptions
+} from '../src/services/llm/requestOptions.js';
+
+test('resolveOptionField maps command aliases to llmConfig fields', () => {
+  assert.equal(resolveOptionField('max_tokens'), 'maxTokens');
+  assert.equal(resolveOptionField('TEMP'), 'temperature');
+  assert.equal(resolveOptionField('history_window'), 'historyWindow');
+  assert.equal(resolveOptionField('nope'), null);
+});
+
+test('validateOption enforces types and ranges', () => {
+  assert.equal(validateOption('temperature', 1.5), null);
+  assert.equal(validateOption('temperature', 3), 'temperature must be between 0 and 2');
+  assert.equal(validateOption('maxTokens', 10.5), 'maxTokens must be a whole number');
+  assert.equal(validateOption('topP', NaN), 'topP must be a number');
+  assert.equal(validateOption('historyWindow', 0), null);
+  assert.equal(validateOption('stop', ['a', 'b', 'c', 'd', 'e']), 'stop accepts at most 4 sequences');
+  assert.equal(validateOption('stop', ['']), 'stop must be a list of non-empty strings');
+  assert.equal(validateOption('bogus', 1), 'Unknown option: bogus');
+});
+
+test('parseOptionValue parses numbers and stop sequences', () => {
+  assert.deepEqual(parseOptionValue('maxTokens', '800'), { value: 800 });
+  assert.deepEqual(parseOptionValue('stop', 'END, \\n\\n'), { value: ['END', '\n\n'] });
+  assert.deepEqual(parseOptionValue('stop', 'none'), { value: [] });
+  assert.deepEqual(parseOptionValue('temperature', 'hot'), { error: 'temperature must be a number' });
+});
+
+test('parseOptionValue rejects blank input instead of reading it as zero', () => {
+  assert.deepEqual(parseOptionValue('temperature', ''), { error: 'temperature needs a value' });
+  assert.deepEqual(parseOptionValue('presencePenalty', '   '), { error: 'presencePenalty needs a value' });
+  assert.deepEqual(parseOptionValue('stop', ''), { error: 'stop needs a value' });
+  assert.deepEqual(parseOptionValue('maxTokens', undefined), { error: 'maxTokens needs a value' });
+});
+
+test('validateRequestOptions collects every error', () => {
+  assert.deepEqual(validateRequestOptions({ temperature: 0.5, maxRetries: 2 }), { valid: true, errors: [] });
+  const { valid, errors } = validateRequestOptions({ temperature: 5, retryBaseDelayMs: 1 });
+  assert.equal(valid, false);
+  assert.equal(errors.length, 2);
+});
+
+test('buildRequestOptions and buildRetryOptions keep only valid values of their own kind', () => {
+  const llmConfig = { temperature: 0.2, maxTokens: 0, stop: [], historyWindow: 5, maxRetries: 3, retryMaxDelayMs: 5 };
+  assert.deepEqual(buildRequestOptions(llmConfig), { temperature: 0.2 });
+  assert.deepEqual(buildRetryOptions(llmConfig), { maxRetries: 3 });
+});